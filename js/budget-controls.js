@@ -0,0 +1,127 @@
+/**
+ * Budget Controls Module
+ * Wires up the allocation buttons on project cards and the balance meter in the sidebar
+ */
+
+import { getBudgetConfig } from './config.js';
+import { findProjectById } from './data.js';
+import { getAllocation, getRemainingBudget, setAllocation, submitAllocations } from './budget.js';
+import { hasUser, showUserDialog } from './user.js';
+import { formatCurrency } from './utils.js';
+
+/**
+ * Wire up budget allocation controls in a container element
+ * @param {Element} container - The container element with budget controls
+ * @param {Object} project - The project object
+ */
+export function wireBudgetControls(container, project) {
+    const controls = container.querySelector('.project-card-budget');
+    if (!controls) {
+        return;
+    }
+
+    const decreaseBtn = controls.querySelector('.budget-decrease-btn');
+    const increaseBtn = controls.querySelector('.budget-increase-btn');
+
+    controls.hidden = false;
+    controls.dataset.projectId = project.id;
+    updateBudgetControls(controls, project);
+
+    const adjust = (direction) => {
+        const { step } = getBudgetConfig();
+        setAllocation(project, getAllocation(project.id) + direction * step);
+    };
+
+    decreaseBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        adjust(-1);
+    });
+
+    increaseBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        if (!hasUser()) {
+            showUserDialog('Please fill out a profile to use this feature', () => adjust(1));
+            return;
+        }
+        adjust(1);
+    });
+}
+
+/**
+ * Update a single set of budget controls to reflect current allocations
+ */
+export function updateBudgetControls(controls, project) {
+    const allocated = getAllocation(project.id);
+    const atProjectCap = project.totalFunding > 0 && allocated >= project.totalFunding;
+
+    controls.querySelector('.budget-amount').textContent = formatCurrency(allocated);
+    controls.classList.toggle('has-allocation', allocated > 0);
+    controls.querySelector('.budget-decrease-btn').disabled = allocated <= 0;
+    controls.querySelector('.budget-increase-btn').disabled = getRemainingBudget() <= 0 || atProjectCap;
+}
+
+/**
+ * Refresh all rendered budget controls (e.g., after the remaining balance changes)
+ */
+export function refreshBudgetControls() {
+    document.querySelectorAll('.project-card-budget[data-project-id]').forEach(controls => {
+        const project = findProjectById(controls.dataset.projectId);
+        if (project) {
+            updateBudgetControls(controls, project);
+        }
+    });
+}
+
+/**
+ * Show the balance meter in the sidebar and wire up the submit button
+ */
+export function initBudgetMeter() {
+    const meter = document.getElementById('budgetMeter');
+    const submitBtn = document.getElementById('budgetSubmitBtn');
+
+    meter.hidden = false;
+
+    submitBtn.addEventListener('click', async () => {
+        const doSubmit = async () => {
+            submitBtn.disabled = true;
+            const success = await submitAllocations();
+            submitBtn.disabled = false;
+            submitBtn.textContent = success ? 'Submitted' : 'Retry';
+            meter.classList.toggle('submitted', success);
+        };
+
+        if (!hasUser()) {
+            showUserDialog('Please fill out a profile to submit your budget', doSubmit);
+            return;
+        }
+        doSubmit();
+    });
+
+    updateBudgetMeter();
+}
+
+/**
+ * Update the balance meter to reflect current allocations
+ */
+export function updateBudgetMeter() {
+    const budget = getBudgetConfig();
+    if (!budget) {
+        return;
+    }
+
+    const remaining = getRemainingBudget();
+    const allocated = budget.total - remaining;
+    const percent = (allocated / budget.total) * 100;
+
+    document.getElementById('budgetMeterFill').style.width = percent + '%';
+    document.getElementById('budgetAllocated').textContent =
+        `${formatCurrency(allocated)} of ${formatCurrency(budget.total)} allocated`;
+    document.getElementById('budgetRemaining').textContent = `${formatCurrency(remaining)} left`;
+
+    // Any change since the last submission needs to be submitted again
+    const meter = document.getElementById('budgetMeter');
+    if (meter.classList.contains('submitted')) {
+        meter.classList.remove('submitted');
+        document.getElementById('budgetSubmitBtn').textContent = 'Submit';
+    }
+}
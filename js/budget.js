@@ -0,0 +1,219 @@
+/**
+ * Budget Module
+ * Handles budget allocation survey mode, where each user distributes a fixed
+ * virtual budget across projects. Stored in a cookie and submitted to the API
+ */
+
+import { getCookie, setCookie } from './cookies.js';
+import { getUser } from './user.js';
+import { getConfig, getAppId, getBudgetConfig } from './config.js';
+import { showApiError } from './debug.js';
+
+function getBudgetCookieName() {
+    return `${getAppId()}_budget`;
+}
+const COOKIE_DAYS = 365;
+
+// State
+let userAllocations = {}; // projectId -> dollars allocated
+
+// Callback for allocation changes
+let onAllocationsChanged = null;
+
+/**
+ * Set callback for when allocations change
+ */
+export function setOnAllocationsChanged(callback) {
+    onAllocationsChanged = callback;
+}
+
+/**
+ * Load allocations from cookie
+ */
+export function loadAllocations() {
+    userAllocations = {};
+
+    const budgetCookie = getCookie(getBudgetCookieName());
+    if (budgetCookie) {
+        try {
+            userAllocations = JSON.parse(budgetCookie);
+        } catch (e) {
+            console.error('Failed to parse budget cookie:', e);
+            userAllocations = {};
+        }
+    }
+}
+
+/**
+ * Get the amount allocated to a project
+ * @param {string} projectId - The project ID
+ * @returns {number} Dollars allocated (0 if none)
+ */
+export function getAllocation(projectId) {
+    return userAllocations[projectId] || 0;
+}
+
+/**
+ * Get all allocations
+ * @returns {Object} Map of projectId -> dollars
+ */
+export function getAllocations() {
+    return userAllocations;
+}
+
+/**
+ * Sum the dollars in an allocation map
+ * @param {Object} allocations - Map of projectId -> dollars
+ * @returns {number} Total allocated
+ */
+export function sumAllocations(allocations) {
+    return Object.values(allocations).reduce((sum, amount) => sum + amount, 0);
+}
+
+/**
+ * Get the user's unallocated budget
+ * @returns {number} Dollars remaining (0 if budget mode is off)
+ */
+export function getRemainingBudget() {
+    const budget = getBudgetConfig();
+    if (!budget) return 0;
+    return Math.max(0, budget.total - sumAllocations(userAllocations));
+}
+
+/**
+ * Pure function to clamp a requested allocation so the user can never overspend
+ * This is exported for testing purposes
+ * @param {number} requested - Requested amount for the project
+ * @param {string} projectId - The project ID
+ * @param {Object} allocations - Current map of projectId -> dollars
+ * @param {number} budgetTotal - Total budget available to the user
+ * @param {number} projectCost - Project total cost (caps the allocation when > 0)
+ * @returns {number} Amount that can actually be allocated
+ */
+export function clampAllocation(requested, projectId, allocations, budgetTotal, projectCost) {
+    const spentElsewhere = sumAllocations(allocations) - (allocations[projectId] || 0);
+    let max = Math.max(0, budgetTotal - spentElsewhere);
+    if (projectCost > 0) {
+        max = Math.min(max, projectCost);
+    }
+    return Math.min(Math.max(0, requested), max);
+}
+
+/**
+ * Set the allocation for a project (clamped to the remaining budget and project cost)
+ * @param {Object} project - The project object
+ * @param {number} amount - Requested amount in dollars
+ * @returns {number} Amount actually allocated
+ */
+export function setAllocation(project, amount) {
+    const budget = getBudgetConfig();
+    if (!budget) return 0;
+
+    const allowed = clampAllocation(amount, project.id, userAllocations, budget.total, project.totalFunding);
+    if (allowed > 0) {
+        userAllocations[project.id] = allowed;
+    } else {
+        delete userAllocations[project.id];
+    }
+    saveAllocationsToCookie();
+    if (onAllocationsChanged) onAllocationsChanged();
+    return allowed;
+}
+
+/**
+ * Submit the user's allocations to the API server
+ * @returns {Promise<boolean>} - Success status
+ */
+export async function submitAllocations() {
+    const config = getConfig();
+    if (!config.apiServer) {
+        return false;
+    }
+
+    const user = getUser();
+    if (!user?.userId) {
+        console.warn('No userId available for API budget');
+        return false;
+    }
+
+    try {
+        const response = await fetch(`${config.apiServer}/api/budget`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                userid: user.userId,
+                appid: getAppId(),
+                allocations: Object.entries(userAllocations).map(([itemId, amount]) => ({
+                    item_id: itemId,
+                    amount
+                }))
+            })
+        });
+
+        if (!response.ok) {
+            console.error('API budget failed:', response.status);
+            return false;
+        }
+
+        return true;
+    } catch (error) {
+        console.error('API budget error:', error);
+        showApiError('/api/budget POST', error);
+        return false;
+    }
+}
+
+/**
+ * Fetch aggregate allocations for all projects from API server
+ * @returns {Promise<Object>} - Map of item_id -> { total, count }
+ */
+export async function fetchAllBudgetTotals() {
+    const config = getConfig();
+    if (!config.apiServer) {
+        return {};
+    }
+
+    try {
+        const params = new URLSearchParams({
+            appid: getAppId()
+        });
+
+        const response = await fetch(`${config.apiServer}/api/budgets?${params}`, {
+            method: 'GET',
+            headers: {
+                'Content-Type': 'application/json'
+            }
+        });
+
+        if (!response.ok) {
+            console.error('API fetch budget totals failed:', response.status);
+            return {};
+        }
+
+        const data = await response.json();
+        // Convert array to map by item_id
+        const totalMap = {};
+        if (Array.isArray(data)) {
+            data.forEach(item => {
+                totalMap[item.item_id] = {
+                    total: item.total || 0,
+                    count: item.count || 0
+                };
+            });
+        }
+        return totalMap;
+    } catch (error) {
+        console.error('API fetch budget totals error:', error);
+        showApiError('/api/budgets GET', error);
+        return {};
+    }
+}
+
+/**
+ * Save allocations to cookie
+ */
+function saveAllocationsToCookie() {
+    setCookie(getBudgetCookieName(), JSON.stringify(userAllocations), COOKIE_DAYS);
+}
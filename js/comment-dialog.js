@@ -7,53 +7,39 @@ import { getComments, addComment } from './votes.js';
 import { getUser, hasUser, showUserDialog } from './user.js';
 import { getConfig, getAppId, isResultsMode } from './config.js';
 import { showApiError, isDebugMode } from './debug.js';
+import { queueRequest } from './outbox.js';
 
 // Current project ID for comment dialog
 let commentProjectId = null;
 
 /**
- * Post comment to API server
+ * Queue a comment for the API server (sent by the outbox, retried until it gets through)
  * @param {string} projectId - The project ID
  * @param {string} commentText - The comment text
- * @returns {Promise<boolean>} - Success status
  */
-async function postCommentToApi(projectId, commentText) {
+function queueCommentForApi(projectId, commentText) {
     const config = getConfig();
-    if (!config.apiServer) {
-        return false;
+    if (!config?.apiServer) {
+        return;
     }
     
     const user = getUser();
     if (!user?.userId) {
         console.warn('No userId available for API comment');
-        return false;
+        return;
     }
     
-    try {
-        const response = await fetch(`${config.apiServer}/api/comment`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                userid: user.userId,
-                appid: getAppId(),
-                item_id: projectId,
-                comment: commentText
-            })
-        });
-        
-        if (!response.ok) {
-            console.error('API comment failed:', response.status);
-            return false;
+    queueRequest({
+        kind: 'comment',
+        projectId,
+        url: `${config.apiServer}/api/comment`,
+        body: {
+            userid: user.userId,
+            appid: getAppId(),
+            item_id: projectId,
+            comment: commentText
         }
-        
-        return true;
-    } catch (error) {
-        console.error('API comment error:', error);
-        showApiError('/api/comment POST', error);
-        return false;
-    }
+    });
 }
 
 /**
@@ -249,8 +235,8 @@ export async function handleCommentDialogOk() {
     const commentText = input.value.trim();
     
     if (commentText && commentProjectId) {
-        // Post to API (async, don't wait)
-        postCommentToApi(commentProjectId, commentText);
+        // Queue for the API (kept until the server has it)
+        queueCommentForApi(commentProjectId, commentText);
         
         // Save locally
         addComment(commentProjectId, commentText);
@@ -115,12 +115,20 @@ export function getAppId() {
     return config?.appId || 'cipmap';
 }
 
+/**
+ * Get the page's query parameters (empty outside a browser, e.g. the Node data validator)
+ * @returns {URLSearchParams}
+ */
+function getQueryParams() {
+    return new URLSearchParams(typeof window !== 'undefined' ? window.location.search : '');
+}
+
 /**
  * Check if survey mode is enabled (via config or ?survey query param)
  * @returns {boolean} True if survey mode is enabled
  */
 export function isSurveyMode() {
-    const urlParams = new URLSearchParams(window.location.search);
+    const urlParams = getQueryParams();
     if (urlParams.get('survey') === 'true') return true;
     if (urlParams.get('results') === 'true') return true;
     return config?.survey === true || config?.results === true;
@@ -131,7 +139,7 @@ export function isSurveyMode() {
  * @returns {boolean} True if results mode is enabled
  */
 export function isResultsMode() {
-    const urlParams = new URLSearchParams(window.location.search);
+    const urlParams = getQueryParams();
     const fromParam = urlParams.get('results') === 'true';
     const fromConfig = config?.results === true;
     const result = fromParam || fromConfig;
@@ -147,3 +155,156 @@ export function isResultsMode() {
 export function getTypeConfig(type) {
     return config?.projectTypes?.[type] || { color: '#95a5a6', icon: 'folder' };
 }
+
+/**
+ * Get budget allocation settings (config.budgetAllocation)
+ * @returns {Object|null} { total, step } in dollars, or null if budget mode is not configured
+ */
+export function getBudgetConfig() {
+    const budget = config?.budgetAllocation;
+    if (!budget || budget.enabled === false || !(budget.total > 0)) {
+        return null;
+    }
+    return {
+        total: budget.total,
+        step: budget.step > 0 ? budget.step : Math.round(budget.total / 50)
+    };
+}
+
+/**
+ * Check if budget allocation mode is enabled
+ * @returns {boolean} True if the config defines a budgetAllocation section
+ */
+export function isBudgetMode() {
+    return getBudgetConfig() !== null;
+}
+
+/**
+ * Get ranking settings (config.ranking)
+ * @returns {Object|null} { topN } or null if ranking mode is not configured
+ */
+export function getRankingConfig() {
+    const ranking = config?.ranking;
+    if (!ranking || ranking.enabled === false) {
+        return null;
+    }
+    return {
+        topN: ranking.topN > 0 ? ranking.topN : 5
+    };
+}
+
+/**
+ * Check if ranked-choice (top-N) mode is enabled
+ * @returns {boolean} True if the config defines a ranking section
+ */
+export function isRankingMode() {
+    return getRankingConfig() !== null;
+}
+
+/**
+ * Get pairwise comparison settings (config.pairwise)
+ * @returns {Object|null} { kFactor } or null if pairwise mode is not configured
+ */
+export function getPairwiseConfig() {
+    const pairwise = config?.pairwise;
+    if (!pairwise || pairwise.enabled === false) {
+        return null;
+    }
+    return {
+        kFactor: pairwise.kFactor > 0 ? pairwise.kFactor : 32
+    };
+}
+
+/**
+ * Check if pairwise ("this or that") comparison mode is enabled
+ * @returns {boolean} True if the config defines a pairwise section
+ */
+export function isPairwiseMode() {
+    return getPairwiseConfig() !== null;
+}
+
+// Question types supported in the profile wizard
+const SURVEY_QUESTION_TYPES = ['single', 'multi', 'text', 'likert'];
+
+/**
+ * Get the demographic/survey questions for the profile wizard (config.surveyQuestions)
+ * Entries missing an id or label, with an unknown type, or choice questions without
+ * options are skipped
+ * @returns {Array} Normalized questions: { id, type, label, required, options, scale, scaleLabels, maxLength }
+ */
+export function getSurveyQuestions() {
+    const questions = config?.surveyQuestions;
+    if (!Array.isArray(questions)) {
+        return [];
+    }
+    return questions
+        .filter(q => q && q.id && q.label && SURVEY_QUESTION_TYPES.includes(q.type))
+        .filter(q => !['single', 'multi'].includes(q.type) || (Array.isArray(q.options) && q.options.length > 0))
+        .map(q => ({
+            id: String(q.id),
+            type: q.type,
+            label: q.label,
+            required: q.required === true,
+            options: Array.isArray(q.options) ? q.options.map(String) : [],
+            scale: q.scale >= 2 ? Math.floor(q.scale) : 5,
+            scaleLabels: Array.isArray(q.scaleLabels) ? q.scaleLabels : ['Strongly disagree', 'Strongly agree'],
+            maxLength: q.maxLength > 0 ? q.maxLength : 500
+        }));
+}
+
+/**
+ * Get the CSV column mapping (config.columnMap)
+ * Maps source column headers to the column names parseProject expects,
+ * e.g. { "Project Title": "name", "FY 2026": "funding_fy26" }
+ * @returns {Object} Map of source column -> project column (non-string entries are skipped)
+ */
+export function getColumnMap() {
+    const columnMap = config?.columnMap;
+    if (!columnMap || typeof columnMap !== 'object' || Array.isArray(columnMap)) {
+        return {};
+    }
+    const normalized = {};
+    Object.entries(columnMap).forEach(([source, field]) => {
+        if (typeof field === 'string' && field.trim()) {
+            normalized[source] = field.trim();
+        }
+    });
+    return normalized;
+}
+
+/**
+ * Get the curated saved views (config.views), shown as buttons above the project list
+ * Each view's query uses the same parameters as shared links, e.g. "type=Transportation&fy=FY27"
+ * @returns {Array} Normalized views: { name, query, center, zoom, sort } (center/zoom/sort may be null)
+ */
+export function getConfigViews() {
+    const views = config?.views;
+    if (!Array.isArray(views)) {
+        return [];
+    }
+    return views
+        .filter(v => v && typeof v.name === 'string' && v.name.trim())
+        .map(v => ({
+            name: v.name.trim(),
+            query: typeof v.query === 'string' ? v.query.replace(/^\?/, '') : '',
+            center: v.center && Number.isFinite(v.center.lat) && Number.isFinite(v.center.lng) ? v.center : null,
+            zoom: Number.isFinite(v.zoom) ? v.zoom : null,
+            sort: typeof v.sort === 'string' ? v.sort : null
+        }));
+}
+
+/**
+ * Get the "near my area" settings (config.nearMe)
+ * @returns {Object} { radiiMiles: distances offered by the radius filter, badgeMiles: how close
+ *                   a project must be to get the "Near you" badge }
+ */
+export function getNearMeConfig() {
+    const nearMe = config?.nearMe || {};
+    const radii = Array.isArray(nearMe.radiiMiles)
+        ? nearMe.radiiMiles.filter(r => Number.isFinite(r) && r > 0).sort((a, b) => a - b)
+        : [];
+    return {
+        radiiMiles: radii.length > 0 ? radii : [0.5, 1, 2, 5],
+        badgeMiles: Number.isFinite(nearMe.badgeMiles) && nearMe.badgeMiles > 0 ? nearMe.badgeMiles : 1
+    };
+}
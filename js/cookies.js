@@ -3,6 +3,20 @@
  * Shared cookie operations for the CIP Map application
  */
 
+// Browsers drop a cookie whose name and encoded value pass 4096 bytes (setCookie would fail
+// silently); this leaves room to spare
+export const MAX_COOKIE_LENGTH = 4000;
+
+/**
+ * Check if a value fits in a cookie once URI encoded
+ * @param {string} name - Cookie name
+ * @param {string} value - Cookie value (before encoding)
+ * @returns {boolean}
+ */
+export function fitsInCookie(name, value) {
+    return name.length + 1 + encodeURIComponent(value).length <= MAX_COOKIE_LENGTH;
+}
+
 /**
  * Get a cookie value by name
  * @param {string} name - Cookie name
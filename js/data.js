@@ -2,25 +2,47 @@
  * Data loading and parsing for CIP projects
  */
 
-import { getConfig, isSurveyMode } from './config.js';
+import { getConfig, isSurveyMode, getColumnMap } from './config.js';
+import { parseGeometry, getGeometryCenter, isValidGeometry, toWkt, getMinZoomBounds } from './geometry.js';
 
 let projects = [];
 let filteredProjects = [];
+let sourceRows = []; // Rows as loaded (after column mapping), kept for the validation report
 
 /**
- * Load projects from CSV file
+ * Load projects from the data file (plus the optional sidecar GeoJSON geometry file)
+ * dataFile may be a CSV or a GeoJSON FeatureCollection (.geojson / .json)
  * @returns {Promise<Array>} Array of parsed projects
  */
 export async function loadProjects() {
     const config = getConfig();
     
+    if (isGeoJsonFile(config.dataFile)) {
+        await loadProjectsGeoJson(config);
+    } else {
+        await loadProjectsCsv(config);
+    }
+    
+    if (config.geometryFile) {
+        await loadGeometryFile(config.geometryFile);
+    }
+    
+    return projects;
+}
+
+/**
+ * Load and parse the projects CSV
+ */
+function loadProjectsCsv(config) {
     return new Promise((resolve, reject) => {
         Papa.parse(config.dataFile, {
             download: true,
             header: true,
             skipEmptyLines: true,
             complete: (results) => {
-                projects = results.data
+                const columnMap = getColumnMap();
+                sourceRows = results.data.map(row => applyColumnMap(row, columnMap));
+                projects = sourceRows
                     .map(row => parseProject(row, config))
                     .filter(p => p !== null); // Filter out invalid rows
                 filteredProjects = [...projects];
@@ -31,12 +53,184 @@ export async function loadProjects() {
     });
 }
 
+/**
+ * Rename a row's source columns to the names parseProject expects
+ * Unmapped columns are kept as-is; a mapped column wins over an existing column of the same name
+ * @param {Object} row - Raw CSV row (or GeoJSON properties row)
+ * @param {Object} columnMap - Map of source column -> project column
+ * @returns {Object} Row with project column names
+ */
+export function applyColumnMap(row, columnMap) {
+    const mapped = {};
+    Object.entries(row).forEach(([column, value]) => {
+        if (!columnMap[column]) {
+            mapped[column] = value;
+        }
+    });
+    Object.entries(row).forEach(([column, value]) => {
+        if (columnMap[column]) {
+            mapped[columnMap[column]] = value;
+        }
+    });
+    return mapped;
+}
+
+/**
+ * Rename project columns back to their source names for export (the reverse of applyColumnMap)
+ * @param {Array} headers - Project column names
+ * @param {Object} columnMap - Map of source column -> project column
+ * @returns {Array} Header names as they appeared in the source data
+ */
+export function unmapColumns(headers, columnMap) {
+    const reverse = {};
+    Object.entries(columnMap).forEach(([source, field]) => {
+        if (!(field in reverse)) {
+            reverse[field] = source;
+        }
+    });
+    return headers.map(header => reverse[header] || header);
+}
+
+/**
+ * Check if a data file should be read as GeoJSON rather than CSV
+ * @param {string} url - Data file URL
+ * @returns {boolean}
+ */
+export function isGeoJsonFile(url) {
+    return /\.(geo)?json$/i.test(String(url || '').split(/[?#]/)[0]);
+}
+
+/**
+ * Load and parse a GeoJSON FeatureCollection of projects
+ */
+async function loadProjectsGeoJson(config) {
+    const response = await fetch(config.dataFile);
+    if (!response.ok) {
+        throw new Error(`Failed to load ${config.dataFile}: ${response.status}`);
+    }
+    
+    const collection = await response.json();
+    const columnMap = getColumnMap();
+    sourceRows = (collection?.features || []).map(feature => applyColumnMap(featureToRow(feature), columnMap));
+    projects = sourceRows
+        .map(row => parseProject(row, config))
+        .filter(p => p !== null); // Filter out invalid features
+    filteredProjects = [...projects];
+    return projects;
+}
+
+/**
+ * Convert a GeoJSON feature into a CSV-style row so it goes through parseProject
+ * Properties use the CSV column names; a Point becomes lat/lng, anything else the geometry column
+ * @param {Object} feature - GeoJSON Feature
+ * @returns {Object} Row of string values
+ */
+export function featureToRow(feature) {
+    const row = {};
+    Object.entries(feature?.properties || {}).forEach(([key, value]) => {
+        if (value === null || value === undefined) {
+            row[key] = '';
+        } else if (Array.isArray(value)) {
+            row[key] = value.join(', ');
+        } else {
+            row[key] = String(value);
+        }
+    });
+    
+    if (!row.id && feature?.id !== undefined && feature?.id !== null) {
+        row.id = String(feature.id);
+    }
+    
+    const geometry = feature?.geometry;
+    if (isValidGeometry(geometry)) {
+        if (geometry.type === 'Point') {
+            row.lng = row.lng || String(geometry.coordinates[0]);
+            row.lat = row.lat || String(geometry.coordinates[1]);
+        } else {
+            row.geometry = toWkt(geometry);
+        }
+    }
+    
+    return row;
+}
+
+/**
+ * Convert a row into a GeoJSON feature (the reverse of featureToRow)
+ * The project's geometry (or its lat/lng as a Point) becomes the feature geometry; the
+ * remaining columns become properties
+ * @param {Object} row - Row with project column names
+ * @param {Object} config - App configuration
+ * @returns {Object|null} GeoJSON Feature, or null for rows parseProject skips
+ */
+export function rowToFeature(row, config) {
+    const project = parseProject(row, config);
+    if (!project) return null;
+    
+    let geometry = null;
+    if (project.geometry) {
+        geometry = project.geometry;
+    } else if (project.hasLocation) {
+        geometry = { type: 'Point', coordinates: [project.lng, project.lat] };
+    }
+    
+    const properties = { ...row, id: project.id };
+    delete properties.lat;
+    delete properties.lng;
+    delete properties.geometry;
+    
+    return { type: 'Feature', id: project.id, properties, geometry };
+}
+
+/**
+ * Load a sidecar GeoJSON file of project geometries keyed by project id
+ * @param {string} url - GeoJSON FeatureCollection URL
+ */
+async function loadGeometryFile(url) {
+    try {
+        const response = await fetch(url);
+        if (!response.ok) {
+            console.error('Failed to load geometry file:', response.status);
+            return;
+        }
+        applyGeometryFeatures(projects, await response.json());
+    } catch (error) {
+        console.error('Failed to load geometry file:', error);
+    }
+}
+
+/**
+ * Attach geometries from a GeoJSON FeatureCollection to projects
+ * Features are matched on properties.id (or the feature id); a geometry column in the CSV wins
+ * @param {Array} projectList - Parsed projects (modified in place)
+ * @param {Object} featureCollection - GeoJSON FeatureCollection
+ */
+export function applyGeometryFeatures(projectList, featureCollection) {
+    const byId = new Map(projectList.map(p => [String(p.id), p]));
+    
+    (featureCollection?.features || []).forEach(feature => {
+        const id = feature.properties?.id ?? feature.id;
+        const project = byId.get(String(id));
+        if (!project || project.geometry || !isValidGeometry(feature.geometry)) {
+            return;
+        }
+        
+        project.geometry = feature.geometry;
+        if (!project.hasLocation) {
+            const center = getGeometryCenter(feature.geometry);
+            project.lat = center.lat;
+            project.lng = center.lng;
+            project.hasLocation = true;
+        }
+    });
+}
+
 /**
  * Parse a currency/number value that may contain commas, $ signs, etc.
+ * Only the leading number is read ("5M" is 5)
  * @param {string|number} value - The value to parse
  * @returns {number} Parsed number or 0
  */
-function parseCurrency(value) {
+export function parseCurrency(value) {
     if (value === null || value === undefined || value === '') return 0;
     if (typeof value === 'number') return value;
     // Remove $, commas, spaces and parse
@@ -128,6 +322,11 @@ export function parseProject(row, config) {
         return value;
     };
 
+    // Optional line/polygon geometry (WKT or encoded polyline); its center stands in for a missing lat/lng
+    // (polylines outside the map area are dropped: placeholder text decodes as one)
+    const geometry = parseGeometry(row.geometry, getMinZoomBounds(config));
+    const geometryCenter = geometry && !(row.lat && row.lng) ? getGeometryCenter(geometry) : null;
+
     // Default values for optional fields
     const defaultType = Object.keys(config.projectTypes || {})[0] || 'Other';
     const defaultStatus = (config.statusOptions || [])[0] || 'Planning';
@@ -141,9 +340,10 @@ export function parseProject(row, config) {
         priority: row.priority || defaultPriority,
         description: row.description || null,
         locationName: row.location_name || null,
-        lat: row.lat ? parseFloat(row.lat) : null,
-        lng: row.lng ? parseFloat(row.lng) : null,
-        hasLocation: !!(row.lat && row.lng),
+        lat: row.lat ? parseFloat(row.lat) : (geometryCenter ? geometryCenter.lat : null),
+        lng: row.lng ? parseFloat(row.lng) : (geometryCenter ? geometryCenter.lng : null),
+        hasLocation: !!(row.lat && row.lng) || !!geometryCenter,
+        geometry,
         fundingYears,
         totalFunding,
         priorFunding,
@@ -201,6 +401,14 @@ export function getProjects() {
     return projects;
 }
 
+/**
+ * Get the data file rows as loaded (before parsing, after column mapping)
+ * @returns {Array} Row objects in file order
+ */
+export function getSourceRows() {
+    return sourceRows;
+}
+
 /**
  * Get filtered projects
  * @returns {Array} Filtered projects
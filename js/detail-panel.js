@@ -7,10 +7,12 @@ import { getConfig, isSurveyMode, isResultsMode } from './config.js';
 import { getProjects } from './data.js';
 import { cloneTemplate } from './templates.js';
 import { formatCurrency, formatDate, isPastDate } from './utils.js';
-import { panTo, setMapView } from './map.js';
+import { panTo, setMapView, revealProjectMarker } from './map.js';
 import { assignLink } from './location-editor.js';
 import { wireVoteButtons } from './vote-buttons.js';
 import { hasUser, showUserDialog } from './user.js';
+import { restoreFiltersFromUrl } from './filters.js';
+import { restoreSortFromUrl, setListSort, getListSort } from './sort-controls.js';
 
 // Currently selected project
 let selectedProject = null;
@@ -44,28 +46,33 @@ export function getSelectedProject() {
 
 /**
  * Select a project and show its detail panel
+ * @param {Object} project - Project to show
+ * @param {Object} options - { updateHistory: false } when the URL already names the project
+ *   (shared links, back/forward)
  */
-export function selectProject(project) {
+export function selectProject(project, { updateHistory = true } = {}) {
     // Require profile before viewing details (all modes)
     if (!hasUser()) {
         showUserDialog('Please fill out a profile to view project details', () => {
-            doSelectProject(project);
+            doSelectProject(project, updateHistory);
         });
         return;
     }
-    doSelectProject(project);
+    doSelectProject(project, updateHistory);
 }
 
 /**
  * Internal function to select project after user check
  */
-function doSelectProject(project) {
+function doSelectProject(project, updateHistory) {
     selectedProject = project;
     
-    // Update URL
+    // Update URL (a new history entry, so Back returns to the previous project or the list)
     const url = new URL(window.location);
-    url.searchParams.set('project', project.id);
-    window.history.pushState({}, '', url);
+    if (updateHistory && url.searchParams.get('project') !== project.id) {
+        url.searchParams.set('project', project.id);
+        window.history.pushState({}, '', url);
+    }
 
     // Highlight card
     document.querySelectorAll('.project-card').forEach(card => {
@@ -89,6 +96,59 @@ function doSelectProject(project) {
  * Show the detail panel for a project
  */
 export function showDetailPanel(project) {
+    const fragment = createProjectDetail(project);
+
+    // Learn more link (conditional)
+    if (project.link) {
+        const learnMoreBtn = fragment.querySelector('.learn-more-btn');
+        learnMoreBtn.hidden = false;
+        learnMoreBtn.href = project.link;
+    } else {
+        // Show "Add Link" button if no link exists
+        const addLinkBtn = fragment.querySelector('.add-link-btn');
+        addLinkBtn.hidden = false;
+        addLinkBtn.addEventListener('click', () => {
+            const url = prompt('Enter the project URL:', 'https://');
+            if (url && url.trim() && url !== 'https://') {
+                assignLink(project, url.trim());
+                // Refresh the detail panel to show the new link
+                showDetailPanel(project);
+                if (onProjectModified) onProjectModified();
+            }
+        });
+    }
+
+    // View on map button (conditional)
+    if (project.hasLocation) {
+        const viewMapBtn = fragment.querySelector('.view-map-btn');
+        viewMapBtn.hidden = false;
+        viewMapBtn.addEventListener('click', () => zoomToProject(project.id));
+    }
+
+    // Wire up vote buttons
+    wireVoteButtons(fragment, project, onShowCommentDialog);
+
+    // Replace content
+    const detailContent = document.getElementById('detailContent');
+    detailContent.innerHTML = '';
+    detailContent.appendChild(fragment);
+
+    // Show panel and reset scroll position
+    document.getElementById('detailOverlay').classList.add('open');
+    
+    // Reset scroll on the scrollable container (detailContent, not detailPanel)
+    requestAnimationFrame(() => {
+        detailContent.scrollTop = 0;
+    });
+}
+
+/**
+ * Build the read-only project detail content (no vote buttons or actions wired)
+ * Shared by the detail panel and the pairwise comparison dialog
+ * @param {Object} project - The project to display
+ * @returns {DocumentFragment} Populated project-detail template
+ */
+export function createProjectDetail(project) {
     const config = getConfig();
     const typeConfig = config.projectTypes[project.type] || { color: '#95a5a6', icon: 'folder' };
     const statusClass = 'status-' + project.status.toLowerCase().replace(/[^a-z]/g, '-');
@@ -205,60 +265,22 @@ export function showDetailPanel(project) {
         deptSection.querySelector('.department-name').textContent = project.department;
     }
 
-    // Learn more link (conditional)
-    if (project.link) {
-        const learnMoreBtn = fragment.querySelector('.learn-more-btn');
-        learnMoreBtn.hidden = false;
-        learnMoreBtn.href = project.link;
-    } else {
-        // Show "Add Link" button if no link exists
-        const addLinkBtn = fragment.querySelector('.add-link-btn');
-        addLinkBtn.hidden = false;
-        addLinkBtn.addEventListener('click', () => {
-            const url = prompt('Enter the project URL:', 'https://');
-            if (url && url.trim() && url !== 'https://') {
-                assignLink(project, url.trim());
-                // Refresh the detail panel to show the new link
-                showDetailPanel(project);
-                if (onProjectModified) onProjectModified();
-            }
-        });
-    }
-
-    // View on map button (conditional)
-    if (project.hasLocation) {
-        const viewMapBtn = fragment.querySelector('.view-map-btn');
-        viewMapBtn.hidden = false;
-        viewMapBtn.addEventListener('click', () => zoomToProject(project.id));
-    }
-
-    // Wire up vote buttons
-    wireVoteButtons(fragment, project, onShowCommentDialog);
-
-    // Replace content
-    const detailContent = document.getElementById('detailContent');
-    detailContent.innerHTML = '';
-    detailContent.appendChild(fragment);
-
-    // Show panel and reset scroll position
-    document.getElementById('detailOverlay').classList.add('open');
-    
-    // Reset scroll on the scrollable container (detailContent, not detailPanel)
-    requestAnimationFrame(() => {
-        detailContent.scrollTop = 0;
-    });
+    return fragment;
 }
 
 /**
  * Close the detail panel
+ * @param {Object} options - { updateHistory: false } when the URL has already dropped the project
  */
-export function closeDetailPanel() {
+export function closeDetailPanel({ updateHistory = true } = {}) {
     document.getElementById('detailOverlay').classList.remove('open');
     
     // Update URL
     const url = new URL(window.location);
-    url.searchParams.delete('project');
-    window.history.pushState({}, '', url);
+    if (updateHistory && url.searchParams.has('project')) {
+        url.searchParams.delete('project');
+        window.history.pushState({}, '', url);
+    }
 
     selectedProject = null;
     document.querySelectorAll('.project-card').forEach(card => {
@@ -274,22 +296,32 @@ export function zoomToProject(projectId) {
     const project = projects.find(p => p.id === projectId);
     if (project && project.hasLocation) {
         setMapView(project.lat, project.lng, 16);
+        revealProjectMarker(project.id);
         closeDetailPanel();
     }
 }
 
 /**
- * Check URL parameters for project selection
+ * Make the page match the URL: filters, list sort, and which project (if any) is open
+ * Used on load for shared links and on back/forward (popstate)
  */
 export function checkUrlParams() {
     const projects = getProjects();
     const params = new URLSearchParams(window.location.search);
     const projectId = params.get('project');
     
-    if (projectId) {
-        const project = projects.find(p => p.id === projectId);
-        if (project) {
-            selectProject(project);
+    // Sort first, so re-filtering renders the list once, in the restored order
+    const sortChanged = restoreSortFromUrl();
+    if (!restoreFiltersFromUrl() && sortChanged) {
+        setListSort(getListSort());
+    }
+    
+    const project = projectId ? projects.find(p => p.id === projectId) : null;
+    if (project) {
+        if (project !== selectedProject) {
+            selectProject(project, { updateHistory: false });
         }
+    } else if (selectedProject) {
+        closeDetailPanel({ updateHistory: false });
     }
 }
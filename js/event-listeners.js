@@ -4,11 +4,13 @@
  */
 
 import { invalidateMapSize } from './map.js';
-import { closeDetailPanel } from './detail-panel.js';
-import { setSearchFilter, clearAllFilters } from './filters.js';
+import { closeDetailPanel, checkUrlParams } from './detail-panel.js';
+import { setSearchFilter, clearAllFilters, updateFilterUrl } from './filters.js';
 import {
     toggleNoLocationFilter,
     exitLocationAssignMode,
+    setAssignShape,
+    finishDraftGeometry,
     downloadUpdatedCsv
 } from './location-editor.js';
 import {
@@ -19,6 +21,8 @@ import {
     handleWizardNext,
     handleWizardBack
 } from './user.js';
+import { hidePairwiseDialog } from './pairwise-dialog.js';
+import { hideSegmentDialog } from './segment-dialog.js';
 
 /**
  * Initialize all event listeners
@@ -29,7 +33,7 @@ import {
  * @param {Function} callbacks.handleCommentDialogOk - Function to handle comment OK
  */
 export function initEventListeners(callbacks) {
-    const { renderProjects, renderMarkers, hideCommentDialog, handleCommentDialogOk } = callbacks;
+    const { renderProjects, renderMarkers, selectAdjacentProject, hideCommentDialog, handleCommentDialogOk } = callbacks;
 
     // Sidebar toggle (desktop)
     const sidebarToggle = document.getElementById('sidebarToggle');
@@ -105,6 +109,11 @@ export function initEventListeners(callbacks) {
         }
     });
 
+    // Browser back/forward: the URL is the source of truth for filters and the open project
+    window.addEventListener('popstate', () => {
+        checkUrlParams();
+    });
+
     // Keyboard navigation
     document.addEventListener('keydown', (e) => {
         if (e.key === 'Escape') {
@@ -112,6 +121,8 @@ export function initEventListeners(callbacks) {
             exitLocationAssignMode();
             hideUserDialog();
             hideCommentDialog();
+            hidePairwiseDialog();
+            hideSegmentDialog();
             // Mobile sidebar
             document.getElementById('sidebar').classList.remove('open');
             document.getElementById('sidebarClose').classList.remove('visible');
@@ -120,6 +131,17 @@ export function initEventListeners(callbacks) {
             sidebarToggle.classList.remove('active');
             setTimeout(() => invalidateMapSize(), 350);
         }
+
+        // Up/down steps through the project list in its sort order (not while typing, in a
+        // dialog, or on the map, where the arrow keys pan)
+        if ((e.key === 'ArrowDown' || e.key === 'ArrowUp') && !e.altKey && !e.ctrlKey && !e.metaKey && !e.shiftKey) {
+            const typing = e.target.closest?.('input, textarea, select, [contenteditable="true"]');
+            const inDialog = document.querySelector('.dialog-overlay:not([hidden])');
+            if (!typing && !inDialog && !e.target.closest?.('#map')) {
+                e.preventDefault();
+                selectAdjacentProject(e.key === 'ArrowDown' ? 1 : -1);
+            }
+        }
     });
 
     // No location filter checkbox
@@ -130,6 +152,7 @@ export function initEventListeners(callbacks) {
         toggleNoLocationFilter();
         noLocationFilter.classList.toggle('active', noLocationCheckbox.checked);
         document.getElementById('sidebar').classList.toggle('no-location-mode', noLocationCheckbox.checked);
+        updateFilterUrl();
         renderProjects();
         renderMarkers();
     });
@@ -144,6 +167,20 @@ export function initEventListeners(callbacks) {
         exitLocationAssignMode();
     });
 
+    // Point / Line / Area toggle and Finish for drawn shapes
+    document.querySelectorAll('#bannerShapes .btn-shape').forEach(btn => {
+        btn.addEventListener('click', () => {
+            setAssignShape(btn.dataset.shape);
+        });
+    });
+
+    document.getElementById('finishLocationAssign').addEventListener('click', () => {
+        if (finishDraftGeometry()) {
+            renderProjects();
+            renderMarkers();
+        }
+    });
+
     // User button and dialog
     document.getElementById('userBtn').addEventListener('click', () => {
         showUserDialog();
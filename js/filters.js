@@ -5,7 +5,13 @@
 
 import { getConfig, getTypeDisplayName } from './config.js';
 import { cloneTemplate } from './templates.js';
-import { getProjects, setFilteredProjects } from './data.js';
+import { formatCurrency } from './utils.js';
+import { getProjects, setFilteredProjects, getMaxFunding } from './data.js';
+import { isNoLocationFilterActive, setNoLocationFilter } from './location-editor.js';
+import { parseSearchQuery, matchesSearch } from './search.js';
+import { getGeometryPoints, isPointInArea } from './geometry.js';
+import { getHexGridConfig, hexIdToPoints } from './user.js';
+import { getUserAreaCenter, getProjectDistance } from './nearby.js';
 
 // Filter state
 let filters = {
@@ -13,50 +19,82 @@ let filters = {
     types: [],
     statuses: [],
     priorities: [],
+    departments: [],
+    fundingSources: [],
     fundingYearRange: null,
-    timelineRange: null
+    timelineRange: null,
+    costRange: null,
+    area: null,
+    nearRadius: null // Meters from the center of the user's hex
 };
 
+// Department and funding source chip values, from the loaded data (see getFacetOptions)
+let facetOptions = { departments: [], fundingSources: [] };
+
 // Range slider bounds
 let fundingYearBounds = null;
 let timelineBounds = null;
 let futureYear = null; // The year value used to represent "Future"
+let maxCost = null; // Most expensive project, the top of the cost slider
+
+// Cost slider: position 0 is $0, positions 1..COST_SLIDER_STEPS run logarithmically from
+// MIN_SLIDER_COST to the most expensive project
+const COST_SLIDER_STEPS = 100;
+const MIN_SLIDER_COST = 10000;
 
 // Callbacks for filter changes
 let onFiltersChanged = null;
 
+// Chip filter types -> filter state key and the project's values for that filter
+const CHIP_FILTERS = {
+    type: { key: 'types', values: project => [project.type] },
+    status: { key: 'statuses', values: project => [project.status] },
+    priority: { key: 'priorities', values: project => [project.priority] },
+    department: { key: 'departments', values: project => project.department ? [project.department.trim()] : [] },
+    source: { key: 'fundingSources', values: project => normalizeFundingSources(project.fundingSource) }
+};
+
+// Funding source names written both singular and plural ("General Obligation Bond(s)")
+const PLURAL_FUNDING_WORDS = /\b(Bond|Grant|Fee)$/i;
+
+// Query parameters that hold filter state (see serializeFilters)
+export const FILTER_PARAMS = ['q', 'type', 'status', 'priority', 'dept', 'source', 'fy', 'years', 'cost', 'area', 'near', 'noloc'];
+
 /**
  * Pure function to filter a single project against filter criteria
  * This is exported for testing purposes
  * @param {Object} project - The project to test
- * @param {Object} filterCriteria - The filter criteria
+ * @param {Object} filterCriteria - The filter criteria (parsedSearch, if given, is the search
+ *                                  already parsed, see getActiveCriteria)
  * @param {Object} config - App configuration
  * @returns {boolean} Whether the project matches all filters
  */
 export function matchesFilters(project, filterCriteria, config) {
-    // Search filter
-    if (filterCriteria.search) {
-        const searchStr = filterCriteria.search.toLowerCase();
-        const matchesSearch = 
-            project.name.toLowerCase().includes(searchStr) ||
-            (project.description && project.description.toLowerCase().includes(searchStr)) ||
-            (project.locationName && project.locationName.toLowerCase().includes(searchStr));
-        if (!matchesSearch) return false;
-    }
-
-    // Type filter
-    if (filterCriteria.types.length > 0 && !filterCriteria.types.includes(project.type)) {
-        return false;
-    }
+    return Object.keys(CHIP_FILTERS).every(filterType => matchesChipGroup(project, filterType, filterCriteria)) &&
+        matchesOtherFilters(project, filterCriteria, config);
+}
 
-    // Status filter
-    if (filterCriteria.statuses.length > 0 && !filterCriteria.statuses.includes(project.status)) {
-        return false;
-    }
+/**
+ * Check a project against one chip group (type, status, priority, department, funding source)
+ * A project matches if the group has no chips on, or if any of its values is selected
+ * @param {Object} project - The project to test
+ * @param {string} filterType - Key of CHIP_FILTERS
+ * @param {Object} filterCriteria - The filter criteria
+ */
+function matchesChipGroup(project, filterType, filterCriteria) {
+    const { key, values } = CHIP_FILTERS[filterType];
+    const selected = filterCriteria[key] || [];
+    return selected.length === 0 || values(project).some(value => selected.includes(value));
+}
 
-    // Priority filter
-    if (filterCriteria.priorities.length > 0 && !filterCriteria.priorities.includes(project.priority)) {
-        return false;
+/**
+ * Check a project against every filter but the chip groups (search, ranges, map area, near me)
+ */
+function matchesOtherFilters(project, filterCriteria, config) {
+    // Search filter (free text plus field qualifiers, see search.js)
+    if (filterCriteria.search) {
+        const query = filterCriteria.parsedSearch || parseSearchQuery(filterCriteria.search);
+        if (!matchesSearch(project, query)) return false;
     }
 
     // Funding year range filter
@@ -91,9 +129,124 @@ export function matchesFilters(project, filterCriteria, config) {
         }
     }
 
+    // Total cost range filter
+    if (filterCriteria.costRange) {
+        const { min, max } = filterCriteria.costRange;
+        const cost = project.totalFunding || 0;
+        if (cost < min || cost > max) return false;
+    }
+
+    // Map area filter: the project's marker, or any vertex of its line or shape, is inside the area
+    if (filterCriteria.area) {
+        if (!project.hasLocation) return false;
+        const points = [{ lat: project.lat, lng: project.lng }, ...getGeometryPoints(project.geometry)];
+        if (!points.some(point => isPointInArea(point, filterCriteria.area))) return false;
+    }
+
+    // Near my area filter (nearCenter is the user's hex center, see getActiveCriteria;
+    // ignored if the user hasn't picked a hex)
+    if (filterCriteria.nearRadius && filterCriteria.nearCenter) {
+        const distance = getProjectDistance(project, filterCriteria.nearCenter);
+        if (distance === null || distance > filterCriteria.nearRadius) return false;
+    }
+
     return true;
 }
 
+/**
+ * Pure function to convert a cost slider position to dollars
+ * Amounts between the ends are rounded to two significant figures so labels read cleanly
+ * @param {number} value - Slider position (0..COST_SLIDER_STEPS)
+ * @param {number} maxCostValue - Cost at the top of the slider
+ * @returns {number} Dollars
+ */
+export function sliderValueToCost(value, maxCostValue) {
+    if (value <= 0) return 0;
+    if (value >= COST_SLIDER_STEPS) return maxCostValue;
+
+    const logMin = Math.log10(MIN_SLIDER_COST);
+    const logMax = Math.log10(Math.max(maxCostValue, MIN_SLIDER_COST));
+    const cost = Math.pow(10, logMin + ((value - 1) / (COST_SLIDER_STEPS - 1)) * (logMax - logMin));
+    const magnitude = Math.pow(10, Math.floor(Math.log10(cost)) - 1);
+    return Math.min(Math.round(cost / magnitude) * magnitude, maxCostValue);
+}
+
+/**
+ * Pure function to convert dollars to the nearest cost slider position (the reverse of sliderValueToCost)
+ * @param {number} cost - Dollars
+ * @param {number} maxCostValue - Cost at the top of the slider
+ * @returns {number} Slider position (0..COST_SLIDER_STEPS)
+ */
+export function costToSliderValue(cost, maxCostValue) {
+    if (cost <= 0) return 0;
+    if (cost >= maxCostValue) return COST_SLIDER_STEPS;
+
+    const logMin = Math.log10(MIN_SLIDER_COST);
+    const logMax = Math.log10(Math.max(maxCostValue, MIN_SLIDER_COST));
+    if (cost <= MIN_SLIDER_COST || logMax === logMin) return 1;
+    const position = 1 + ((Math.log10(cost) - logMin) / (logMax - logMin)) * (COST_SLIDER_STEPS - 1);
+    return Math.min(Math.round(position), COST_SLIDER_STEPS);
+}
+
+/**
+ * Pure function to clean up a project's funding sources for filtering
+ * Splits combined sources ("Bonds/NCDOT", "Parks Bond/Grants"), drops dollar amounts (the survey
+ * data's "Anticipated Bond Funding: $9,000,000" arrives split on commas as "...: $9", "000", "000")
+ * and writes singular/plural variants one way; "General Fund / Capital Outlay" and
+ * "Water/Sewer Fund" stay whole
+ * @param {Array} sources - The project's fundingSource array
+ * @returns {Array} Unique source names
+ */
+export function normalizeFundingSources(sources) {
+    const names = [];
+    (sources || []).forEach(source => {
+        const cleaned = String(source).replace(/:\s*\$.*$/, '').replace(/\s+/g, ' ').trim();
+        if (!/[a-z]/i.test(cleaned)) return;
+
+        const parts = cleaned.split(/(?<=\S)\/(?=\S)/);
+        // A one-word alternative joined to a longer name ("Water/Sewer Fund") is a single source
+        const combined = parts.length > 1 && !(parts.length === 2 && !parts[0].includes(' ') && parts[1].includes(' '));
+        (combined ? parts : [cleaned]).forEach(part => {
+            const name = part.trim().replace(PLURAL_FUNDING_WORDS, '$1s');
+            if (name && !names.includes(name)) names.push(name);
+        });
+    });
+    return names;
+}
+
+/**
+ * Pure function to list the department and funding source values in the data
+ * @param {Array} projects - All projects
+ * @returns {Object} { departments, fundingSources }, each ordered by project count (most first)
+ */
+export function getFacetOptions(projects) {
+    const collect = (filterType) => {
+        const counts = new Map();
+        projects.forEach(project => {
+            CHIP_FILTERS[filterType].values(project).forEach(value => {
+                counts.set(value, (counts.get(value) || 0) + 1);
+            });
+        });
+        return [...counts.entries()]
+            .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+            .map(([value]) => value);
+    };
+    return { departments: collect('department'), fundingSources: collect('source') };
+}
+
+/**
+ * Get the filter state plus the user's hex center for the near my area filter
+ * (not part of the filter state itself, so shared links use the recipient's own area),
+ * and the search parsed once for the whole filtering pass
+ */
+function getActiveCriteria() {
+    return {
+        ...filters,
+        parsedSearch: filters.search ? parseSearchQuery(filters.search) : null,
+        nearCenter: filters.nearRadius ? getUserAreaCenter() : null
+    };
+}
+
 /**
  * Get current filter state
  */
@@ -142,6 +295,21 @@ export function initFilters() {
         const chip = createFilterChip(priority, priority, null, 'priority');
         priorityContainer.appendChild(chip);
     });
+
+    // Department and funding source filters (values come from the data; hidden if it has none)
+    facetOptions = getFacetOptions(getProjects());
+    [
+        ['departmentFilters', facetOptions.departments, 'department'],
+        ['fundingSourceFilters', facetOptions.fundingSources, 'source']
+    ].forEach(([containerId, values, filterType]) => {
+        const container = document.getElementById(containerId);
+        container.closest('.filter-group').hidden = values.length === 0;
+        values.forEach(value => {
+            container.appendChild(createFilterChip(value, value, null, filterType));
+        });
+    });
+
+    updateFilterChipCounts();
 }
 
 /**
@@ -167,16 +335,65 @@ function createFilterChip(value, displayName, color, filterType) {
     return fragment;
 }
 
+/**
+ * Pure function to count the projects (and dollars) each chip would show
+ * Each chip's count respects every active filter except the other chips in its own group,
+ * since chips in a group combine with OR; done in one pass over the projects
+ * @param {Array} projects - All projects
+ * @param {Object} filterCriteria - The filter criteria
+ * @param {Object} config - App configuration
+ * @returns {Object} { type: { [value]: { count, total } }, status: {...}, ... } keyed by CHIP_FILTERS type
+ */
+export function computeFacetCounts(projects, filterCriteria, config) {
+    const filterTypes = Object.keys(CHIP_FILTERS);
+    const counts = Object.fromEntries(filterTypes.map(filterType => [filterType, {}]));
+
+    projects.forEach(project => {
+        if (!matchesOtherFilters(project, filterCriteria, config)) return;
+
+        // A project left out by one chip group still counts toward that group's chips;
+        // left out by two or more, it counts toward none
+        const failed = filterTypes.filter(filterType => !matchesChipGroup(project, filterType, filterCriteria));
+        if (failed.length > 1) return;
+
+        (failed.length === 1 ? failed : filterTypes).forEach(filterType => {
+            const facet = counts[filterType];
+            CHIP_FILTERS[filterType].values(project).forEach(value => {
+                if (!facet[value]) {
+                    facet[value] = { count: 0, total: 0 };
+                }
+                facet[value].count++;
+                facet[value].total += project.totalFunding || 0;
+            });
+        });
+    });
+    return counts;
+}
+
+/**
+ * Show each chip's project count and dollars; chips that would show nothing are disabled
+ * (unless already active, so they can still be turned off)
+ */
+function updateFilterChipCounts(criteria = getActiveCriteria()) {
+    const counts = computeFacetCounts(getProjects(), criteria, getConfig());
+    document.querySelectorAll('.filter-chip').forEach(chip => {
+        const facet = counts[chip.dataset.filterType];
+        if (!facet) return;
+        const { count, total } = facet[chip.dataset.value] || { count: 0, total: 0 };
+        const countLabel = chip.querySelector('.chip-count');
+
+        countLabel.hidden = false;
+        countLabel.textContent = count > 0 ? `${count} · ${formatCurrency(total)}` : '0';
+        chip.title = `${count} project${count === 1 ? '' : 's'}, ${formatCurrency(total)}`;
+        chip.disabled = count === 0 && !chip.classList.contains('active');
+    });
+}
+
 /**
  * Toggle a filter chip on/off
  */
 export function toggleFilter(filterType, value, chipElement) {
-    const filterKeyMap = {
-        'type': 'types',
-        'status': 'statuses', 
-        'priority': 'priorities'
-    };
-    const filterKey = filterKeyMap[filterType];
+    const filterKey = CHIP_FILTERS[filterType]?.key;
     
     if (!filterKey) {
         console.error('Unknown filter type:', filterType);
@@ -316,7 +533,7 @@ export function initRangeSliders() {
             filters.fundingYearRange = { min, max };
             applyFilters();
         },
-        (val) => val >= futureYear ? 'Future' : `FY${String(val).slice(-2)}`
+        formatFundingYear
     );
 
     // Initialize timeline slider
@@ -333,6 +550,29 @@ export function initRangeSliders() {
         },
         (val) => String(val)
     );
+
+    // Initialize total cost slider (logarithmic, so small projects get most of the track)
+    maxCost = Math.max(getMaxFunding(), 0);
+    initDualRangeSlider(
+        'costMin',
+        'costMax',
+        'costSlider',
+        'costMinLabel',
+        'costMaxLabel',
+        { min: 0, max: COST_SLIDER_STEPS },
+        (min, max) => {
+            filters.costRange = { min: sliderValueToCost(min, maxCost), max: sliderValueToCost(max, maxCost) };
+            applyFilters();
+        },
+        (val) => formatCurrency(sliderValueToCost(val, maxCost))
+    );
+}
+
+/**
+ * Format a funding year slider value as a fiscal year label (e.g. 2027 -> "FY27")
+ */
+function formatFundingYear(val) {
+    return val >= futureYear ? 'Future' : `FY${String(val).slice(-2)}`;
 }
 
 /**
@@ -421,9 +661,12 @@ export function applyFilters() {
     const config = getConfig();
     const projects = getProjects();
 
-    const filtered = projects.filter(project => matchesFilters(project, filters, config));
+    const criteria = getActiveCriteria();
+    const filtered = projects.filter(project => matchesFilters(project, criteria, config));
 
     setFilteredProjects(filtered);
+    updateFilterChipCounts(criteria);
+    updateFilterUrl();
 
     if (onFiltersChanged) {
         onFiltersChanged();
@@ -439,31 +682,52 @@ export function clearAllFilters() {
         types: [],
         statuses: [],
         priorities: [],
+        departments: [],
+        fundingSources: [],
         fundingYearRange: null,
-        timelineRange: null
+        timelineRange: null,
+        costRange: null,
+        area: null,
+        nearRadius: null
     };
 
     document.getElementById('searchInput').value = '';
     document.getElementById('clearSearch').classList.remove('visible');
     document.querySelectorAll('.filter-chip').forEach(chip => chip.classList.remove('active'));
 
-    // Reset range sliders
+    // Reset range sliders and the near my area radius
+    syncRangeSliders();
+    syncNearRadiusSelect();
+
+    applyFilters();
+}
+
+/**
+ * Move the range slider handles to match the filter state (full range when unset)
+ */
+function syncRangeSliders() {
     if (fundingYearBounds) {
-        document.getElementById('fundingYearMin').value = fundingYearBounds.min;
-        document.getElementById('fundingYearMax').value = fundingYearBounds.max;
+        const { min, max } = filters.fundingYearRange || fundingYearBounds;
+        document.getElementById('fundingYearMin').value = min;
+        document.getElementById('fundingYearMax').value = max;
         updateRangeSliderUI('fundingYearSlider', 'fundingYearMinLabel', 'fundingYearMaxLabel', 
-            fundingYearBounds.min, fundingYearBounds.max, fundingYearBounds,
-            (val) => val >= futureYear ? 'Future' : `FY${String(val).slice(-2)}`);
+            min, max, fundingYearBounds, formatFundingYear);
     }
     if (timelineBounds) {
-        document.getElementById('timelineMin').value = timelineBounds.min;
-        document.getElementById('timelineMax').value = timelineBounds.max;
+        const { min, max } = filters.timelineRange || timelineBounds;
+        document.getElementById('timelineMin').value = min;
+        document.getElementById('timelineMax').value = max;
         updateRangeSliderUI('timelineSlider', 'timelineMinLabel', 'timelineMaxLabel',
-            timelineBounds.min, timelineBounds.max, timelineBounds,
-            (val) => String(val));
+            min, max, timelineBounds, (val) => String(val));
+    }
+    if (maxCost !== null) {
+        const min = filters.costRange ? costToSliderValue(filters.costRange.min, maxCost) : 0;
+        const max = filters.costRange ? costToSliderValue(filters.costRange.max, maxCost) : COST_SLIDER_STEPS;
+        document.getElementById('costMin').value = min;
+        document.getElementById('costMax').value = max;
+        updateRangeSliderUI('costSlider', 'costMinLabel', 'costMaxLabel',
+            min, max, { min: 0, max: COST_SLIDER_STEPS }, (val) => formatCurrency(sliderValueToCost(val, maxCost)));
     }
-
-    applyFilters();
 }
 
 /**
@@ -473,3 +737,228 @@ export function setSearchFilter(value) {
     filters.search = value.toLowerCase();
     applyFilters();
 }
+
+/**
+ * Set the near my area radius (null for any distance)
+ * @param {number|null} meters - Maximum distance from the center of the user's hex
+ */
+export function setNearRadiusFilter(meters) {
+    filters.nearRadius = meters || null;
+    applyFilters();
+}
+
+/**
+ * Show the near my area radius in its selector (see sort-controls.js)
+ */
+function syncNearRadiusSelect() {
+    const select = document.getElementById('nearRadiusSelect');
+    if (select) {
+        select.value = filters.nearRadius ? String(filters.nearRadius) : '';
+    }
+}
+
+/**
+ * Set the map area filter (drawn on the map, see initAreaTools in map.js)
+ * @param {Object|null} area - { shape: 'polygon', points } | { shape: 'circle', center, radius } | { shape: 'hex', hexId, points }
+ */
+export function setAreaFilter(area) {
+    filters.area = area;
+    applyFilters();
+}
+
+/**
+ * Pure function to write a map area as a query parameter value
+ * "circle:lat,lng,radius", "polygon:lat,lng;lat,lng;..." or "hex:hex_2_-1"
+ */
+function formatAreaParam(area) {
+    const coord = (value) => String(Math.round(value * 1e5) / 1e5);
+    switch (area.shape) {
+        case 'circle': return `circle:${coord(area.center.lat)},${coord(area.center.lng)},${Math.round(area.radius)}`;
+        case 'hex': return `hex:${area.hexId}`;
+        default: return `polygon:${area.points.map(([lat, lng]) => `${coord(lat)},${coord(lng)}`).join(';')}`;
+    }
+}
+
+/**
+ * Pure function to read a map area query parameter value (the reverse of formatAreaParam)
+ * @returns {Object|null} Area, or null if malformed
+ */
+function parseAreaParam(value, config) {
+    const match = String(value || '').match(/^(circle|polygon|hex):(.+)$/);
+    if (!match) return null;
+    const [, shape, body] = match;
+
+    if (shape === 'hex') {
+        const points = hexIdToPoints(body, getHexGridConfig(config));
+        return points ? { shape, hexId: body, points } : null;
+    }
+
+    const numbers = (text) => text.split(',').map(Number);
+    if (shape === 'circle') {
+        const [lat, lng, radius] = numbers(body);
+        return [lat, lng, radius].every(Number.isFinite) && radius > 0
+            ? { shape, center: { lat, lng }, radius }
+            : null;
+    }
+
+    const points = body.split(';').map(numbers);
+    return points.length >= 3 && points.every(p => p.length === 2 && p.every(Number.isFinite))
+        ? { shape, points }
+        : null;
+}
+
+/**
+ * Pure function to serialize filter state as query parameters
+ * Lists repeat their parameter (type=A&type=B) since values like "Parks, Recreation" contain commas;
+ * ranges are written as "min-max" (funding years as fiscal year labels, e.g. fy=FY26-FY28; cost in dollars)
+ * @param {Object} filterState - Filter state (see getFilters)
+ * @param {boolean} noLocation - Whether the "no location" toggle is on
+ * @param {number} futureYearValue - Slider value that represents "Future"
+ * @returns {URLSearchParams} Parameters for the active filters only
+ */
+export function serializeFilters(filterState, noLocation, futureYearValue) {
+    const params = new URLSearchParams();
+    const formatFy = (val) => val >= futureYearValue ? 'Future' : `FY${String(val).slice(-2)}`;
+    const formatRange = (range, format) => {
+        const min = format(range.min);
+        const max = format(range.max);
+        return min === max ? min : `${min}-${max}`;
+    };
+
+    if (filterState.search) params.set('q', filterState.search);
+    filterState.types.forEach(type => params.append('type', type));
+    filterState.statuses.forEach(status => params.append('status', status));
+    filterState.priorities.forEach(priority => params.append('priority', priority));
+    (filterState.departments || []).forEach(department => params.append('dept', department));
+    (filterState.fundingSources || []).forEach(source => params.append('source', source));
+    if (filterState.fundingYearRange) params.set('fy', formatRange(filterState.fundingYearRange, formatFy));
+    if (filterState.timelineRange) params.set('years', formatRange(filterState.timelineRange, String));
+    if (filterState.costRange) params.set('cost', formatRange(filterState.costRange, String));
+    if (filterState.area) params.set('area', formatAreaParam(filterState.area));
+    if (filterState.nearRadius) params.set('near', String(Math.round(filterState.nearRadius)));
+    if (noLocation) params.set('noloc', '1');
+    return params;
+}
+
+/**
+ * Pure function to read filter state from query parameters (the reverse of serializeFilters)
+ * Values not in the config (or, for departments and funding sources, not in the data) are dropped
+ * so a stale link can't hide every project
+ * @param {URLSearchParams} params - Query parameters
+ * @param {Object} config - App configuration
+ * @param {number} futureYearValue - Slider value that represents "Future"
+ * @param {Object} options - Department and funding source values (see getFacetOptions); unchecked if omitted
+ * @returns {Object} { filters, noLocation }
+ */
+export function parseFilterParams(params, config, futureYearValue, options = null) {
+    const parseFy = (label) => {
+        if (/^future$/i.test(label)) return futureYearValue;
+        const match = label.match(/^FY(\d{2})$/i);
+        return match ? parseInt(match[1], 10) + 2000 : NaN;
+    };
+    const parseRange = (value, parse) => {
+        if (!value) return null;
+        const [minText, maxText = minText] = value.split('-');
+        const min = parse(minText.trim());
+        const max = parse(maxText.trim());
+        if (!Number.isFinite(min) || !Number.isFinite(max)) return null;
+        return { min: Math.min(min, max), max: Math.max(min, max) };
+    };
+    const allowed = (key, values) => params.getAll(key).filter(value => !values || values.includes(value));
+
+    return {
+        filters: {
+            search: (params.get('q') || '').toLowerCase(),
+            types: allowed('type', Object.keys(config.projectTypes || {})),
+            statuses: allowed('status', config.statusOptions || []),
+            priorities: allowed('priority', config.priorityLevels || []),
+            departments: allowed('dept', options?.departments),
+            fundingSources: allowed('source', options?.fundingSources),
+            fundingYearRange: parseRange(params.get('fy'), parseFy),
+            timelineRange: parseRange(params.get('years'), (text) => /^\d{4}$/.test(text) ? parseInt(text, 10) : NaN),
+            costRange: parseRange(params.get('cost'), (text) => /^\d+$/.test(text) ? parseInt(text, 10) : NaN),
+            area: parseAreaParam(params.get('area'), config),
+            nearRadius: /^\d+$/.test(params.get('near') || '') && parseInt(params.get('near'), 10) > 0
+                ? parseInt(params.get('near'), 10)
+                : null
+        },
+        noLocation: params.get('noloc') === '1'
+    };
+}
+
+/**
+ * Get the current filter state as a query string (e.g. "type=Transportation&fy=FY27")
+ */
+export function getFilterQuery() {
+    return serializeFilters(filters, isNoLocationFilterActive(), futureYear).toString();
+}
+
+/**
+ * Write the current filter state to the URL (replacing the history entry, so typing in the
+ * search box doesn't flood the back button)
+ */
+export function updateFilterUrl() {
+    const url = new URL(window.location);
+    FILTER_PARAMS.forEach(key => url.searchParams.delete(key));
+    serializeFilters(filters, isNoLocationFilterActive(), futureYear).forEach((value, key) => {
+        url.searchParams.append(key, value);
+    });
+    if (url.href !== window.location.href) {
+        window.history.replaceState(window.history.state, '', url);
+    }
+}
+
+/**
+ * Restore filter state from the URL and sync the search box, chips, sliders and no-location toggle
+ * Does nothing if the URL already matches the current filters
+ * Call after initFilters and initRangeSliders
+ * @returns {boolean} True if the filters changed
+ */
+export function restoreFiltersFromUrl() {
+    const restored = parseFilterParams(new URLSearchParams(window.location.search), getConfig(), futureYear, facetOptions);
+    const clamp = (range, bounds) => range && bounds ? {
+        min: Math.max(bounds.min, Math.min(range.min, bounds.max)),
+        max: Math.max(bounds.min, Math.min(range.max, bounds.max))
+    } : null;
+
+    const nextFilters = {
+        ...restored.filters,
+        fundingYearRange: clamp(restored.filters.fundingYearRange, fundingYearBounds),
+        timelineRange: clamp(restored.filters.timelineRange, timelineBounds),
+        costRange: clamp(restored.filters.costRange, maxCost !== null ? { min: 0, max: maxCost } : null)
+    };
+    const unchanged =
+        serializeFilters(nextFilters, restored.noLocation, futureYear).toString() ===
+        serializeFilters(filters, isNoLocationFilterActive(), futureYear).toString();
+    if (unchanged) {
+        return false;
+    }
+    filters = nextFilters;
+
+    // Search box
+    const searchInput = document.getElementById('searchInput');
+    searchInput.value = filters.search;
+    document.getElementById('clearSearch').classList.toggle('visible', filters.search.length > 0);
+
+    // Chips
+    document.querySelectorAll('.filter-chip').forEach(chip => {
+        const values = filters[CHIP_FILTERS[chip.dataset.filterType]?.key] || [];
+        chip.classList.toggle('active', values.includes(chip.dataset.value));
+    });
+
+    syncRangeSliders();
+    syncNearRadiusSelect();
+
+    // No-location toggle
+    if (restored.noLocation !== isNoLocationFilterActive()) {
+        setNoLocationFilter(restored.noLocation);
+    }
+    const noLocationCheckbox = document.getElementById('noLocationCheckbox');
+    noLocationCheckbox.checked = restored.noLocation;
+    document.getElementById('noLocationFilter').classList.toggle('active', restored.noLocation);
+    document.getElementById('sidebar').classList.toggle('no-location-mode', restored.noLocation);
+
+    applyFilters();
+    syncLegendWithFilters();
+    return true;
+}
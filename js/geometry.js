@@ -0,0 +1,330 @@
+/**
+ * Geometry Module
+ * Parses and serializes line and polygon project geometries (WKT, encoded polylines, GeoJSON)
+ * Geometries use GeoJSON conventions: { type, coordinates } with [lng, lat] positions
+ */
+
+const SUPPORTED_TYPES = ['Point', 'LineString', 'MultiLineString', 'Polygon', 'MultiPolygon'];
+const EARTH_RADIUS_METERS = 6371000;
+
+// Viewport assumed when working out what is visible at minZoom (a typical desktop map)
+const REFERENCE_VIEWPORT = { width: 1280, height: 800 };
+
+/**
+ * Parse a geometry column value: WKT (e.g. "LINESTRING (-78.85 35.73, ...)") or an encoded polyline
+ * Almost any text decodes as a polyline ("TBD" lands near 0, 0), so a polyline is only accepted
+ * if every position is a real lat/lng, and inside bounds when they're given
+ * @param {string} value - Raw column value
+ * @param {Object} bounds - { south, west, north, east } the polyline must lie in (see getMinZoomBounds)
+ * @returns {Object|null} GeoJSON geometry or null if empty/invalid
+ */
+export function parseGeometry(value, bounds = null) {
+    if (!value || !String(value).trim()) return null;
+    const text = String(value).trim();
+    if (/^[A-Za-z]+\s*\(/.test(text)) {
+        return parseWkt(text);
+    }
+
+    const line = decodePolyline(text);
+    const inBounds = ([lng, lat]) => Math.abs(lat) <= 90 && Math.abs(lng) <= 180 && (!bounds ||
+        (lat >= bounds.south && lat <= bounds.north && lng >= bounds.west && lng <= bounds.east));
+    return line && line.coordinates.every(inBounds) ? line : null;
+}
+
+/**
+ * Get the lat/lng box visible around mapCenter when zoomed all the way out to minZoom
+ * @param {Object} config - App configuration
+ * @param {Object} viewport - Map size in pixels
+ * @returns {Object|null} { south, west, north, east } or null if minZoom/mapCenter aren't set
+ */
+export function getMinZoomBounds(config, viewport = REFERENCE_VIEWPORT) {
+    const center = config.mapCenter;
+    if (!center || typeof config.minZoom !== 'number') {
+        return null;
+    }
+
+    // Web Mercator: the world is 256 * 2^zoom pixels across
+    const worldSize = 256 * Math.pow(2, config.minZoom);
+    const halfLng = (viewport.width / 2) / worldSize * 360;
+
+    const toY = (lat) => {
+        const sin = Math.sin(lat * Math.PI / 180);
+        return (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * worldSize;
+    };
+    const toLat = (y) => {
+        const n = Math.PI - 2 * Math.PI * y / worldSize;
+        return Math.atan(Math.sinh(n)) * 180 / Math.PI;
+    };
+    const centerY = toY(center.lat);
+
+    return {
+        south: toLat(centerY + viewport.height / 2),
+        west: center.lng - halfLng,
+        north: toLat(centerY - viewport.height / 2),
+        east: center.lng + halfLng
+    };
+}
+
+/**
+ * Parse a WKT string
+ * Supports POINT, LINESTRING, MULTILINESTRING, POLYGON and MULTIPOLYGON
+ * @param {string} wkt - WKT text
+ * @returns {Object|null} GeoJSON geometry or null if invalid
+ */
+export function parseWkt(wkt) {
+    const match = String(wkt).trim().match(/^([A-Za-z]+)\s*(\(.*\))$/s);
+    if (!match) return null;
+
+    const type = {
+        POINT: 'Point',
+        LINESTRING: 'LineString',
+        MULTILINESTRING: 'MultiLineString',
+        POLYGON: 'Polygon',
+        MULTIPOLYGON: 'MultiPolygon'
+    }[match[1].toUpperCase()];
+    if (!type) return null;
+
+    // Turn "((1 2, 3 4))" into nested arrays by rewriting it as JSON
+    const json = match[2]
+        .replace(/\(/g, '[')
+        .replace(/\)/g, ']')
+        .replace(/(-?[\d.]+(?:e-?\d+)?)\s+(-?[\d.]+(?:e-?\d+)?)/gi, '[$1,$2]');
+
+    let nested;
+    try {
+        nested = JSON.parse(json);
+    } catch (e) {
+        return null;
+    }
+
+    // POINT (x y) parses as [[x, y]]; everything else has one extra level of nesting
+    const coordinates = type === 'Point' ? nested[0] : nested;
+    return isValidGeometry({ type, coordinates }) ? { type, coordinates } : null;
+}
+
+/**
+ * Serialize a geometry as WKT
+ * @param {Object} geometry - GeoJSON geometry
+ * @returns {string} WKT text (empty string for no geometry)
+ */
+export function toWkt(geometry) {
+    if (!geometry) return '';
+    const position = ([lng, lat]) => `${lng} ${lat}`;
+    const ring = (positions) => `(${positions.map(position).join(', ')})`;
+    const rings = (list) => `(${list.map(ring).join(', ')})`;
+
+    switch (geometry.type) {
+        case 'Point':
+            return `POINT (${position(geometry.coordinates)})`;
+        case 'LineString':
+            return `LINESTRING ${ring(geometry.coordinates)}`;
+        case 'MultiLineString':
+            return `MULTILINESTRING ${rings(geometry.coordinates)}`;
+        case 'Polygon':
+            return `POLYGON ${rings(geometry.coordinates)}`;
+        case 'MultiPolygon':
+            return `MULTIPOLYGON (${geometry.coordinates.map(rings).join(', ')})`;
+        default:
+            return '';
+    }
+}
+
+/**
+ * Decode a Google encoded polyline into a LineString
+ * @param {string} encoded - Encoded polyline
+ * @param {number} precision - Decimal places (5 for Google, 6 for OSRM/Valhalla)
+ * @returns {Object|null} LineString geometry or null if invalid
+ */
+export function decodePolyline(encoded, precision = 5) {
+    const factor = Math.pow(10, precision);
+    const coordinates = [];
+    let index = 0;
+    let lat = 0;
+    let lng = 0;
+
+    const nextValue = () => {
+        let result = 0;
+        let shift = 0;
+        let byte;
+        do {
+            if (index >= encoded.length) return null;
+            byte = encoded.charCodeAt(index++) - 63;
+            if (byte < 0 || byte > 63) return null;
+            result |= (byte & 0x1f) << shift;
+            shift += 5;
+        } while (byte >= 0x20);
+        return (result & 1) ? ~(result >> 1) : (result >> 1);
+    };
+
+    while (index < encoded.length) {
+        const dLat = nextValue();
+        const dLng = nextValue();
+        if (dLat === null || dLng === null) return null;
+        lat += dLat;
+        lng += dLng;
+        coordinates.push([lng / factor, lat / factor]);
+    }
+
+    return coordinates.length >= 2 ? { type: 'LineString', coordinates } : null;
+}
+
+/**
+ * Encode a list of [lng, lat] positions as a Google encoded polyline
+ * @param {Array} coordinates - Positions
+ * @param {number} precision - Decimal places
+ * @returns {string} Encoded polyline
+ */
+export function encodePolyline(coordinates, precision = 5) {
+    const factor = Math.pow(10, precision);
+    let prevLat = 0;
+    let prevLng = 0;
+    let encoded = '';
+
+    const encodeValue = (value) => {
+        let v = value < 0 ? ~(value << 1) : (value << 1);
+        let chunk = '';
+        while (v >= 0x20) {
+            chunk += String.fromCharCode((0x20 | (v & 0x1f)) + 63);
+            v >>= 5;
+        }
+        return chunk + String.fromCharCode(v + 63);
+    };
+
+    coordinates.forEach(([lng, lat]) => {
+        const latE = Math.round(lat * factor);
+        const lngE = Math.round(lng * factor);
+        encoded += encodeValue(latE - prevLat) + encodeValue(lngE - prevLng);
+        prevLat = latE;
+        prevLng = lngE;
+    });
+
+    return encoded;
+}
+
+/**
+ * Check that a geometry has a supported type and well-formed coordinates
+ */
+export function isValidGeometry(geometry) {
+    if (!geometry || !SUPPORTED_TYPES.includes(geometry.type)) return false;
+
+    const isPosition = (p) => Array.isArray(p) && p.length >= 2 &&
+        Number.isFinite(p[0]) && Number.isFinite(p[1]);
+    const isLine = (l) => Array.isArray(l) && l.length >= 2 && l.every(isPosition);
+    const isRing = (r) => Array.isArray(r) && r.length >= 3 && r.every(isPosition);
+    const isPolygon = (p) => Array.isArray(p) && p.length >= 1 && p.every(isRing);
+    const c = geometry.coordinates;
+
+    switch (geometry.type) {
+        case 'Point': return isPosition(c);
+        case 'LineString': return isLine(c);
+        case 'MultiLineString': return Array.isArray(c) && c.length >= 1 && c.every(isLine);
+        case 'Polygon': return isPolygon(c);
+        case 'MultiPolygon': return Array.isArray(c) && c.length >= 1 && c.every(isPolygon);
+    }
+    return false;
+}
+
+/**
+ * Flatten every position in a geometry
+ */
+function getPositions(geometry) {
+    switch (geometry.type) {
+        case 'Point': return [geometry.coordinates];
+        case 'LineString': return geometry.coordinates;
+        case 'MultiLineString':
+        case 'Polygon': return geometry.coordinates.flat();
+        case 'MultiPolygon': return geometry.coordinates.flat(2);
+    }
+    return [];
+}
+
+/**
+ * Get a representative point for a geometry (center of its bounding box)
+ * Used for the project's marker and anything that needs a single lat/lng
+ * @returns {Object|null} { lat, lng }
+ */
+export function getGeometryCenter(geometry) {
+    const positions = geometry ? getPositions(geometry) : [];
+    if (positions.length === 0) return null;
+
+    const lngs = positions.map(p => p[0]);
+    const lats = positions.map(p => p[1]);
+    return {
+        lat: (Math.min(...lats) + Math.max(...lats)) / 2,
+        lng: (Math.min(...lngs) + Math.max(...lngs)) / 2
+    };
+}
+
+/**
+ * Convert a geometry's coordinates to Leaflet [lat, lng] order
+ * @returns {Array} Nested arrays of [lat, lng] suitable for L.polyline / L.polygon
+ */
+export function toLatLngs(geometry) {
+    const flip = ([lng, lat]) => [lat, lng];
+    switch (geometry.type) {
+        case 'Point': return flip(geometry.coordinates);
+        case 'LineString': return geometry.coordinates.map(flip);
+        case 'MultiLineString':
+        case 'Polygon': return geometry.coordinates.map(line => line.map(flip));
+        case 'MultiPolygon': return geometry.coordinates.map(polygon => polygon.map(ring => ring.map(flip)));
+    }
+    return [];
+}
+
+/**
+ * Check if a geometry is drawn as an area (polygon) rather than a line
+ */
+export function isAreaGeometry(geometry) {
+    return geometry?.type === 'Polygon' || geometry?.type === 'MultiPolygon';
+}
+
+/**
+ * Get every position in a geometry as { lat, lng } points
+ */
+export function getGeometryPoints(geometry) {
+    return geometry ? getPositions(geometry).map(([lng, lat]) => ({ lat, lng })) : [];
+}
+
+/**
+ * Distance between two points in meters (haversine)
+ * @param {Object} a - { lat, lng }
+ * @param {Object} b - { lat, lng }
+ * @returns {number} Meters
+ */
+export function distanceMeters(a, b) {
+    const toRad = (deg) => deg * Math.PI / 180;
+    const dLat = toRad(b.lat - a.lat);
+    const dLng = toRad(b.lng - a.lng);
+    const h = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2;
+    return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+/**
+ * Check if a point is inside a polygon ring (ray casting)
+ * @param {Object} point - { lat, lng }
+ * @param {Array} ring - [[lat, lng], ...], open or closed
+ */
+export function isPointInRing(point, ring) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [latI, lngI] = ring[i];
+        const [latJ, lngJ] = ring[j];
+        const crosses = (latI > point.lat) !== (latJ > point.lat) &&
+            point.lng < (lngJ - lngI) * (point.lat - latI) / (latJ - latI) + lngI;
+        if (crosses) inside = !inside;
+    }
+    return inside;
+}
+
+/**
+ * Check if a point is inside a map area filter
+ * @param {Object} point - { lat, lng }
+ * @param {Object} area - { shape: 'circle', center, radius } (meters) or { shape: 'polygon' | 'hex', points }
+ */
+export function isPointInArea(point, area) {
+    if (area.shape === 'circle') {
+        return distanceMeters(point, area.center) <= area.radius;
+    }
+    return Array.isArray(area.points) && area.points.length >= 3 && isPointInRing(point, area.points);
+}
@@ -1,17 +1,21 @@
 /**
  * Location Editor Module
- * Handles assigning locations to projects via map clicks
+ * Handles assigning locations (points, lines or areas) to projects via map clicks
  * Also handles other project modifications like links
  */
 
-import { getProjects, getFilteredProjects } from './data.js';
-import { getConfig } from './config.js';
+import { getProjects, getFilteredProjects, unmapColumns } from './data.js';
+import { getConfig, getColumnMap } from './config.js';
+import { getGeometryCenter, toWkt } from './geometry.js';
+import { escapeCsvValue, downloadCsv } from './utils.js';
 
 // State
 let isLocationEditMode = false;
 let showOnlyNoLocation = false;
 let projectToAssign = null;
-let modifiedLocations = new Map(); // projectId -> { lat, lng }
+let assignShape = 'point'; // 'point' | 'line' | 'polygon'
+let draftVertices = []; // [lat, lng] points clicked so far for a line or polygon
+let modifiedLocations = new Map(); // projectId -> { lat, lng, geometry }
 let modifiedLinks = new Map(); // projectId -> link
 let onStateChanged = null;
 
@@ -31,6 +35,14 @@ export function toggleNoLocationFilter() {
     return showOnlyNoLocation;
 }
 
+/**
+ * Turn the "no location" filter on or off without notifying (e.g. when restoring it from the URL;
+ * the caller re-renders)
+ */
+export function setNoLocationFilter(active) {
+    showOnlyNoLocation = active;
+}
+
 /**
  * Set callback for state changes
  */
@@ -68,6 +80,8 @@ export function enterLocationAssignMode(project) {
 export function exitLocationAssignMode() {
     projectToAssign = null;
     isLocationEditMode = false;
+    assignShape = 'point';
+    draftVertices = [];
     document.body.classList.remove('location-assign-mode');
     if (onStateChanged) onStateChanged();
 }
@@ -82,9 +96,88 @@ export function assignLocation(lat, lng) {
     projectToAssign.lat = lat;
     projectToAssign.lng = lng;
     projectToAssign.hasLocation = true;
+    projectToAssign.geometry = null;
+    
+    // Track this modification
+    modifiedLocations.set(projectToAssign.id, { lat, lng, geometry: null });
+    
+    // Exit assignment mode
+    exitLocationAssignMode();
+    
+    return true;
+}
+
+/**
+ * Get the kind of location being assigned
+ * @returns {string} 'point' | 'line' | 'polygon'
+ */
+export function getAssignShape() {
+    return assignShape;
+}
+
+/**
+ * Switch between assigning a point, a line or an area (discards any vertices drawn so far)
+ */
+export function setAssignShape(shape) {
+    assignShape = shape;
+    draftVertices = [];
+    if (onStateChanged) onStateChanged();
+}
+
+/**
+ * Get the vertices drawn so far for a line or polygon
+ * @returns {Array} [lat, lng] points
+ */
+export function getDraftVertices() {
+    return draftVertices;
+}
+
+/**
+ * Add a vertex to the line or polygon being drawn
+ */
+export function addDraftVertex(lat, lng) {
+    draftVertices.push([lat, lng]);
+    if (onStateChanged) onStateChanged();
+}
+
+/**
+ * Check if enough vertices have been drawn to finish the shape
+ */
+export function canFinishDraft() {
+    return draftVertices.length >= (assignShape === 'polygon' ? 3 : 2);
+}
+
+/**
+ * Pure function to build a GeoJSON geometry from drawn vertices
+ * @param {Array} vertices - [lat, lng] points
+ * @param {string} shape - 'line' or 'polygon'
+ * @returns {Object} LineString or Polygon geometry (polygon rings are closed)
+ */
+export function buildDraftGeometry(vertices, shape) {
+    const positions = vertices.map(([lat, lng]) => [lng, lat]);
+    if (shape === 'polygon') {
+        return { type: 'Polygon', coordinates: [[...positions, positions[0]]] };
+    }
+    return { type: 'LineString', coordinates: positions };
+}
+
+/**
+ * Assign the drawn line or polygon to the current project
+ */
+export function finishDraftGeometry() {
+    if (!projectToAssign || !canFinishDraft()) return false;
+    
+    const geometry = buildDraftGeometry(draftVertices, assignShape);
+    const { lat, lng } = getGeometryCenter(geometry);
+    
+    // Update the project in memory
+    projectToAssign.lat = lat;
+    projectToAssign.lng = lng;
+    projectToAssign.hasLocation = true;
+    projectToAssign.geometry = geometry;
     
     // Track this modification
-    modifiedLocations.set(projectToAssign.id, { lat, lng });
+    modifiedLocations.set(projectToAssign.id, { lat, lng, geometry });
     
     // Exit assignment mode
     exitLocationAssignMode();
@@ -165,7 +258,7 @@ export function generateUpdatedCsv() {
     // Build header row
     const headers = [
         'id', 'name', 'type', 'status', 'priority', 'description',
-        'location_name', 'lat', 'lng'
+        'location_name', 'lat', 'lng', 'geometry'
     ];
     
     // Add funding year columns
@@ -180,8 +273,8 @@ export function generateUpdatedCsv() {
     // Add remaining columns
     headers.push('total_cost', 'funding_source', 'department', 'start_date', 'construction_start', 'end_date', 'link');
     
-    // Build rows
-    const rows = [headers.join(',')];
+    // Build rows (headers renamed back to the source column names from config.columnMap)
+    const rows = [unmapColumns(headers, getColumnMap()).map(escapeCsvValue).join(',')];
     
     projects.forEach(project => {
         const values = [
@@ -193,7 +286,8 @@ export function generateUpdatedCsv() {
             escapeCsvValue(project.description || ''),
             escapeCsvValue(project.locationName || ''),
             project.lat !== null ? project.lat : '',
-            project.lng !== null ? project.lng : ''
+            project.lng !== null ? project.lng : '',
+            escapeCsvValue(toWkt(project.geometry))
         ];
         
         // Add funding years
@@ -222,28 +316,5 @@ export function generateUpdatedCsv() {
  * Download the updated CSV file
  */
 export function downloadUpdatedCsv() {
-    const csvContent = generateUpdatedCsv();
-    const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
-    const url = URL.createObjectURL(blob);
-    
-    const link = document.createElement('a');
-    link.href = url;
-    link.download = 'projects_updated.csv';
-    link.style.display = 'none';
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
-    URL.revokeObjectURL(url);
-}
-
-/**
- * Escape a value for CSV (handle commas, quotes, newlines)
- */
-function escapeCsvValue(value) {
-    if (value === null || value === undefined) return '';
-    const str = String(value);
-    if (str.includes(',') || str.includes('"') || str.includes('\n') || str.includes('\r')) {
-        return '"' + str.replace(/"/g, '""') + '"';
-    }
-    return str;
+    downloadCsv(generateUpdatedCsv(), 'projects_updated.csv');
 }
@@ -4,10 +4,11 @@
  */
 
 // Import modules
-import { loadConfig, getConfig, isSurveyMode, isResultsMode } from './config.js';
+import { loadConfig, getConfig, isSurveyMode, isResultsMode, isBudgetMode, isRankingMode, getRankingConfig, isPairwiseMode, getPairwiseConfig, getNearMeConfig } from './config.js';
 import { loadProjects, getProjects, getFilteredProjects, setFilteredProjects } from './data.js';
 import { cacheTemplates, cloneTemplate } from './templates.js';
 import { formatCurrency } from './utils.js';
+import { parseSearchQuery, setHighlightedText } from './search.js';
 import { 
     initFilters, 
     initRangeSliders, 
@@ -15,7 +16,9 @@ import {
     applyFilters,
     toggleFilter,
     getFilters,
-    syncLegendWithFilters
+    syncLegendWithFilters,
+    restoreFiltersFromUrl,
+    setAreaFilter
 } from './filters.js';
 import { 
     initMap, 
@@ -23,7 +26,12 @@ import {
     renderLegend, 
     setOnMarkerClick,
     setOnMapClick,
-    setOnLegendFilterChange
+    setOnLegendFilterChange,
+    initParticipationLayer,
+    renderDraftGeometry,
+    initAreaTools,
+    setOnAreaDrawn,
+    renderAreaFilter
 } from './map.js';
 import { 
     selectProject, 
@@ -39,6 +47,10 @@ import {
     getProjectToAssign,
     enterLocationAssignMode,
     assignLocation,
+    getAssignShape,
+    getDraftVertices,
+    addDraftVertex,
+    canFinishDraft,
     hasModifiedProjects,
     getModifiedCount,
     applyNoLocationFilter,
@@ -55,7 +67,29 @@ import {
     recoverVotesToServer,
     fetchAllVoteScores
 } from './votes.js';
-import { wireVoteButtons } from './vote-buttons.js';
+import { wireVoteButtons, updateVoteButtons, refreshVoteButtons } from './vote-buttons.js';
+import { initOutbox, setOnOutboxChanged } from './outbox.js';
+import { loadAllocations, fetchAllBudgetTotals, setOnAllocationsChanged } from './budget.js';
+import { wireBudgetControls, updateBudgetControls, refreshBudgetControls, initBudgetMeter, updateBudgetMeter } from './budget-controls.js';
+import {
+    loadRanking,
+    fetchAllRankings,
+    setOnRankingChanged,
+    computeBordaScores,
+    computeInstantRunoff
+} from './ranking.js';
+import { wireRankButton, updateRankButton, refreshRankButtons, initRankingPanel, renderRankingPanel } from './ranking-controls.js';
+import { loadComparisons, fetchAllComparisons, computeEloRatings, INITIAL_RATING } from './pairwise.js';
+import { initPairwiseDialog } from './pairwise-dialog.js';
+import { setOnSegmentChanged, isSegmentActive, getSegmentScores } from './segments.js';
+import { initSegmentPanel, updateSegmentPanel } from './segment-dialog.js';
+import { initValidationPanel } from './validation-panel.js';
+import { loadSavedViews, setOnSavedViewsChanged } from './saved-views.js';
+import { initSavedViewsBar, renderSavedViewsBar } from './saved-views-controls.js';
+import { initSortControls, refreshSortControls, setOnSortChanged, getListSort, applyListSort } from './sort-controls.js';
+import { initOfflineIndicator, registerServiceWorker } from './offline.js';
+import { initProjectList, renderProjectList, showProjectCard } from './project-list.js';
+import { getUserAreaCenter, getProjectDistance, formatDistance, METERS_PER_MILE } from './nearby.js';
 import { initEventListeners } from './event-listeners.js';
 import { showCommentDialog, hideCommentDialog, handleCommentDialogOk, fetchAllCommentCounts } from './comment-dialog.js';
 import { initDebugMode, isDebugMode } from './debug.js';
@@ -64,6 +98,14 @@ import { initHelp } from './help.js';
 // Results mode data cache
 let allVoteScores = {};
 let allCommentCounts = {};
+let listedProjects = []; // The project list in display order, for keyboard navigation
+let allBudgetTotals = {};
+let allBordaScores = {};
+let allRunoffResults = {};
+let allEloRatings = {};
+
+// Which tally results mode sorts by: 'score' | 'budget' | 'borda' | 'irv' | 'elo'
+let resultsView = 'score';
 
 /**
  * Initialize the application
@@ -76,6 +118,9 @@ async function init() {
         // Cache template references
         cacheTemplates();
 
+        // Offline indicator in the header
+        initOfflineIndicator();
+
         // Load configuration
         await loadConfig();
         
@@ -94,9 +139,19 @@ async function init() {
         // Load project data
         await loadProjects();
 
+        // Data file problems report for staff
+        if (isDebugMode()) {
+            initValidationPanel();
+        }
+
         // Initialize map
         initMap();
 
+        // Participation heatmap toggle for staff (results and debug modes)
+        if (isResultsMode() || isDebugMode()) {
+            initParticipationLayer();
+        }
+
         // Set up marker click handler
         setOnMarkerClick((project) => {
             selectProject(project);
@@ -104,7 +159,10 @@ async function init() {
 
         // Set up map click handler for location assignment
         setOnMapClick((lat, lng) => {
-            if (isInLocationEditMode()) {
+            if (isInLocationEditMode() && getAssignShape() !== 'point') {
+                // Drawing a line or area: collect vertices until Finish
+                addDraftVertex(lat, lng);
+            } else if (isInLocationEditMode()) {
                 assignLocation(lat, lng);
                 // Re-render to show the new marker
                 renderProjects();
@@ -127,21 +185,41 @@ async function init() {
         // Set up comment dialog callback for detail panel
         setOnShowCommentDialog(showCommentDialog);
 
+        // Project list (cards are built once per project and reused)
+        initProjectList({
+            container: document.getElementById('projectList'),
+            scrollContainer: document.getElementById('sidebar'),
+            buildCard: buildProjectCard,
+            updateCard: updateProjectCard
+        });
+
         // Initialize filters
         initFilters();
         initRangeSliders();
 
+        // Restore filters from a shared link before the first render
+        restoreFiltersFromUrl();
+
+        // Area filter tools on the map
+        initAreaTools();
+        setOnAreaDrawn(setAreaFilter);
+        renderAreaFilter(getFilters().area);
+
         // Set up filter change handler
         setOnFiltersChanged(() => {
             renderProjects();
             renderMarkers();
             syncLegendWithFilters();
+            renderSavedViewsBar();
+            renderAreaFilter(getFilters().area);
+            refreshSortControls();
         });
 
         // Initialize event listeners
         initEventListeners({
             renderProjects,
             renderMarkers,
+            selectAdjacentProject,
             hideCommentDialog,
             handleCommentDialogOk
         });
@@ -155,29 +233,95 @@ async function init() {
         updateUserIcon();
         setOnUserChanged(() => {
             updateUserIcon();
+            // Distances are measured from the user's hex
+            refreshSortControls();
+            applyFilters();
         });
 
         // Load votes and comments from cookies
         loadVotesAndComments();
+
+        // Votes and comments still waiting to reach the server (from this or an earlier visit)
+        setOnOutboxChanged(refreshVoteButtons);
+        await initOutbox();
         
         // One-time vote recovery after server data loss
         recoverVotesToServer();
 
+        // Budget allocation mode: load allocations and show the balance meter (not in results mode)
+        if (isBudgetMode() && !isResultsMode()) {
+            loadAllocations();
+            setOnAllocationsChanged(() => {
+                updateBudgetMeter();
+                refreshBudgetControls();
+            });
+            initBudgetMeter();
+        }
+
+        // Ranked-choice mode: load the user's ranking and show the ranking panel (not in results mode)
+        if (isRankingMode() && !isResultsMode()) {
+            loadRanking();
+            setOnRankingChanged(() => {
+                renderRankingPanel();
+                refreshRankButtons();
+            });
+            initRankingPanel();
+        }
+
+        // Pairwise mode: load compared pairs and show the "This or That" button (not in results mode)
+        if (isPairwiseMode() && !isResultsMode()) {
+            loadComparisons();
+            initPairwiseDialog();
+        }
+
         // In results mode, fetch all vote scores and comment counts
         // In survey mode, just fetch comment counts
         if (isResultsMode()) {
-            [allVoteScores, allCommentCounts] = await Promise.all([
+            let ballots, comparisons;
+            [allVoteScores, allCommentCounts, allBudgetTotals, ballots, comparisons] = await Promise.all([
                 fetchAllVoteScores(),
-                fetchAllCommentCounts()
+                fetchAllCommentCounts(),
+                isBudgetMode() ? fetchAllBudgetTotals() : {},
+                isRankingMode() ? fetchAllRankings() : [],
+                isPairwiseMode() ? fetchAllComparisons() : []
             ]);
+            if (isRankingMode()) {
+                allBordaScores = computeBordaScores(ballots, getRankingConfig().topN);
+                allRunoffResults = computeInstantRunoff(ballots);
+            }
+            if (isPairwiseMode()) {
+                allEloRatings = computeEloRatings(comparisons, getPairwiseConfig().kFactor);
+            }
+            initResultsView();
+
+            // Segment vs. everyone comparison
+            initSegmentPanel();
+            setOnSegmentChanged(() => {
+                updateSegmentPanel();
+                renderProjects();
+            });
         } else if (isSurveyMode()) {
             allCommentCounts = await fetchAllCommentCounts();
         }
 
+        // Saved views bar above the project list
+        loadSavedViews();
+        setOnSavedViewsChanged(renderSavedViewsBar);
+        initSavedViewsBar();
+
+        // Sort selector and near my area radius (the radius needs the user's hex, loaded above;
+        // comment counts and vote scores are only fetched in some modes)
+        initSortControls({ comments: isResultsMode() || isSurveyMode(), score: isResultsMode() });
+        setOnSortChanged(renderProjects);
+        if (getFilters().nearRadius) {
+            applyFilters();
+        }
+
         // Initial render
         renderProjects();
         renderMarkers(true, false);  // Fit bounds on initial load, no animation
         renderLegend();
+        syncLegendWithFilters();
 
         // Set up legend click to toggle filters
         // On first click (no filters active), hide the clicked type
@@ -221,6 +365,9 @@ async function init() {
         // Show help dialog on first visit (if configured)
         initHelp();
 
+        // Keep the app, config, data and viewed map tiles for offline use
+        registerServiceWorker();
+
     } catch (error) {
         console.error('Failed to initialize app:', error);
         showError('Failed to load application data.');
@@ -237,12 +384,27 @@ function updateLocationEditorUI() {
     
     // Update banner visibility
     if (isInLocationEditMode() && projectToAssign) {
+        const shape = getAssignShape();
         banner.hidden = false;
         document.getElementById('bannerProjectName').textContent = projectToAssign.name;
+        document.getElementById('bannerText').textContent = {
+            point: 'Click on the map to assign location for:',
+            line: 'Click points along the line, then Finish, for:',
+            polygon: 'Click the corners of the area, then Finish, for:'
+        }[shape];
+        document.querySelectorAll('#bannerShapes .btn-shape').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.shape === shape);
+        });
+        const finishBtn = document.getElementById('finishLocationAssign');
+        finishBtn.hidden = shape === 'point';
+        finishBtn.disabled = !canFinishDraft();
     } else {
         banner.hidden = true;
     }
     
+    // Show the line or area being drawn
+    renderDraftGeometry(isInLocationEditMode() ? getDraftVertices() : [], getAssignShape());
+    
     // Update download button visibility - show if any projects modified (locations OR links)
     downloadBtn.hidden = !hasModifiedProjects();
     if (hasModifiedProjects()) {
@@ -254,7 +416,6 @@ function updateLocationEditorUI() {
  * Render the project list
  */
 function renderProjects() {
-    const config = getConfig();
     let filteredProjects = getFilteredProjects();
     
     // Apply no-location filter if active
@@ -262,14 +423,17 @@ function renderProjects() {
         filteredProjects = applyNoLocationFilter(filteredProjects);
     }
     
-    // In results mode, sort by vote score descending
+    // In results mode, sort by the selected results view descending
     if (isResultsMode()) {
-        filteredProjects = [...filteredProjects].sort((a, b) => {
-            const scoreA = allVoteScores[a.id]?.score || 0;
-            const scoreB = allVoteScores[b.id]?.score || 0;
-            return scoreB - scoreA;
-        });
+        filteredProjects = [...filteredProjects].sort((a, b) => getResultsSortValue(b) - getResultsSortValue(a));
     }
+
+    // Sort selector (ties keep the order above)
+    filteredProjects = applyListSort(filteredProjects, {
+        commentCounts: allCommentCounts,
+        voteScores: isSegmentActive() ? getSegmentScores() : allVoteScores
+    });
+    listedProjects = filteredProjects;
     
     const container = document.getElementById('projectList');
     const totalFunding = filteredProjects.reduce((sum, p) => sum + p.totalFunding, 0);
@@ -279,27 +443,88 @@ function renderProjects() {
         `${filteredProjects.length} Project${filteredProjects.length !== 1 ? 's' : ''}`;
     document.getElementById('totalFunding').textContent = formatCurrency(totalFunding) + ' Total';
 
-    // Clear container
-    container.innerHTML = '';
+    // Reuse cards keyed by project id, attaching them a page at a time
+    renderProjectList(filteredProjects);
 
     if (filteredProjects.length === 0) {
         container.appendChild(cloneTemplate('empty-state'));
-        return;
     }
+}
+
+/**
+ * Select the next or previous project in the list (arrow keys), in the list's sort order
+ * @param {number} step - 1 for the next project, -1 for the previous one
+ */
+function selectAdjacentProject(step) {
+    if (listedProjects.length === 0) return;
+    const index = listedProjects.findIndex(p => p.id === getSelectedProject()?.id);
+    const next = index === -1
+        ? listedProjects[step > 0 ? 0 : listedProjects.length - 1]
+        : listedProjects[index + step];
+    if (!next) return;
+
+    selectProject(next);
+    showProjectCard(next.id)?.scrollIntoView({ block: 'nearest' });
+}
+
+/**
+ * Set up the results view selector (only shown when there is more than one tally to choose from)
+ */
+function initResultsView() {
+    const select = document.getElementById('resultsViewSelect');
+    const available = {
+        score: true,
+        budget: isBudgetMode(),
+        borda: isRankingMode(),
+        irv: isRankingMode(),
+        elo: isPairwiseMode()
+    };
+
+    [...select.options].forEach(option => {
+        if (!available[option.value]) option.remove();
+    });
+
+    resultsView = isBudgetMode() ? 'budget' : 'score';
+    select.value = resultsView;
+    document.getElementById('resultsView').hidden = select.options.length < 2;
 
-    // Render each project card
-    filteredProjects.forEach(project => {
-        const card = createProjectCard(project, config);
-        container.appendChild(card);
+    select.addEventListener('change', () => {
+        resultsView = select.value;
+        renderProjects();
     });
 }
 
 /**
- * Create a project card element
+ * Get the value results mode sorts a project by (higher is better)
  */
-function createProjectCard(project, config) {
-    const fragment = cloneTemplate('project-card');
-    const card = fragment.querySelector('.project-card');
+function getResultsSortValue(project) {
+    switch (resultsView) {
+        case 'budget':
+            return allBudgetTotals[project.id]?.total || 0;
+        case 'borda':
+            return allBordaScores[project.id] || 0;
+        case 'irv':
+            // Lower place is better; unranked projects sort last
+            return -(allRunoffResults[project.id]?.place || Number.MAX_SAFE_INTEGER);
+        case 'elo':
+            // Projects never compared sit at the starting rating
+            return allEloRatings[project.id]?.rating || INITIAL_RATING;
+        default:
+            // Rank by the segment's score while one is active
+            if (isSegmentActive()) {
+                return getSegmentScores()[project.id]?.score || 0;
+            }
+            return allVoteScores[project.id]?.score || 0;
+    }
+}
+
+/**
+ * Build a project card element and wire its buttons (once per project, see project-list.js)
+ * The parts that change between renders are filled in by updateProjectCard
+ */
+function buildProjectCard(project) {
+    const config = getConfig();
+    const card = cloneTemplate('project-card').querySelector('.project-card');
     
     const typeConfig = config.projectTypes[project.type] || { color: '#95a5a6', icon: 'folder' };
     const statusClass = 'status-' + project.status.toLowerCase().replace(/[^a-z]/g, '-');
@@ -307,21 +532,12 @@ function createProjectCard(project, config) {
 
     // Set data attribute
     card.dataset.projectId = project.id;
-    
-    // Set active state if selected
-    const selected = getSelectedProject();
-    if (selected?.id === project.id) {
-        card.classList.add('active');
-    }
 
     // Type icon
     const typeIcon = card.querySelector('.project-type-icon');
     typeIcon.style.backgroundColor = typeConfig.color;
     typeIcon.querySelector('i').classList.add(`fa-${typeConfig.icon}`);
 
-    // Project name
-    card.querySelector('.project-name').textContent = project.name;
-
     // Status badge
     const statusBadge = card.querySelector('.status-badge');
     statusBadge.textContent = project.status;
@@ -335,61 +551,29 @@ function createProjectCard(project, config) {
     // Funding amount
     card.querySelector('.funding-amount').textContent = formatCurrency(project.totalFunding);
 
-    // No location badge
-    if (!project.hasLocation) {
-        card.querySelector('.no-location-badge').hidden = false;
-    }
-
-    // Highlight if this is the project being assigned a location
-    const projectToAssign = getProjectToAssign();
-    if (projectToAssign?.id === project.id) {
-        card.classList.add('assigning-location');
-    }
-
     // In results mode, show vote score and comment count instead of vote buttons
     if (isResultsMode()) {
-        const actionsEl = card.querySelector('.project-card-actions');
-        const resultsEl = card.querySelector('.project-card-results');
-        
-        if (actionsEl) actionsEl.hidden = true;
-        if (resultsEl) {
-            resultsEl.hidden = false;
-            
-            // Set vote score
-            const scoreEl = resultsEl.querySelector('.results-vote-score');
-            const score = allVoteScores[project.id]?.score || 0;
-            if (scoreEl) {
-                scoreEl.textContent = score;
-                scoreEl.title = `${allVoteScores[project.id]?.upvotes || 0} upvotes, ${allVoteScores[project.id]?.downvotes || 0} downvotes`;
-                // Color based on score
-                if (score > 0) {
-                    scoreEl.classList.add('positive');
-                } else if (score < 0) {
-                    scoreEl.classList.add('negative');
-                }
-            }
-            
-            // Set comment count
-            const commentCountEl = resultsEl.querySelector('.comment-count');
-            const commentCount = allCommentCounts[project.id] || 0;
-            if (commentCountEl) {
-                commentCountEl.textContent = commentCount;
-            }
-            
-            // Wire up comment button
-            const commentBtn = resultsEl.querySelector('.results-comment-btn');
-            if (commentBtn) {
-                commentBtn.addEventListener('click', (e) => {
-                    e.stopPropagation();
-                    showCommentDialog(project);
-                });
-            }
-        }
+        card.querySelector('.project-card-actions').hidden = true;
+        card.querySelector('.project-card-results').hidden = false;
+
+        // Wire up comment button
+        card.querySelector('.results-comment-btn').addEventListener('click', (e) => {
+            e.stopPropagation();
+            showCommentDialog(project);
+        });
     } else {
         // Wire up vote buttons (normal/survey mode)
-        // Pass comment count if available (survey mode)
-        const commentCount = allCommentCounts[project.id] || 0;
-        wireVoteButtons(card, project, showCommentDialog, { commentCount });
+        wireVoteButtons(card, project, showCommentDialog);
+        
+        // Wire up allocation controls (budget mode)
+        if (isBudgetMode()) {
+            wireBudgetControls(card, project);
+        }
+        
+        // Wire up rank button (ranked-choice mode)
+        if (isRankingMode()) {
+            wireRankButton(card, project);
+        }
     }
 
     // Click handler - shift+click for location assignment mode (debug mode only)
@@ -402,7 +586,112 @@ function createProjectCard(project, config) {
         }
     });
 
-    return fragment;
+    return card;
+}
+
+/**
+ * Refresh the parts of a project card that change between renders: selection, search
+ * highlighting, badges, vote and comment state, and results tallies
+ */
+function updateProjectCard(card, project) {
+    // Set active state if selected
+    card.classList.toggle('active', getSelectedProject()?.id === project.id);
+
+    // Project name, with search matches highlighted
+    setHighlightedText(card.querySelector('.project-name'), project.name, parseSearchQuery(getFilters().search).terms);
+
+    // No location badge (a location can be assigned in debug mode)
+    card.querySelector('.no-location-badge').hidden = project.hasLocation;
+
+    // Near me badge: distance from the user's hex while sorting by it, "Near you" when close
+    const nearBadge = card.querySelector('.near-me-badge');
+    const distance = getProjectDistance(project, getUserAreaCenter());
+    const isNear = distance !== null && distance <= getNearMeConfig().badgeMiles * METERS_PER_MILE;
+    nearBadge.hidden = distance === null || (!isNear && getListSort() !== 'near');
+    if (!nearBadge.hidden) {
+        nearBadge.classList.toggle('near', isNear);
+        nearBadge.querySelector('.near-me-text').textContent =
+            isNear ? `Near you · ${formatDistance(distance)}` : formatDistance(distance);
+        nearBadge.title = 'Distance from the center of your area';
+    }
+
+    // Highlight if this is the project being assigned a location
+    card.classList.toggle('assigning-location', getProjectToAssign()?.id === project.id);
+
+    if (isResultsMode()) {
+        updateResultsTallies(card.querySelector('.project-card-results'), project);
+    } else {
+        // Vote and comment state (the vote may have changed in the detail panel)
+        // Pass comment count if available (survey mode)
+        updateVoteButtons(card, project, { commentCount: allCommentCounts[project.id] || 0 });
+
+        if (isBudgetMode()) {
+            updateBudgetControls(card.querySelector('.project-card-budget'), project);
+        }
+        if (isRankingMode()) {
+            updateRankButton(card.querySelector('.rank-btn'));
+        }
+    }
+}
+
+/**
+ * Fill in a card's results tallies (results mode)
+ */
+function updateResultsTallies(resultsEl, project) {
+    // Set vote score
+    const scoreEl = resultsEl.querySelector('.results-vote-score');
+    const score = allVoteScores[project.id]?.score || 0;
+    scoreEl.textContent = score;
+    scoreEl.title = `${allVoteScores[project.id]?.upvotes || 0} upvotes, ${allVoteScores[project.id]?.downvotes || 0} downvotes`;
+    // Color based on score
+    scoreEl.classList.toggle('positive', score > 0);
+    scoreEl.classList.toggle('negative', score < 0);
+    
+    // Set segment score next to everyone's score (results segmentation)
+    const segmentScoreEl = resultsEl.querySelector('.results-segment-score');
+    segmentScoreEl.hidden = !isSegmentActive();
+    if (isSegmentActive()) {
+        const segmentScore = getSegmentScores()[project.id];
+        segmentScoreEl.querySelector('.segment-score-value').textContent = segmentScore?.score || 0;
+        segmentScoreEl.title = `Segment: ${segmentScore?.upvotes || 0} upvotes, ${segmentScore?.downvotes || 0} downvotes`;
+        scoreEl.title = `Everyone: ${scoreEl.title}`;
+    }
+    
+    // Set aggregate dollars allocated (budget mode)
+    const budgetTotalEl = resultsEl.querySelector('.results-budget-total');
+    if (isBudgetMode()) {
+        const budgetTotal = allBudgetTotals[project.id];
+        budgetTotalEl.hidden = false;
+        budgetTotalEl.textContent = formatCurrency(budgetTotal?.total || 0);
+        budgetTotalEl.title = `Allocated by ${budgetTotal?.count || 0} residents`;
+    }
+    
+    // Set ranked-choice tally for the selected results view
+    const rankScoreEl = resultsEl.querySelector('.results-rank-score');
+    rankScoreEl.hidden = !['borda', 'irv', 'elo'].includes(resultsView);
+    if (resultsView === 'borda') {
+        rankScoreEl.textContent = `${allBordaScores[project.id] || 0} pts`;
+        rankScoreEl.title = 'Borda count points';
+    } else if (resultsView === 'irv') {
+        const runoff = allRunoffResults[project.id];
+        rankScoreEl.textContent = runoff ? `#${runoff.place}` : '—';
+        if (!runoff) {
+            rankScoreEl.title = 'Not ranked by any resident';
+        } else if (runoff.place === 1) {
+            rankScoreEl.title = `Instant-runoff winner with ${runoff.votes} votes in the final round`;
+        } else {
+            rankScoreEl.title = `Eliminated in round ${runoff.round} with ${runoff.votes} votes`;
+        }
+    } else if (resultsView === 'elo') {
+        const elo = allEloRatings[project.id];
+        rankScoreEl.textContent = elo ? Math.round(elo.rating) : '—';
+        rankScoreEl.title = elo
+            ? `Elo rating: won ${elo.wins}, lost ${elo.losses} head-to-head comparisons`
+            : 'Not yet compared by any resident';
+    }
+    
+    // Set comment count
+    resultsEl.querySelector('.comment-count').textContent = allCommentCounts[project.id] || 0;
 }
 
 /**
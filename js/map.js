@@ -1,16 +1,50 @@
 /**
  * Map module for CIP Map
- * Handles Leaflet map initialization, markers, and legend
+ * Handles Leaflet map initialization, markers, legend, the participation heatmap and the
+ * area filter tools
  */
 
-import { getConfig, getTypeDisplayName } from './config.js';
+import { getConfig, getAppId, getTypeDisplayName } from './config.js';
 import { getProjects, getFilteredProjects } from './data.js';
 import { cloneTemplate } from './templates.js';
+import { getHexGridConfig, computeHexGrid } from './user.js';
+import { showApiError } from './debug.js';
+import { toLatLngs, isAreaGeometry, distanceMeters } from './geometry.js';
 
 // Map instance and state
 let map = null;
 let markerLayer = null;
-let markers = [];
+let geometryLayer = null; // Line and polygon project geometries (drawn under the markers)
+let draftLayer = null; // Shape being drawn in the location editor
+let markers = []; // Shown marker entries (see getMarkerEntry), in filtered order
+const markerCache = new Map(); // Project id -> entry, kept while hidden so it can be shown again
+
+// Participation heatmap state
+let participationLayer = null;
+let participationData = null; // hexId -> { users, votes }, fetched on first use
+let participationRequest = null; // The fetch in flight, shared by toggles made while it loads
+
+// Heatmap color
+const PARTICIPATION_COLOR = '#e67e22';
+
+// Area filter state
+let areaLayer = null; // Outline of the active area filter
+let areaDraftLayer = null; // Shape being drawn (or the hex grid to pick from)
+let areaDrawing = null; // { shape, vertices, center } while drawing
+let activeArea = null; // The area filter being shown
+
+// Area outline color
+const AREA_COLOR = '#8e44ad';
+
+// Hints shown while drawing each kind of area
+const AREA_HINTS = {
+    polygon: 'Click points around the area, then Finish',
+    circle: 'Click the center, then click again to set the radius',
+    hex: 'Click a cell to show projects in it'
+};
+
+// Callback for when an area is drawn (or cleared, with null)
+let onAreaDrawn = null;
 
 // Callback for marker clicks
 let onMarkerClick = null;
@@ -61,17 +95,43 @@ export function initMap() {
         attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors &copy; <a href="https://carto.com/attributions">CARTO</a>',
         maxZoom: config.maxZoom,
         minZoom: config.minZoom,
-        subdomains: 'abcd'
+        subdomains: 'abcd',
+        crossOrigin: true // Lets the service worker keep viewed tiles for offline use (sw.js)
     }).addTo(map);
 
-    markerLayer = L.layerGroup().addTo(map);
+    geometryLayer = L.layerGroup().addTo(map);
+    draftLayer = L.layerGroup().addTo(map);
+    areaLayer = L.layerGroup().addTo(map);
+    areaDraftLayer = L.layerGroup().addTo(map);
+
+    // Group nearby markers into clusters (config.markerClustering: false to disable)
+    if (config.markerClustering !== false && L.markerClusterGroup) {
+        markerLayer = L.markerClusterGroup({
+            maxClusterRadius: 40,
+            showCoverageOnHover: false,
+            spiderfyOnMaxZoom: true,
+            zoomToBoundsOnClick: true,
+            iconCreateFunction: createClusterIcon
+        }).addTo(map);
+    } else {
+        markerLayer = L.layerGroup().addTo(map);
+    }
 
-    // Handle map clicks for location assignment
+    // Handle map clicks for location assignment (or for the area being drawn)
     map.on('click', (e) => {
-        if (onMapClick) {
+        if (areaDrawing) {
+            handleAreaClick(e.latlng);
+        } else if (onMapClick) {
             onMapClick(e.latlng.lat, e.latlng.lng);
         }
     });
+
+    // Preview the next polygon edge or the circle radius
+    map.on('mousemove', (e) => {
+        if (areaDrawing) {
+            renderAreaDraft(e.latlng);
+        }
+    });
 }
 
 /**
@@ -101,27 +161,39 @@ export function setMapView(lat, lng, zoom) {
     }
 }
 
+/**
+ * Get the current map center and zoom
+ * @returns {Object|null} { lat, lng, zoom }
+ */
+export function getMapView() {
+    if (!map) return null;
+    const center = map.getCenter();
+    return { lat: center.lat, lng: center.lng, zoom: map.getZoom() };
+}
+
 /**
  * Render markers for filtered projects
  * @param {boolean} fitToMarkers - Whether to fit the map bounds to markers (default: false)
  * @param {boolean} animate - Whether to animate the bounds change (default: true)
  */
 export function renderMarkers(fitToMarkers = false, animate = true) {
-    const config = getConfig();
     const projects = getProjects();
-    const filteredProjects = getFilteredProjects();
+    const projectsWithLocation = getFilteredProjects().filter(p => p.hasLocation);
+    const maxFunding = Math.max(...projects.map(p => p.totalFunding));
 
-    markerLayer.clearLayers();
-    markers = [];
+    const nextMarkers = projectsWithLocation.map(project => getMarkerEntry(project, maxFunding));
 
-    const projectsWithLocation = filteredProjects.filter(p => p.hasLocation);
-    const maxFunding = Math.max(...projects.map(p => p.totalFunding));
+    // Only add and remove the markers whose visibility changed
+    const shown = new Set(markers);
+    const next = new Set(nextMarkers);
+    const removed = markers.filter(entry => !next.has(entry));
+    const added = nextMarkers.filter(entry => !shown.has(entry));
 
-    projectsWithLocation.forEach(project => {
-        const marker = createMarker(project, maxFunding, config);
-        markers.push({ project, marker });
-        marker.addTo(markerLayer);
-    });
+    removeMarkerLayers(removed.map(entry => entry.marker));
+    removed.forEach(entry => entry.shape && geometryLayer.removeLayer(entry.shape));
+    addMarkerLayers(added.map(entry => entry.marker));
+    added.forEach(entry => entry.shape && geometryLayer.addLayer(entry.shape));
+    markers = nextMarkers;
 
     // Fit bounds only if explicitly requested and there are markers
     if (fitToMarkers && markers.length > 1) {
@@ -130,6 +202,48 @@ export function renderMarkers(fitToMarkers = false, animate = true) {
     }
 }
 
+/**
+ * Get a project's marker (and line/area shape), building them the first time and again
+ * whenever what they're drawn from changes (e.g. a location assigned in debug mode)
+ */
+function getMarkerEntry(project, maxFunding) {
+    const key = [project.lat, project.lng, project.type, project.name, project.totalFunding, maxFunding].join('|');
+    const cached = markerCache.get(project.id);
+    if (cached && cached.project === project && cached.key === key && cached.geometry === project.geometry) {
+        return cached;
+    }
+
+    const config = getConfig();
+    const entry = {
+        project,
+        key,
+        geometry: project.geometry,
+        marker: createMarker(project, maxFunding, config),
+        shape: project.geometry && project.geometry.type !== 'Point' ? createGeometryShape(project, config) : null
+    };
+    markerCache.set(project.id, entry);
+    return entry;
+}
+
+/**
+ * Add or remove markers in one go (a cluster group re-clusters once rather than per marker)
+ */
+function addMarkerLayers(layers) {
+    if (markerLayer.addLayers) {
+        markerLayer.addLayers(layers);
+    } else {
+        layers.forEach(layer => markerLayer.addLayer(layer));
+    }
+}
+
+function removeMarkerLayers(layers) {
+    if (markerLayer.removeLayers) {
+        markerLayer.removeLayers(layers);
+    } else {
+        layers.forEach(layer => markerLayer.removeLayer(layer));
+    }
+}
+
 /**
  * Create a map marker for a project
  */
@@ -160,7 +274,7 @@ function createMarker(project, maxFunding, config) {
         iconAnchor: [size / 2, size / 2]
     });
 
-    const marker = L.marker([project.lat, project.lng], { icon });
+    const marker = L.marker([project.lat, project.lng], { icon, projectType: project.type });
 
     // Tooltip
     marker.bindTooltip(project.name, {
@@ -178,6 +292,111 @@ function createMarker(project, maxFunding, config) {
     return marker;
 }
 
+/**
+ * Create a styled polyline or polygon for a project's line/area geometry
+ */
+function createGeometryShape(project, config) {
+    const typeConfig = config.projectTypes[project.type] || { color: '#95a5a6', icon: 'folder' };
+    const latLngs = toLatLngs(project.geometry);
+
+    const shape = isAreaGeometry(project.geometry)
+        ? L.polygon(latLngs, { color: typeConfig.color, weight: 2, fillColor: typeConfig.color, fillOpacity: 0.2 })
+        : L.polyline(latLngs, { color: typeConfig.color, weight: 5, opacity: 0.8, lineCap: 'round' });
+
+    shape.bindTooltip(project.name, { sticky: true });
+    shape.on('click', (e) => {
+        // Don't let the click fall through to the map (location assignment)
+        L.DomEvent.stopPropagation(e);
+        if (onMarkerClick) {
+            onMarkerClick(project);
+        }
+    });
+
+    return shape;
+}
+
+/**
+ * Show the shape being drawn in the location editor
+ * @param {Array} vertices - [lat, lng] points clicked so far
+ * @param {string} shape - 'line' or 'polygon'
+ */
+export function renderDraftGeometry(vertices, shape) {
+    draftLayer.clearLayers();
+    if (vertices.length === 0) {
+        return;
+    }
+
+    const style = { color: '#2c3e50', weight: 3, dashArray: '6 6' };
+    if (shape === 'polygon' && vertices.length >= 3) {
+        L.polygon(vertices, { ...style, fillOpacity: 0.1 }).addTo(draftLayer);
+    } else {
+        L.polyline(vertices, style).addTo(draftLayer);
+    }
+    vertices.forEach(vertex => {
+        L.circleMarker(vertex, { radius: 4, color: '#2c3e50', fillColor: 'white', fillOpacity: 1, weight: 2 }).addTo(draftLayer);
+    });
+}
+
+/**
+ * Create the icon for a marker cluster: a count bubble colored by the most common project type
+ */
+function createClusterIcon(cluster) {
+    const config = getConfig();
+    const types = cluster.getAllChildMarkers().map(marker => marker.options.projectType);
+    const dominantType = getDominantType(types, Object.keys(config.projectTypes));
+    const color = config.projectTypes[dominantType]?.color || '#95a5a6';
+
+    const count = cluster.getChildCount();
+    const size = count < 10 ? 36 : count < 25 ? 44 : 52;
+
+    const fragment = cloneTemplate('map-cluster');
+    const bubble = fragment.querySelector('.marker-cluster-bubble');
+    bubble.style.width = `${size}px`;
+    bubble.style.height = `${size}px`;
+    bubble.style.backgroundColor = color;
+    bubble.querySelector('.cluster-count').textContent = count;
+
+    const temp = document.createElement('div');
+    temp.appendChild(fragment);
+
+    return L.divIcon({
+        className: 'marker-cluster-wrapper',
+        html: temp.innerHTML,
+        iconSize: [size, size]
+    });
+}
+
+/**
+ * Pure function to find the most common project type in a cluster
+ * Ties go to the type listed first in config.projectTypes
+ * @param {Array} types - Project type of each marker in the cluster
+ * @param {Array} typeOrder - Project type names in config order
+ * @returns {string|undefined} The dominant type
+ */
+export function getDominantType(types, typeOrder) {
+    const counts = {};
+    types.forEach(type => {
+        counts[type] = (counts[type] || 0) + 1;
+    });
+
+    const rank = (type) => {
+        const index = typeOrder.indexOf(type);
+        return index === -1 ? typeOrder.length : index;
+    };
+
+    return Object.keys(counts).sort((a, b) => counts[b] - counts[a] || rank(a) - rank(b))[0];
+}
+
+/**
+ * Make sure a project's marker is visible, expanding its cluster if necessary
+ */
+export function revealProjectMarker(projectId) {
+    const entry = markers.find(m => m.project.id === projectId);
+    if (entry && markerLayer.zoomToShowLayer) {
+        markerLayer.zoomToShowLayer(entry.marker);
+    }
+}
+
 // Callback for legend filter changes
 let onLegendFilterChange = null;
 
@@ -225,3 +444,322 @@ export function renderLegend() {
         container.appendChild(fragment);
     });
 }
+
+/**
+ * Fetch per-hex participation counts from API server
+ * @returns {Promise<Object|null>} - Map of hexId -> { users, votes }, or null if the fetch failed
+ */
+export async function fetchHexParticipation() {
+    const config = getConfig();
+    if (!config.apiServer) {
+        return {};
+    }
+
+    try {
+        const params = new URLSearchParams({
+            appid: getAppId()
+        });
+
+        const response = await fetch(`${config.apiServer}/api/participation?${params}`, {
+            method: 'GET',
+            headers: {
+                'Content-Type': 'application/json'
+            }
+        });
+
+        if (!response.ok) {
+            console.error('API fetch participation failed:', response.status);
+            return null;
+        }
+
+        const data = await response.json();
+        const participation = {};
+        if (Array.isArray(data)) {
+            data.forEach(item => {
+                participation[item.hex_location] = {
+                    users: item.users || 0,
+                    votes: item.votes || 0
+                };
+            });
+        }
+        return participation;
+    } catch (error) {
+        console.error('API fetch participation error:', error);
+        showApiError('/api/participation GET', error);
+        return null;
+    }
+}
+
+/**
+ * Show the participation heatmap toggle in the legend
+ * (results and debug modes only)
+ */
+export function initParticipationLayer() {
+    const toggle = document.getElementById('participationToggle');
+    const metricSelect = document.getElementById('participationMetric');
+
+    document.getElementById('legendLayers').hidden = false;
+
+    toggle.addEventListener('change', () => {
+        metricSelect.disabled = !toggle.checked;
+        if (toggle.checked) {
+            showParticipationLayer(metricSelect.value);
+        } else {
+            hideParticipationLayer();
+        }
+    });
+
+    metricSelect.addEventListener('change', () => {
+        if (toggle.checked) {
+            showParticipationLayer(metricSelect.value);
+        }
+    });
+}
+
+/**
+ * Shade the hex grid by participation
+ * @param {string} metric - 'users' or 'votes'
+ */
+export async function showParticipationLayer(metric = 'users') {
+    if (!participationData) {
+        if (!participationRequest) {
+            participationRequest = fetchHexParticipation().finally(() => {
+                participationRequest = null;
+            });
+        }
+        // Only a successful response is kept, so a failed fetch is tried again next time
+        participationData = await participationRequest || participationData;
+
+        // Unchecked (or failed) while loading
+        if (!document.getElementById('participationToggle').checked || !participationData) {
+            return;
+        }
+    }
+
+    hideParticipationLayer();
+    participationLayer = L.layerGroup().addTo(map);
+
+    const counts = Object.values(participationData).map(entry => entry[metric]);
+    const maxCount = Math.max(0, ...counts);
+
+    computeHexGrid(getHexGridConfig()).forEach(cell => {
+        const entry = participationData[cell.id] || { users: 0, votes: 0 };
+        const count = entry[metric];
+        if (count === 0) {
+            return;
+        }
+
+        L.polygon(cell.points, {
+            color: PARTICIPATION_COLOR,
+            weight: 1,
+            fillColor: PARTICIPATION_COLOR,
+            fillOpacity: getParticipationOpacity(count, maxCount),
+            interactive: true
+        })
+            .bindTooltip(`${entry.users} resident${entry.users === 1 ? '' : 's'} · ${entry.votes} vote${entry.votes === 1 ? '' : 's'}`)
+            .addTo(participationLayer);
+    });
+
+    document.getElementById('participationScale').hidden = false;
+    document.getElementById('participationScaleMax').textContent = maxCount;
+}
+
+/**
+ * Remove the participation heatmap
+ */
+export function hideParticipationLayer() {
+    if (participationLayer) {
+        participationLayer.remove();
+        participationLayer = null;
+    }
+    document.getElementById('participationScale').hidden = true;
+}
+
+/**
+ * Pure function to scale a hex's fill opacity by its share of the busiest hex
+ * @param {number} count - Participation in this hex
+ * @param {number} maxCount - Participation in the busiest hex
+ * @returns {number} Fill opacity between 0.1 and 0.75 (0 for no participation)
+ */
+export function getParticipationOpacity(count, maxCount) {
+    if (count <= 0 || maxCount <= 0) {
+        return 0;
+    }
+    return 0.1 + 0.65 * Math.min(count / maxCount, 1);
+}
+
+/**
+ * Set callback for when an area filter is drawn on the map (null when cleared)
+ */
+export function setOnAreaDrawn(callback) {
+    onAreaDrawn = callback;
+}
+
+/**
+ * Wire the area filter tools: draw a polygon or circle, or pick a hex cell, to show only the
+ * projects inside it
+ */
+export function initAreaTools() {
+    document.querySelectorAll('.btn-area-shape').forEach(button => {
+        button.addEventListener('click', () => {
+            if (areaDrawing?.shape === button.dataset.shape) {
+                cancelAreaDrawing();
+            } else {
+                startAreaDrawing(button.dataset.shape);
+            }
+        });
+    });
+    document.getElementById('finishAreaBtn').addEventListener('click', () => {
+        if (areaDrawing?.vertices.length >= 3) {
+            finishAreaDrawing({ shape: 'polygon', points: areaDrawing.vertices });
+        }
+    });
+    document.getElementById('clearAreaBtn').addEventListener('click', () => {
+        cancelAreaDrawing();
+        if (onAreaDrawn) onAreaDrawn(null);
+    });
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && areaDrawing) {
+            cancelAreaDrawing();
+        }
+    });
+    updateAreaToolsUI();
+}
+
+/**
+ * Start drawing an area
+ * @param {string} shape - 'polygon', 'circle' or 'hex'
+ */
+export function startAreaDrawing(shape) {
+    cancelAreaDrawing();
+    areaDrawing = { shape, vertices: [], center: null };
+    map.doubleClickZoom.disable();
+    map.getContainer().classList.add('area-drawing');
+
+    if (shape === 'hex') {
+        computeHexGrid(getHexGridConfig()).forEach(cell => {
+            L.polygon(cell.points, {
+                color: AREA_COLOR,
+                weight: 1,
+                fillColor: AREA_COLOR,
+                fillOpacity: 0.05,
+                bubblingMouseEvents: false
+            })
+                .on('mouseover', (e) => e.target.setStyle({ fillOpacity: 0.25 }))
+                .on('mouseout', (e) => e.target.setStyle({ fillOpacity: 0.05 }))
+                .on('click', () => finishAreaDrawing({ shape: 'hex', hexId: cell.id, points: cell.points }))
+                .addTo(areaDraftLayer);
+        });
+    }
+    updateAreaToolsUI();
+}
+
+/**
+ * Stop drawing without changing the area filter
+ */
+export function cancelAreaDrawing() {
+    if (!areaDrawing) return;
+    areaDrawing = null;
+    areaDraftLayer.clearLayers();
+    map.doubleClickZoom.enable();
+    map.getContainer().classList.remove('area-drawing');
+    updateAreaToolsUI();
+}
+
+/**
+ * Handle a map click while drawing a polygon (add a corner) or circle (center, then radius)
+ */
+function handleAreaClick(latlng) {
+    const point = { lat: latlng.lat, lng: latlng.lng };
+    if (areaDrawing.shape === 'polygon') {
+        areaDrawing.vertices.push([point.lat, point.lng]);
+        renderAreaDraft();
+        updateAreaToolsUI();
+    } else if (areaDrawing.shape === 'circle') {
+        if (!areaDrawing.center) {
+            areaDrawing.center = point;
+            renderAreaDraft();
+        } else {
+            const radius = distanceMeters(areaDrawing.center, point);
+            if (radius > 0) {
+                finishAreaDrawing({ shape: 'circle', center: areaDrawing.center, radius });
+            }
+        }
+    }
+}
+
+/**
+ * Draw the shape in progress, stretched to the cursor
+ */
+function renderAreaDraft(cursor = null) {
+    const style = { color: AREA_COLOR, weight: 2, dashArray: '6 4', fillOpacity: 0.1, interactive: false };
+
+    if (areaDrawing.shape === 'polygon') {
+        areaDraftLayer.clearLayers();
+        const points = cursor ? [...areaDrawing.vertices, [cursor.lat, cursor.lng]] : areaDrawing.vertices;
+        if (points.length >= 3) {
+            L.polygon(points, style).addTo(areaDraftLayer);
+        } else if (points.length === 2) {
+            L.polyline(points, style).addTo(areaDraftLayer);
+        }
+        areaDrawing.vertices.forEach(([lat, lng]) => {
+            L.circleMarker([lat, lng], { ...style, radius: 4, dashArray: null, fillOpacity: 1 }).addTo(areaDraftLayer);
+        });
+    } else if (areaDrawing.shape === 'circle' && areaDrawing.center) {
+        areaDraftLayer.clearLayers();
+        const { lat, lng } = areaDrawing.center;
+        const radius = cursor ? distanceMeters(areaDrawing.center, { lat: cursor.lat, lng: cursor.lng }) : 0;
+        L.circleMarker([lat, lng], { ...style, radius: 4, dashArray: null, fillOpacity: 1 }).addTo(areaDraftLayer);
+        if (radius > 0) {
+            L.circle([lat, lng], { ...style, radius }).addTo(areaDraftLayer);
+        }
+    }
+}
+
+/**
+ * Finish drawing and hand the area to the filters
+ */
+function finishAreaDrawing(area) {
+    cancelAreaDrawing();
+    if (onAreaDrawn) onAreaDrawn(area);
+}
+
+/**
+ * Show the active area filter's outline (call whenever filters change)
+ * @param {Object|null} area - The area filter (see setAreaFilter in filters.js)
+ */
+export function renderAreaFilter(area) {
+    if (!areaLayer) return;
+    activeArea = area;
+    areaLayer.clearLayers();
+
+    if (area) {
+        const style = { color: AREA_COLOR, weight: 2, fillColor: AREA_COLOR, fillOpacity: 0.06, interactive: false };
+        if (area.shape === 'circle') {
+            L.circle([area.center.lat, area.center.lng], { ...style, radius: area.radius }).addTo(areaLayer);
+        } else {
+            L.polygon(area.points, style).addTo(areaLayer);
+        }
+    }
+    updateAreaToolsUI();
+}
+
+/**
+ * Update the area tool buttons and hint for the current drawing state
+ */
+function updateAreaToolsUI() {
+    const tools = document.getElementById('areaTools');
+    if (!tools) return;
+
+    tools.querySelectorAll('.btn-area-shape').forEach(button => {
+        button.classList.toggle('active', areaDrawing?.shape === button.dataset.shape);
+    });
+
+    const hint = document.getElementById('areaToolsHint');
+    hint.hidden = !areaDrawing;
+    hint.textContent = areaDrawing ? AREA_HINTS[areaDrawing.shape] : '';
+
+    document.getElementById('finishAreaBtn').hidden = areaDrawing?.shape !== 'polygon';
+    document.getElementById('finishAreaBtn').disabled = !(areaDrawing?.vertices.length >= 3);
+    document.getElementById('clearAreaBtn').hidden = !activeArea && !areaDrawing;
+}
@@ -0,0 +1,58 @@
+/**
+ * Nearby Module
+ * Measures how far projects are from the center of the user's hex (their approximate location
+ * from the hex picker) for the "Near my area" sort, badge and radius filter
+ */
+
+import { getUser, getHexGridConfig, hexIdToCenter } from './user.js';
+import { distanceMeters, getGeometryPoints } from './geometry.js';
+
+export const METERS_PER_MILE = 1609.344;
+
+/**
+ * Get the center of the current user's hex
+ * @returns {Object|null} { lat, lng }, or null if there is no user or they skipped the location
+ */
+export function getUserAreaCenter() {
+    const hexId = getUser()?.location?.hexId;
+    return hexId ? hexIdToCenter(hexId, getHexGridConfig()) : null;
+}
+
+/**
+ * Pure function to get a project's distance from a point
+ * Lines and shapes are measured to their closest vertex
+ * @param {Object} project - The project
+ * @param {Object} center - { lat, lng }
+ * @returns {number|null} Meters, or null if the project has no location
+ */
+export function getProjectDistance(project, center) {
+    if (!project.hasLocation || !center) return null;
+    const points = [{ lat: project.lat, lng: project.lng }, ...getGeometryPoints(project.geometry)];
+    return Math.min(...points.map(point => distanceMeters(point, center)));
+}
+
+/**
+ * Pure function to sort projects nearest first (projects without a location go last, in their
+ * original order)
+ * @param {Array} projects - Projects to sort
+ * @param {Object} center - { lat, lng }
+ * @returns {Array} New sorted array
+ */
+export function sortByDistance(projects, center) {
+    const distances = new Map(projects.map(p => [p, getProjectDistance(p, center)]));
+    return [...projects].sort((a, b) => {
+        const da = distances.get(a);
+        const db = distances.get(b);
+        if (da === null || db === null) return (da === null) - (db === null);
+        return da - db;
+    });
+}
+
+/**
+ * Pure function to format a distance in miles (e.g. "0.4 mi", "12 mi")
+ * @param {number} meters - Distance
+ */
+export function formatDistance(meters) {
+    const miles = meters / METERS_PER_MILE;
+    return miles < 10 ? `${miles.toFixed(1)} mi` : `${Math.round(miles)} mi`;
+}
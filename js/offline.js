@@ -0,0 +1,41 @@
+/**
+ * Offline Module
+ * Registers the service worker (sw.js) that keeps the map and project list working without a
+ * connection after the first visit, and shows the offline indicator in the header
+ */
+
+/**
+ * Show the header indicator while the browser is offline
+ */
+export function initOfflineIndicator() {
+    const indicator = document.getElementById('offlineIndicator');
+    const update = () => {
+        indicator.hidden = navigator.onLine;
+    };
+    window.addEventListener('online', update);
+    window.addEventListener('offline', update);
+    update();
+}
+
+/**
+ * Register the service worker, then hand it everything this page has loaded so far (the app
+ * files, config, project data and map tiles fetched before it was installed)
+ * Call once the first render is done, so the data files are in the list
+ */
+export async function registerServiceWorker() {
+    // Service workers need HTTPS (or localhost)
+    if (!('serviceWorker' in navigator) || !window.isSecureContext) {
+        return;
+    }
+
+    try {
+        await navigator.serviceWorker.register('sw.js');
+        const registration = await navigator.serviceWorker.ready;
+        registration.active?.postMessage({
+            type: 'cache-urls',
+            urls: [window.location.href, ...performance.getEntriesByType('resource').map(entry => entry.name)]
+        });
+    } catch (error) {
+        console.warn('Service worker registration failed:', error);
+    }
+}
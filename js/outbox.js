@@ -0,0 +1,255 @@
+/**
+ * Outbox Module
+ * Durable queue for votes and comments on their way to the API server. Requests are kept in
+ * IndexedDB until the server accepts them, so they survive reloads and spotty connections:
+ * failures are retried with exponential backoff, and the queue drains again as soon as the
+ * browser is back online. A newer vote on a project replaces one still waiting, and the same
+ * comment isn't queued twice.
+ */
+
+import { showApiError } from './debug.js';
+
+const DB_NAME = 'cip-outbox';
+const DB_VERSION = 1;
+const STORE_NAME = 'requests';
+
+// Backoff between attempts: 2s, 4s, 8s... up to 5 minutes
+export const RETRY_BASE_MS = 2000;
+export const RETRY_MAX_MS = 5 * 60 * 1000;
+
+// A send still hanging after this is aborted and retried (else it would hold up the queue)
+export const SEND_TIMEOUT_MS = 15000;
+
+// State
+let db = null; // null if IndexedDB isn't available (the queue then only lasts for this page)
+const queue = new Map(); // key -> { key, kind, projectId, url, body, attempts, nextAttemptAt, createdAt }
+let draining = false;
+let retryTimer = null;
+
+// Callback for when requests are queued or sent
+let onOutboxChanged = null;
+
+/**
+ * Set callback for when requests are queued or sent
+ */
+export function setOnOutboxChanged(callback) {
+    onOutboxChanged = callback;
+}
+
+/**
+ * Pure function to get a request's queue key; requests with the same key replace each other
+ * Votes are keyed by user and project (only the latest vote matters), comments by their text
+ * @param {Object} request - { kind: 'vote' | 'comment', projectId, url, body }
+ * @returns {string}
+ */
+export function getOutboxKey(request) {
+    const { kind, projectId, url, body } = request;
+    const key = [url, body.appid, body.userid, kind, projectId];
+    if (kind === 'comment') key.push(body.comment);
+    return JSON.stringify(key);
+}
+
+/**
+ * Pure function to get the wait before the next attempt
+ * @param {number} attempts - Failed attempts so far (1 or more)
+ * @returns {number} Milliseconds
+ */
+export function getRetryDelay(attempts) {
+    return Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** Math.max(0, attempts - 1));
+}
+
+/**
+ * Pure function to check if a failed request is worth retrying (network errors, timeouts,
+ * rate limits and server errors; other rejections would fail again)
+ * @param {number} status - HTTP status, or 0 for a network error
+ */
+export function isRetryableStatus(status) {
+    return status === 0 || status === 408 || status === 425 || status === 429 || status >= 500;
+}
+
+/**
+ * Open the queue, load what's still waiting from earlier visits and start sending
+ * Also sends again whenever the browser comes back online
+ */
+export async function initOutbox() {
+    try {
+        db = await openDatabase();
+        const saved = await runTransaction('readonly', store => store.getAll());
+        saved.forEach(request => {
+            // Keep anything queued while the database was opening
+            if (!queue.has(request.key)) queue.set(request.key, request);
+        });
+    } catch (error) {
+        console.warn('Outbox storage unavailable, queued votes will not survive a reload:', error);
+        db = null;
+    }
+
+    // Back online: send everything now rather than waiting out the backoff
+    window.addEventListener('online', () => drainOutbox({ ignoreBackoff: true }));
+    if (onOutboxChanged) onOutboxChanged();
+    drainOutbox();
+}
+
+/**
+ * Queue a POST to the API server and try to send it
+ * @param {Object} request - { kind: 'vote' | 'comment', projectId, url, body }
+ */
+export function queueRequest(request) {
+    const item = {
+        ...request,
+        key: getOutboxKey(request),
+        attempts: 0,
+        nextAttemptAt: 0,
+        createdAt: Date.now()
+    };
+    saveItem(item);
+    drainOutbox();
+}
+
+/**
+ * Check if a vote or comment on a project is still waiting to reach the server
+ * @param {string} kind - 'vote' or 'comment'
+ * @param {string} projectId - Project ID
+ */
+export function isPending(kind, projectId) {
+    for (const item of queue.values()) {
+        if (item.kind === kind && String(item.projectId) === String(projectId)) return true;
+    }
+    return false;
+}
+
+/**
+ * Send every request that is due, oldest first
+ * @param {Object} options - { ignoreBackoff: also send requests still waiting to retry }
+ */
+export async function drainOutbox({ ignoreBackoff = false } = {}) {
+    if (draining || !navigator.onLine) {
+        return;
+    }
+    draining = true;
+    clearTimeout(retryTimer);
+    retryTimer = null;
+
+    try {
+        const due = [...queue.values()]
+            .filter(item => ignoreBackoff || item.nextAttemptAt <= Date.now())
+            .sort((a, b) => a.createdAt - b.createdAt);
+        for (const item of due) {
+            if (!navigator.onLine) break;
+            await sendItem(item);
+        }
+    } finally {
+        draining = false;
+    }
+
+    scheduleRetry();
+}
+
+/**
+ * POST a queued request; drop it once accepted (or rejected for good), else back off
+ */
+async function sendItem(item) {
+    let status = 0;
+    try {
+        const response = await fetch(item.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(item.body),
+            signal: AbortSignal.timeout(SEND_TIMEOUT_MS)
+        });
+        status = response.status;
+    } catch (error) {
+        // Network error or timeout: status 0, retried
+        console.warn(`Outbox: ${item.kind} for ${item.projectId} not sent, will retry:`, error);
+    }
+
+    // A newer vote replaced this one while it was being sent: leave that one queued
+    if (queue.get(item.key) !== item) {
+        return;
+    }
+
+    if (status >= 200 && status < 300) {
+        removeItem(item.key);
+    } else if (isRetryableStatus(status)) {
+        const attempts = item.attempts + 1;
+        saveItem({ ...item, attempts, nextAttemptAt: Date.now() + getRetryDelay(attempts) });
+    } else {
+        console.error(`API ${item.kind} rejected:`, status);
+        showApiError(`${new URL(item.url).pathname} POST`, `HTTP ${status}`);
+        removeItem(item.key);
+    }
+}
+
+/**
+ * Drain again when the next retry is due
+ */
+function scheduleRetry() {
+    clearTimeout(retryTimer);
+    retryTimer = null;
+    if (queue.size === 0) {
+        return;
+    }
+    const nextAttemptAt = Math.min(...[...queue.values()].map(item => item.nextAttemptAt));
+    retryTimer = setTimeout(() => drainOutbox(), Math.max(0, nextAttemptAt - Date.now()));
+}
+
+/**
+ * Add or replace a queued request (in memory and in IndexedDB) and notify
+ */
+function saveItem(item) {
+    queue.set(item.key, item);
+    if (db) {
+        runTransaction('readwrite', store => store.put(item))
+            .catch(error => console.error('Outbox: failed to save request:', error));
+    }
+    if (onOutboxChanged) onOutboxChanged();
+}
+
+/**
+ * Remove a sent request and notify
+ */
+function removeItem(key) {
+    queue.delete(key);
+    if (db) {
+        runTransaction('readwrite', store => store.delete(key))
+            .catch(error => console.error('Outbox: failed to remove request:', error));
+    }
+    if (onOutboxChanged) onOutboxChanged();
+}
+
+/**
+ * Open (creating if needed) the outbox database
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase() {
+    return new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+            reject(new Error('IndexedDB not supported'));
+            return;
+        }
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(STORE_NAME, { keyPath: 'key' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Run one request against the store
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} operation - (store) => IDBRequest
+ * @returns {Promise} The request's result, once the transaction completes
+ */
+function runTransaction(mode, operation) {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(STORE_NAME, mode);
+        const request = operation(transaction.objectStore(STORE_NAME));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
@@ -0,0 +1,100 @@
+/**
+ * Pairwise Dialog Module
+ * Presents two projects side by side and asks the user which is more important
+ */
+
+import { getProjects } from './data.js';
+import { createProjectDetail } from './detail-panel.js';
+import { hasUser, showUserDialog } from './user.js';
+import { pickPair, recordComparison, getComparisonCount } from './pairwise.js';
+
+// The pair currently on screen
+let currentPair = null;
+
+/**
+ * Show the header button and set up dialog event listeners
+ */
+export function initPairwiseDialog() {
+    const pairwiseBtn = document.getElementById('pairwiseBtn');
+    pairwiseBtn.hidden = false;
+    pairwiseBtn.addEventListener('click', () => {
+        if (!hasUser()) {
+            showUserDialog('Please fill out a profile to use this feature', showPairwiseDialog);
+            return;
+        }
+        showPairwiseDialog();
+    });
+
+    document.getElementById('pairwiseDialogSkip').addEventListener('click', showNextPair);
+    document.getElementById('pairwiseDialogDone').addEventListener('click', hidePairwiseDialog);
+    document.getElementById('pairwiseDialogClose').addEventListener('click', hidePairwiseDialog);
+    document.getElementById('pairwiseDialogOverlay').addEventListener('click', hidePairwiseDialog);
+}
+
+/**
+ * Show the pairwise dialog with a fresh pair
+ */
+export function showPairwiseDialog() {
+    showNextPair();
+    document.getElementById('pairwiseDialog').hidden = false;
+    document.getElementById('pairwiseDialogOverlay').hidden = false;
+}
+
+/**
+ * Hide the pairwise dialog
+ */
+export function hidePairwiseDialog() {
+    document.getElementById('pairwiseDialog').hidden = true;
+    document.getElementById('pairwiseDialogOverlay').hidden = true;
+    currentPair = null;
+}
+
+/**
+ * Pick the next pair and render both sides
+ */
+function showNextPair() {
+    const options = document.getElementById('pairwiseOptions');
+    const doneMessage = document.getElementById('pairwiseDone');
+
+    currentPair = pickPair(getProjects());
+    options.innerHTML = '';
+    options.hidden = !currentPair;
+    doneMessage.hidden = !!currentPair;
+    document.getElementById('pairwiseDialogSkip').disabled = !currentPair;
+    updateProgress();
+
+    if (!currentPair) {
+        return;
+    }
+
+    currentPair.forEach((project, index) => {
+        const other = currentPair[1 - index];
+        const option = document.createElement('div');
+        option.className = 'pairwise-option';
+
+        const chooseBtn = document.createElement('button');
+        chooseBtn.className = 'btn btn-primary pairwise-choose-btn';
+        chooseBtn.innerHTML = '<i class="fas fa-check"></i> Choose this';
+        chooseBtn.addEventListener('click', () => {
+            recordComparison(project.id, other.id);
+            showNextPair();
+        });
+
+        const detail = document.createElement('div');
+        detail.className = 'pairwise-detail';
+        detail.appendChild(createProjectDetail(project));
+
+        option.appendChild(chooseBtn);
+        option.appendChild(detail);
+        options.appendChild(option);
+    });
+}
+
+/**
+ * Update the comparison counter
+ */
+function updateProgress() {
+    const count = getComparisonCount();
+    document.getElementById('pairwiseProgress').textContent =
+        `${count} comparison${count === 1 ? '' : 's'} made`;
+}
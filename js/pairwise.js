@@ -0,0 +1,234 @@
+/**
+ * Pairwise Module
+ * Handles pairwise ("this or that") comparison mode: users pick the more important of two
+ * projects, and results are ranked with Elo ratings
+ */
+
+import { getCookie, setCookie, fitsInCookie } from './cookies.js';
+import { getUser } from './user.js';
+import { getConfig, getAppId } from './config.js';
+import { showApiError } from './debug.js';
+
+function getPairwiseCookieName() {
+    return `${getAppId()}_pairwise`;
+}
+const COOKIE_DAYS = 365;
+
+// Starting rating for every project
+export const INITIAL_RATING = 1500;
+
+// State
+let comparedPairs = []; // Array of pair keys ("idA|idB", sorted) the user has already judged
+
+/**
+ * Build an order-independent key for a pair of project IDs
+ */
+export function getPairKey(idA, idB) {
+    return [String(idA), String(idB)].sort().join('|');
+}
+
+/**
+ * Load compared pairs from cookie
+ */
+export function loadComparisons() {
+    comparedPairs = [];
+
+    const pairwiseCookie = getCookie(getPairwiseCookieName());
+    if (pairwiseCookie) {
+        try {
+            const parsed = JSON.parse(pairwiseCookie);
+            comparedPairs = Array.isArray(parsed) ? parsed : [];
+        } catch (e) {
+            console.error('Failed to parse pairwise cookie:', e);
+            comparedPairs = [];
+        }
+    }
+}
+
+/**
+ * Get the number of comparisons the user has made
+ */
+export function getComparisonCount() {
+    return comparedPairs.length;
+}
+
+/**
+ * Pick the next pair of projects to show
+ * Skips pairs the user has already judged and favors projects that have been seen least
+ * @param {Array} projects - Candidate projects
+ * @param {Array} seenPairs - Pair keys already judged (defaults to the current user's)
+ * @param {Function} random - Random number source (for testing)
+ * @returns {Array|null} [projectA, projectB], or null if every pair has been judged
+ */
+export function pickPair(projects, seenPairs = comparedPairs, random = Math.random) {
+    const seen = new Set(seenPairs);
+
+    // How many times each project has appeared in a judged pair
+    const appearances = {};
+    seenPairs.forEach(key => {
+        key.split('|').forEach(id => {
+            appearances[id] = (appearances[id] || 0) + 1;
+        });
+    });
+
+    let best = [];
+    let bestWeight = Infinity;
+    for (let i = 0; i < projects.length; i++) {
+        for (let j = i + 1; j < projects.length; j++) {
+            const a = projects[i];
+            const b = projects[j];
+            if (seen.has(getPairKey(a.id, b.id))) continue;
+
+            const weight = (appearances[a.id] || 0) + (appearances[b.id] || 0);
+            if (weight < bestWeight) {
+                best = [[a, b]];
+                bestWeight = weight;
+            } else if (weight === bestWeight) {
+                best.push([a, b]);
+            }
+        }
+    }
+
+    if (best.length === 0) return null;
+    const pair = best[Math.floor(random() * best.length)];
+    // Randomize left/right placement
+    return random() < 0.5 ? pair : [pair[1], pair[0]];
+}
+
+/**
+ * Pure function to drop the oldest pairs until the list fits in the cookie (older pairs may
+ * then be shown again); measured rather than counted, since long ids make each pair longer
+ * @param {Array} pairs - Pair keys, oldest first
+ * @param {string} cookieName - Cookie the pairs are stored in
+ * @returns {Array} The newest pairs that fit
+ */
+export function fitPairsInCookie(pairs, cookieName) {
+    let kept = pairs;
+    while (kept.length > 0 && !fitsInCookie(cookieName, JSON.stringify(kept))) {
+        kept = kept.slice(1);
+    }
+    return kept;
+}
+
+/**
+ * Record the user's choice between two projects
+ * @param {string} winnerId - The chosen project ID
+ * @param {string} loserId - The other project ID
+ */
+export function recordComparison(winnerId, loserId) {
+    const key = getPairKey(winnerId, loserId);
+    if (!comparedPairs.includes(key)) {
+        comparedPairs = fitPairsInCookie([...comparedPairs, key], getPairwiseCookieName());
+        setCookie(getPairwiseCookieName(), JSON.stringify(comparedPairs), COOKIE_DAYS);
+    }
+    postComparisonToApi(winnerId, loserId);
+}
+
+/**
+ * Post a comparison to API server
+ */
+async function postComparisonToApi(winnerId, loserId) {
+    const config = getConfig();
+    if (!config.apiServer) {
+        return;
+    }
+
+    const user = getUser();
+    if (!user?.userId) {
+        console.warn('No userId available for API comparison');
+        return;
+    }
+
+    try {
+        const response = await fetch(`${config.apiServer}/api/pairwise`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                userid: user.userId,
+                appid: getAppId(),
+                winner_id: winnerId,
+                loser_id: loserId
+            })
+        });
+
+        if (!response.ok) {
+            console.error('API comparison failed:', response.status);
+        }
+    } catch (error) {
+        console.error('API comparison error:', error);
+        showApiError('/api/pairwise POST', error);
+    }
+}
+
+/**
+ * Fetch all comparisons from API server
+ * @returns {Promise<Array>} - Array of { winner, loser } in the order they were recorded
+ */
+export async function fetchAllComparisons() {
+    const config = getConfig();
+    if (!config.apiServer) {
+        return [];
+    }
+
+    try {
+        const params = new URLSearchParams({
+            appid: getAppId()
+        });
+
+        const response = await fetch(`${config.apiServer}/api/pairwise?${params}`, {
+            method: 'GET',
+            headers: {
+                'Content-Type': 'application/json'
+            }
+        });
+
+        if (!response.ok) {
+            console.error('API fetch comparisons failed:', response.status);
+            return [];
+        }
+
+        const data = await response.json();
+        if (!Array.isArray(data)) {
+            return [];
+        }
+        return data.map(item => ({
+            winner: String(item.winner_id),
+            loser: String(item.loser_id)
+        }));
+    } catch (error) {
+        console.error('API fetch comparisons error:', error);
+        showApiError('/api/pairwise GET', error);
+        return [];
+    }
+}
+
+/**
+ * Pure function to compute Elo ratings from a sequence of comparisons
+ * @param {Array} comparisons - Array of { winner, loser } item IDs, oldest first
+ * @param {number} kFactor - Maximum rating change per comparison
+ * @returns {Object} Map of item_id -> { rating, wins, losses }
+ */
+export function computeEloRatings(comparisons, kFactor = 32) {
+    const ratings = {};
+    const get = (id) => {
+        if (!ratings[id]) {
+            ratings[id] = { rating: INITIAL_RATING, wins: 0, losses: 0 };
+        }
+        return ratings[id];
+    };
+
+    comparisons.forEach(({ winner, loser }) => {
+        const w = get(winner);
+        const l = get(loser);
+        const expectedWin = 1 / (1 + Math.pow(10, (l.rating - w.rating) / 400));
+        const change = kFactor * (1 - expectedWin);
+        w.rating += change;
+        l.rating -= change;
+        w.wins++;
+        l.losses++;
+    });
+
+    return ratings;
+}
@@ -0,0 +1,200 @@
+/**
+ * Project List Module
+ * Keyed, incremental rendering of the project cards: each project's card is built (and its
+ * buttons wired) once and reused across re-renders, only refreshed and moved into place. Only
+ * a window of cards is in the DOM: cards are attached a page at a time as the sidebar scrolls
+ * down, cards scrolled far above the view are detached (a spacer keeps their height, so the
+ * scroll position doesn't move) and attached again on the way back up, and a changed list
+ * starts again from one page. Cards in the window but off screen skip layout via
+ * content-visibility (see .project-card in sidebar.css)
+ */
+
+// Cards attached per page as the sidebar scrolls
+export const PAGE_SIZE = 30;
+
+// Cards more than this many screens above the view are detached...
+const DETACH_SCREENS = 3;
+// ...and attached again, up to this many screens above, once the first attached card is
+// within a screen of the view (the gap keeps small scrolls from detaching and attaching)
+const REATTACH_SCREENS = 2;
+
+// State
+let container = null;
+let scrollContainer = null;
+let spacer = null; // Stands in for the detached cards above the window
+let buildCard = null; // (project) => card element, with its event handlers wired
+let updateCard = null; // (card, project) => refresh the card's changing state
+const cards = new Map(); // project id -> { project, card }
+let listedProjects = []; // Projects in display order
+let firstAttached = 0; // Index in listedProjects of the first card in the DOM
+let attachedCount = 0; // Index in listedProjects after the last card in the DOM
+let detachedHeights = []; // Height (with margin) of each card before firstAttached, when detached
+
+/**
+ * Set up the list
+ * @param {Object} options - { container, scrollContainer, buildCard, updateCard }
+ */
+export function initProjectList(options) {
+    container = options.container;
+    scrollContainer = options.scrollContainer;
+    buildCard = options.buildCard;
+    updateCard = options.updateCard;
+    cards.clear();
+    listedProjects = [];
+    firstAttached = 0;
+    attachedCount = 0;
+    detachedHeights = [];
+
+    spacer = document.createElement('div');
+    spacer.className = 'project-list-spacer';
+    spacer.setAttribute('aria-hidden', 'true');
+
+    scrollContainer.addEventListener('scroll', () => {
+        if (attachedCount < listedProjects.length && isNearListEnd()) {
+            attachCards(attachedCount + PAGE_SIZE);
+        }
+        updateCardsAbove();
+    }, { passive: true });
+}
+
+/**
+ * Check if the end of the attached cards is within a screen of coming into view
+ */
+function isNearListEnd() {
+    const listBottom = container.getBoundingClientRect().bottom;
+    const viewBottom = scrollContainer.getBoundingClientRect().bottom;
+    return listBottom - viewBottom < scrollContainer.clientHeight;
+}
+
+/**
+ * Detach cards that have scrolled far above the view, or attach detached cards again as the
+ * view comes back up to them
+ * Always leaves at least a page of cards attached
+ */
+function updateCardsAbove() {
+    const viewTop = scrollContainer.getBoundingClientRect().top;
+    const screen = scrollContainer.clientHeight;
+
+    if (firstAttached > 0) {
+        let top = getCard(listedProjects[firstAttached]).getBoundingClientRect().top;
+        if (top > viewTop - screen) {
+            let first = firstAttached;
+            while (first > 0 && top > viewTop - REATTACH_SCREENS * screen) {
+                first--;
+                top -= detachedHeights[first];
+            }
+            attachFrom(first);
+            return;
+        }
+    }
+
+    if (attachedCount - firstAttached <= PAGE_SIZE) {
+        return;
+    }
+    // Measure before changing anything: each card's height is the distance to the next one
+    const heights = [];
+    let top = getCard(listedProjects[firstAttached]).getBoundingClientRect().top;
+    for (let i = firstAttached; i < attachedCount - PAGE_SIZE; i++) {
+        const nextTop = getCard(listedProjects[i + 1]).getBoundingClientRect().top;
+        if (nextTop >= viewTop - DETACH_SCREENS * screen) break;
+        heights.push(nextTop - top);
+        top = nextTop;
+    }
+    if (heights.length > 0) {
+        detachedHeights.push(...heights);
+        firstAttached += heights.length;
+        attachCards(attachedCount);
+    }
+}
+
+/**
+ * Attach the detached cards from `index` on again
+ * @param {number} index - Index in listedProjects of the new first attached card
+ */
+function attachFrom(index) {
+    firstAttached = index;
+    detachedHeights.length = index;
+    attachCards(attachedCount);
+}
+
+/**
+ * Render the list, reusing existing cards
+ * A changed list (filtered or re-sorted) starts again from one page of cards, detaching the
+ * rest, so filtering never refreshes more than a page; re-rendering the same list keeps the
+ * window of cards the user has scrolled to
+ * @param {Array} projects - Projects in display order
+ */
+export function renderProjectList(projects) {
+    const sameList = projects.length === listedProjects.length &&
+        projects.every((project, i) => project.id === listedProjects[i].id);
+    listedProjects = projects;
+    if (!sameList) {
+        firstAttached = 0;
+        detachedHeights = [];
+    }
+    attachCards(sameList ? Math.max(firstAttached + PAGE_SIZE, attachedCount) : PAGE_SIZE);
+}
+
+/**
+ * Get a project's card, building it the first time (or when the project object was replaced)
+ */
+function getCard(project) {
+    const entry = cards.get(project.id);
+    if (entry && entry.project === project) {
+        return entry.card;
+    }
+    const card = buildCard(project);
+    cards.set(project.id, { project, card });
+    return card;
+}
+
+/**
+ * Put the spacer and the listed projects' cards from firstAttached up to `count` in the
+ * container, in order, refreshing each card
+ * Nodes already in the right place aren't touched; anything else in the container is removed
+ * @param {number} count - Index in listedProjects to attach cards up to
+ */
+function attachCards(count) {
+    attachedCount = Math.min(count, listedProjects.length);
+
+    let next = container.firstChild;
+    if (firstAttached > 0) {
+        spacer.style.height = `${detachedHeights.reduce((sum, height) => sum + height, 0)}px`;
+        if (spacer === next) {
+            next = next.nextSibling;
+        } else {
+            container.insertBefore(spacer, next);
+        }
+    }
+    listedProjects.slice(firstAttached, attachedCount).forEach(project => {
+        const card = getCard(project);
+        updateCard(card, project);
+        if (card === next) {
+            next = next.nextSibling;
+        } else {
+            container.insertBefore(card, next);
+        }
+    });
+    while (next) {
+        const stale = next;
+        next = next.nextSibling;
+        stale.remove();
+    }
+}
+
+/**
+ * Get a listed project's card, attaching cards up to it if it's further down the list (or
+ * down from it if it was detached above)
+ * @param {string} projectId - Project ID
+ * @returns {Element|null} The card, or null if the project isn't listed
+ */
+export function showProjectCard(projectId) {
+    const index = listedProjects.findIndex(p => p.id === projectId);
+    if (index === -1) return null;
+    if (index < firstAttached) {
+        attachFrom(index);
+    } else if (index >= attachedCount) {
+        attachCards(index + PAGE_SIZE);
+    }
+    return getCard(listedProjects[index]);
+}
@@ -0,0 +1,134 @@
+/**
+ * Ranking Controls Module
+ * Wires up the rank buttons on project cards and the drag-to-reorder ranking panel in the sidebar
+ */
+
+import { getRankingConfig } from './config.js';
+import { findProjectById } from './data.js';
+import { getRanking, getRank, isRankingFull, toggleRanking, moveRanking } from './ranking.js';
+import { cloneTemplate } from './templates.js';
+import { hasUser, showUserDialog } from './user.js';
+
+// Index of the ranking item currently being dragged
+let dragFromIndex = null;
+
+/**
+ * Wire up the rank button in a container element
+ * @param {Element} container - The container element with the rank button
+ * @param {Object} project - The project object
+ */
+export function wireRankButton(container, project) {
+    const rankBtn = container.querySelector('.rank-btn');
+    if (!rankBtn) {
+        return;
+    }
+
+    rankBtn.hidden = false;
+    rankBtn.dataset.projectId = project.id;
+    updateRankButton(rankBtn);
+
+    rankBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+
+        const doToggle = () => toggleRanking(project.id);
+
+        if (!hasUser()) {
+            showUserDialog('Please fill out a profile to use this feature', doToggle);
+            return;
+        }
+        doToggle();
+    });
+}
+
+/**
+ * Update a rank button to reflect the current ranking
+ */
+export function updateRankButton(rankBtn) {
+    const rank = getRank(rankBtn.dataset.projectId);
+    const { topN } = getRankingConfig();
+
+    rankBtn.classList.toggle('active', rank !== null);
+    rankBtn.querySelector('.rank-number').textContent = rank !== null ? rank : '';
+    rankBtn.disabled = rank === null && isRankingFull();
+
+    if (rank !== null) {
+        rankBtn.title = `Ranked #${rank} - click to remove from your top ${topN}`;
+    } else if (isRankingFull()) {
+        rankBtn.title = `Your top ${topN} is full - remove a project to add this one`;
+    } else {
+        rankBtn.title = `Add to your top ${topN}`;
+    }
+}
+
+/**
+ * Refresh all rendered rank buttons (e.g., after the ranking changes)
+ */
+export function refreshRankButtons() {
+    document.querySelectorAll('.rank-btn[data-project-id]').forEach(updateRankButton);
+}
+
+/**
+ * Show the ranking panel in the sidebar
+ */
+export function initRankingPanel() {
+    const { topN } = getRankingConfig();
+    document.getElementById('rankingPanel').hidden = false;
+    document.getElementById('rankingTopN').textContent = topN;
+    renderRankingPanel();
+}
+
+/**
+ * Render the user's ranking as a draggable list
+ */
+export function renderRankingPanel() {
+    const list = document.getElementById('rankingList');
+    const ranking = getRanking();
+    const { topN } = getRankingConfig();
+
+    list.innerHTML = '';
+    document.getElementById('rankingCount').textContent = `${ranking.length} of ${topN}`;
+    document.getElementById('rankingHint').hidden = ranking.length > 0;
+
+    ranking.forEach((projectId, index) => {
+        const project = findProjectById(projectId);
+        const fragment = cloneTemplate('ranking-item');
+        const item = fragment.querySelector('.ranking-item');
+
+        item.dataset.index = index;
+        item.querySelector('.ranking-position').textContent = index + 1;
+        item.querySelector('.ranking-name').textContent = project ? project.name : projectId;
+
+        const moveUpBtn = item.querySelector('.ranking-move-up');
+        moveUpBtn.disabled = index === 0;
+        moveUpBtn.addEventListener('click', () => moveRanking(index, index - 1));
+
+        item.querySelector('.ranking-remove').addEventListener('click', () => toggleRanking(projectId));
+
+        // Drag to reorder
+        item.addEventListener('dragstart', (e) => {
+            dragFromIndex = index;
+            item.classList.add('dragging');
+            e.dataTransfer.effectAllowed = 'move';
+        });
+        item.addEventListener('dragend', () => {
+            dragFromIndex = null;
+            item.classList.remove('dragging');
+        });
+        item.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            item.classList.add('drag-over');
+        });
+        item.addEventListener('dragleave', () => {
+            item.classList.remove('drag-over');
+        });
+        item.addEventListener('drop', (e) => {
+            e.preventDefault();
+            item.classList.remove('drag-over');
+            if (dragFromIndex !== null) {
+                moveRanking(dragFromIndex, index);
+            }
+        });
+
+        list.appendChild(fragment);
+    });
+}
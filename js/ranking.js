@@ -0,0 +1,248 @@
+/**
+ * Ranking Module
+ * Handles ranked-choice (top-N) survey mode: each user orders their most important projects.
+ * Stored in a cookie, posted to the API, and tallied with Borda count and instant-runoff
+ */
+
+import { getCookie, setCookie } from './cookies.js';
+import { getUser } from './user.js';
+import { getConfig, getAppId, getRankingConfig } from './config.js';
+import { showApiError } from './debug.js';
+
+function getRankingCookieName() {
+    return `${getAppId()}_ranking`;
+}
+const COOKIE_DAYS = 365;
+
+// State
+let userRanking = []; // Ordered array of project IDs, most important first
+
+// Callback for ranking changes
+let onRankingChanged = null;
+
+/**
+ * Set callback for when the ranking changes
+ */
+export function setOnRankingChanged(callback) {
+    onRankingChanged = callback;
+}
+
+/**
+ * Post ranking to API server
+ */
+async function postRankingToApi() {
+    const config = getConfig();
+    if (!config.apiServer) {
+        return;
+    }
+
+    const user = getUser();
+    if (!user?.userId) {
+        console.warn('No userId available for API ranking');
+        return;
+    }
+
+    try {
+        const response = await fetch(`${config.apiServer}/api/ranking`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                userid: user.userId,
+                appid: getAppId(),
+                ranking: userRanking
+            })
+        });
+
+        if (!response.ok) {
+            console.error('API ranking failed:', response.status);
+        }
+    } catch (error) {
+        console.error('API ranking error:', error);
+        showApiError('/api/ranking POST', error);
+    }
+}
+
+/**
+ * Fetch all submitted rankings (ballots) from API server
+ * @returns {Promise<Array>} - Array of ballots, each an ordered array of item IDs
+ */
+export async function fetchAllRankings() {
+    const config = getConfig();
+    if (!config.apiServer) {
+        return [];
+    }
+
+    try {
+        const params = new URLSearchParams({
+            appid: getAppId()
+        });
+
+        const response = await fetch(`${config.apiServer}/api/rankings?${params}`, {
+            method: 'GET',
+            headers: {
+                'Content-Type': 'application/json'
+            }
+        });
+
+        if (!response.ok) {
+            console.error('API fetch rankings failed:', response.status);
+            return [];
+        }
+
+        const data = await response.json();
+        if (!Array.isArray(data)) {
+            return [];
+        }
+        return data
+            .map(item => (Array.isArray(item.ranking) ? item.ranking : []).map(String))
+            .filter(ballot => ballot.length > 0);
+    } catch (error) {
+        console.error('API fetch rankings error:', error);
+        showApiError('/api/rankings GET', error);
+        return [];
+    }
+}
+
+/**
+ * Load ranking from cookie
+ */
+export function loadRanking() {
+    userRanking = [];
+
+    const rankingCookie = getCookie(getRankingCookieName());
+    if (rankingCookie) {
+        try {
+            const parsed = JSON.parse(rankingCookie);
+            userRanking = Array.isArray(parsed) ? parsed : [];
+        } catch (e) {
+            console.error('Failed to parse ranking cookie:', e);
+            userRanking = [];
+        }
+    }
+}
+
+/**
+ * Get the user's ranking
+ * @returns {Array} Ordered array of project IDs
+ */
+export function getRanking() {
+    return userRanking;
+}
+
+/**
+ * Get the user's rank for a project
+ * @returns {number|null} 1-based rank, or null if not ranked
+ */
+export function getRank(projectId) {
+    const index = userRanking.indexOf(projectId);
+    return index === -1 ? null : index + 1;
+}
+
+/**
+ * Check if the ranking already holds the maximum number of projects
+ */
+export function isRankingFull() {
+    const rankingConfig = getRankingConfig();
+    return !!rankingConfig && userRanking.length >= rankingConfig.topN;
+}
+
+/**
+ * Add a project to the bottom of the ranking, or remove it if already ranked
+ * @returns {number|null} New 1-based rank, or null if removed (or ranking is full)
+ */
+export function toggleRanking(projectId) {
+    const index = userRanking.indexOf(projectId);
+    if (index !== -1) {
+        userRanking.splice(index, 1);
+    } else if (!isRankingFull()) {
+        userRanking.push(projectId);
+    } else {
+        return null;
+    }
+    saveRanking();
+    return getRank(projectId);
+}
+
+/**
+ * Move a ranked project to a new position
+ * @param {number} fromIndex - Current 0-based position
+ * @param {number} toIndex - New 0-based position
+ */
+export function moveRanking(fromIndex, toIndex) {
+    if (fromIndex === toIndex ||
+        fromIndex < 0 || fromIndex >= userRanking.length ||
+        toIndex < 0 || toIndex >= userRanking.length) {
+        return;
+    }
+    const [projectId] = userRanking.splice(fromIndex, 1);
+    userRanking.splice(toIndex, 0, projectId);
+    saveRanking();
+}
+
+/**
+ * Save ranking to cookie, post it, and notify listeners
+ */
+function saveRanking() {
+    setCookie(getRankingCookieName(), JSON.stringify(userRanking), COOKIE_DAYS);
+    postRankingToApi();
+    if (onRankingChanged) onRankingChanged();
+}
+
+/**
+ * Pure function to tally ballots with a Borda count
+ * A project ranked first on a ballot earns topN points, second earns topN - 1, and so on
+ * @param {Array} ballots - Array of ordered arrays of item IDs
+ * @param {number} topN - Maximum ballot length
+ * @returns {Object} Map of item_id -> points
+ */
+export function computeBordaScores(ballots, topN) {
+    const scores = {};
+    ballots.forEach(ballot => {
+        ballot.slice(0, topN).forEach((itemId, index) => {
+            scores[itemId] = (scores[itemId] || 0) + (topN - index);
+        });
+    });
+    return scores;
+}
+
+/**
+ * Pure function to tally ballots with instant-runoff, repeating eliminations until
+ * every candidate is placed. The last candidate standing is first place, the last
+ * one eliminated before it is second, and so on
+ * @param {Array} ballots - Array of ordered arrays of item IDs
+ * @returns {Object} Map of item_id -> { place, round, votes } (votes at elimination)
+ */
+export function computeInstantRunoff(ballots) {
+    const remaining = new Set();
+    ballots.forEach(ballot => ballot.forEach(itemId => remaining.add(itemId)));
+
+    const results = {};
+    let place = remaining.size;
+    let round = 1;
+
+    while (remaining.size > 0) {
+        // Count each ballot for its highest-ranked remaining candidate
+        const counts = {};
+        remaining.forEach(itemId => { counts[itemId] = 0; });
+        ballots.forEach(ballot => {
+            const choice = ballot.find(itemId => remaining.has(itemId));
+            if (choice !== undefined) counts[choice]++;
+        });
+
+        // Eliminate everyone tied for the fewest votes; they share a place
+        const fewest = Math.min(...Object.values(counts));
+        const eliminated = [...remaining].filter(itemId => counts[itemId] === fewest);
+        const sharedPlace = place - eliminated.length + 1;
+        eliminated.forEach(itemId => {
+            results[itemId] = { place: sharedPlace, round, votes: counts[itemId] };
+            remaining.delete(itemId);
+        });
+
+        place -= eliminated.length;
+        round++;
+    }
+
+    return results;
+}
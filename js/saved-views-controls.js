@@ -0,0 +1,127 @@
+/**
+ * Saved Views Controls Module
+ * Buttons above the project list for switching between saved views, saving the current view
+ * and deleting the user's own views
+ */
+
+import { cloneTemplate } from './templates.js';
+import { FILTER_PARAMS, getFilterQuery } from './filters.js';
+import { getMapView, setMapView } from './map.js';
+import { checkUrlParams } from './detail-panel.js';
+import { getAllViews, saveView, deleteView, isSameQuery, resolveViewSort } from './saved-views.js';
+import { getListSort, setListSort } from './sort-controls.js';
+
+/**
+ * Show the saved views bar and wire the Save button
+ */
+export function initSavedViewsBar() {
+    document.getElementById('savedViews').hidden = false;
+    document.getElementById('saveViewBtn').addEventListener('click', handleSaveView);
+    renderSavedViewsBar();
+}
+
+/**
+ * Render a button per view; the view matching the current filters is highlighted
+ */
+export function renderSavedViewsBar() {
+    const list = document.getElementById('savedViewsList');
+    const currentQuery = getFilterQuery();
+    list.innerHTML = '';
+
+    getAllViews().forEach(view => {
+        const fragment = cloneTemplate('saved-view');
+        const item = fragment.querySelector('.saved-view');
+        const button = item.querySelector('.saved-view-btn');
+        const deleteBtn = item.querySelector('.saved-view-delete');
+
+        item.classList.toggle('preset', view.preset);
+        item.classList.toggle('active', isSameQuery(view.query, currentQuery));
+        button.textContent = view.name;
+        button.addEventListener('click', () => applySavedView(view));
+
+        if (view.preset) {
+            deleteBtn.remove();
+        } else {
+            deleteBtn.title = `Delete "${view.name}"`;
+            deleteBtn.addEventListener('click', () => deleteView(view.name));
+        }
+
+        list.appendChild(fragment);
+    });
+}
+
+/**
+ * Switch to a view: its filters go into the URL (as a new history entry, so Back returns
+ * to the previous view), then the map extent and sort are applied
+ * @param {Object} view - { query, center, zoom, sort }
+ */
+export function applySavedView(view) {
+    const url = new URL(window.location);
+    FILTER_PARAMS.forEach(key => url.searchParams.delete(key));
+    url.searchParams.delete('project');
+    new URLSearchParams(view.query).forEach((value, key) => {
+        if (FILTER_PARAMS.includes(key)) {
+            url.searchParams.append(key, value);
+        }
+    });
+    window.history.pushState({}, '', url);
+    checkUrlParams();
+
+    applySort(view.sort);
+    if (view.center) {
+        setMapView(view.center.lat, view.center.lng, view.zoom ?? getMapView().zoom);
+    }
+    renderSavedViewsBar();
+}
+
+/**
+ * Ask for a name and save the current filters, map extent and sort
+ */
+function handleSaveView() {
+    const name = prompt('Name this view:');
+    if (!name || !name.trim()) {
+        return;
+    }
+
+    const mapView = getMapView();
+    const saved = saveView({
+        name,
+        query: getFilterQuery(),
+        center: mapView ? { lat: mapView.lat, lng: mapView.lng } : null,
+        zoom: mapView ? mapView.zoom : null,
+        sort: getCurrentSort()
+    });
+    if (!saved) {
+        alert('There isn\'t room to save this view. Delete a saved view (views with a drawn area take the most space) and try again.');
+    }
+}
+
+/**
+ * Get the current sort: the list sort if one is chosen, else the results view selector when
+ * it is shown
+ */
+function getCurrentSort() {
+    const listSort = getListSort();
+    if (listSort !== 'default') {
+        return listSort;
+    }
+    const select = document.getElementById('resultsViewSelect');
+    return document.getElementById('resultsView').hidden ? null : select.value;
+}
+
+/**
+ * Apply a view's sort: set the list sort (back to the default if the view has none, which
+ * also clears `sort=` from the URL), and the results view if the selector offers it
+ */
+function applySort(sort) {
+    const { listSort, resultsView } = resolveViewSort(sort);
+    setListSort(listSort);
+
+    const select = document.getElementById('resultsViewSelect');
+    if (!resultsView || document.getElementById('resultsView').hidden ||
+        ![...select.options].some(o => o.value === resultsView)) {
+        return;
+    }
+    select.value = resultsView;
+    select.dispatchEvent(new Event('change'));
+}
@@ -0,0 +1,136 @@
+/**
+ * Saved Views Module
+ * Handles named views (filters, map extent and sort) saved by the user, alongside the
+ * curated views from the config
+ */
+
+import { getCookie, setCookie, fitsInCookie } from './cookies.js';
+import { getAppId, getConfigViews } from './config.js';
+import { SORT_KEYS } from './sort.js';
+
+function getViewsCookieName() {
+    return `${getAppId()}_views`;
+}
+const COOKIE_DAYS = 365;
+
+// Keep the cookie well under the 4KB limit
+export const MAX_SAVED_VIEWS = 10;
+
+// State
+let savedViews = []; // Array of { name, query, center, zoom, sort }, oldest first
+
+// Callback for when saved views change
+let onSavedViewsChanged = null;
+
+/**
+ * Set callback for when saved views change
+ */
+export function setOnSavedViewsChanged(callback) {
+    onSavedViewsChanged = callback;
+}
+
+/**
+ * Load saved views from cookie
+ */
+export function loadSavedViews() {
+    savedViews = [];
+
+    const viewsCookie = getCookie(getViewsCookieName());
+    if (viewsCookie) {
+        try {
+            const parsed = JSON.parse(viewsCookie);
+            savedViews = Array.isArray(parsed) ? parsed.filter(v => v && v.name) : [];
+        } catch (e) {
+            console.error('Failed to parse views cookie:', e);
+            savedViews = [];
+        }
+    }
+}
+
+/**
+ * Get the user's saved views
+ */
+export function getSavedViews() {
+    return savedViews;
+}
+
+/**
+ * Get every view to show: config presets first, then the user's own
+ * @returns {Array} Views with { preset: true } on the config ones
+ */
+export function getAllViews() {
+    return [
+        ...getConfigViews().map(view => ({ ...view, preset: true })),
+        ...savedViews.map(view => ({ ...view, preset: false }))
+    ];
+}
+
+/**
+ * Save a view (replacing any saved view with the same name)
+ * The oldest views are dropped past MAX_SAVED_VIEWS; a save that wouldn't fit in the cookie
+ * (drawn areas make long queries) is refused, keeping the views saved so far
+ * @param {Object} view - { name, query, center, zoom, sort }
+ * @returns {boolean} Whether the view was saved
+ */
+export function saveView(view) {
+    const name = view.name.trim();
+    let views = savedViews.filter(v => v.name !== name);
+    views.push({
+        name,
+        query: view.query || '',
+        center: view.center || null,
+        zoom: view.zoom ?? null,
+        sort: view.sort || null
+    });
+    if (views.length > MAX_SAVED_VIEWS) {
+        views = views.slice(-MAX_SAVED_VIEWS);
+    }
+    if (!fitsInCookie(getViewsCookieName(), JSON.stringify(views))) {
+        return false;
+    }
+    savedViews = views;
+    persist();
+    return true;
+}
+
+/**
+ * Delete a saved view by name
+ */
+export function deleteView(name) {
+    savedViews = savedViews.filter(v => v.name !== name);
+    persist();
+}
+
+/**
+ * Save to cookie and notify
+ */
+function persist() {
+    setCookie(getViewsCookieName(), JSON.stringify(savedViews), COOKIE_DAYS);
+    if (onSavedViewsChanged) onSavedViewsChanged();
+}
+
+/**
+ * Pure function to compare two filter query strings, ignoring parameter order
+ * (the order of repeated values, e.g. type=A&type=B, doesn't matter either)
+ */
+export function isSameQuery(a, b) {
+    const canonical = (query) => [...new URLSearchParams(query || '')]
+        .map(([key, value]) => `${key}=${value}`)
+        .sort()
+        .join('&');
+    return canonical(a) === canonical(b);
+}
+
+/**
+ * Pure function to split a view's sort into the list sort and the results ranking
+ * A view holds one or the other: a list sort key from SORT_KEYS, or a results view key
+ * (score, budget, borda...) from the "Rank by" selector in results mode
+ * @param {string|null} sort - The view's sort
+ * @returns {Object} { listSort: key from SORT_KEYS, resultsView: results view key or null }
+ */
+export function resolveViewSort(sort) {
+    if (sort && SORT_KEYS.includes(sort)) {
+        return { listSort: sort, resultsView: null };
+    }
+    return { listSort: 'default', resultsView: sort || null };
+}
@@ -0,0 +1,255 @@
+/**
+ * Search Module
+ * Parses the search box query (free text plus field qualifiers like `type:parks cost>5M
+ * dept:"Public Works"`), matches projects with typo-tolerant name matching, and highlights
+ * matches in project cards
+ */
+
+// Qualifier aliases -> project field
+const TEXT_QUALIFIERS = {
+    type: 'type',
+    status: 'status',
+    priority: 'priority',
+    dept: 'department',
+    department: 'department',
+    source: 'fundingSource',
+    funding: 'fundingSource',
+    location: 'locationName',
+    loc: 'locationName',
+    name: 'name',
+    id: 'id'
+};
+const NUMBER_QUALIFIERS = ['cost'];
+const YEAR_QUALIFIERS = ['fy'];
+
+const COMPARISON_OPERATORS = ['>=', '<=', '>', '<', '=', ':'];
+const AMOUNT_SUFFIXES = { k: 1e3, m: 1e6, b: 1e9 };
+
+/**
+ * Split a query into tokens, keeping quoted phrases (and quoted qualifier values) together
+ * @param {string} query - Raw query
+ * @returns {Array} Tokens with quotes removed
+ */
+function tokenize(query) {
+    const tokens = [];
+    const pattern = /(\S*?)"([^"]*)"?|(\S+)/g;
+    let match;
+    while ((match = pattern.exec(query)) !== null) {
+        if (match[3] !== undefined) {
+            tokens.push(match[3]);
+        } else {
+            tokens.push(match[1] + match[2]);
+        }
+    }
+    return tokens.filter(token => token.length > 0);
+}
+
+/**
+ * Parse an amount like "5M", "$250k" or "1,200,000"
+ * @returns {number} Amount, or NaN if it can't be parsed
+ */
+export function parseAmount(text) {
+    const match = String(text).trim().toLowerCase().replace(/[$,\s]/g, '').match(/^(\d+(?:\.\d+)?)([kmb])?$/);
+    if (!match) return NaN;
+    return parseFloat(match[1]) * (match[2] ? AMOUNT_SUFFIXES[match[2]] : 1);
+}
+
+/**
+ * Pure function to parse a search query
+ * Unknown qualifiers (and qualifiers with unparseable values) are treated as plain text
+ * @param {string} query - Search box text
+ * @returns {Object} { terms: [lowercase words/phrases], qualifiers: [{ key, field, op, value }] }
+ */
+export function parseSearchQuery(query) {
+    const terms = [];
+    const qualifiers = [];
+
+    tokenize(String(query || '')).forEach(token => {
+        const match = token.match(/^([a-z]+)(>=|<=|>|<|=|:)(.+)$/i);
+        const key = match?.[1].toLowerCase();
+        const op = match?.[2];
+        const rawValue = match?.[3];
+
+        if (match && TEXT_QUALIFIERS[key] && (op === ':' || op === '=')) {
+            qualifiers.push({ key, field: TEXT_QUALIFIERS[key], op: ':', value: rawValue.toLowerCase() });
+        } else if (match && NUMBER_QUALIFIERS.includes(key) && COMPARISON_OPERATORS.includes(op) && !isNaN(parseAmount(rawValue))) {
+            qualifiers.push({ key, field: 'totalFunding', op: op === ':' ? '=' : op, value: parseAmount(rawValue) });
+        } else if (match && YEAR_QUALIFIERS.includes(key) && (op === ':' || op === '=')) {
+            qualifiers.push({ key, field: 'fundingYears', op: ':', value: rawValue.toUpperCase() });
+        } else {
+            terms.push(token.toLowerCase());
+        }
+    });
+
+    return { terms, qualifiers };
+}
+
+/**
+ * Edit distance counting insertions, deletions, substitutions and swapped neighbouring letters
+ * (optimal string alignment), giving up early once it exceeds maxDistance
+ * @returns {number} Distance (maxDistance + 1 if it is larger than maxDistance)
+ */
+export function editDistance(a, b, maxDistance = Infinity) {
+    if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+    let beforePrevious = null;
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+            }
+            rowMin = Math.min(rowMin, current[j]);
+        }
+        if (rowMin > maxDistance) return maxDistance + 1;
+        beforePrevious = previous;
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+/**
+ * How many typos a term may have and still match a word (none for short terms)
+ */
+function getAllowedTypos(term) {
+    if (term.length >= 8) return 2;
+    if (term.length >= 4) return 1;
+    return 0;
+}
+
+/**
+ * Split text into words with their positions
+ */
+function getWords(text) {
+    const words = [];
+    const pattern = /[a-z0-9]+/gi;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+        words.push({ word: match[0].toLowerCase(), start: match.index, end: match.index + match[0].length });
+    }
+    return words;
+}
+
+/**
+ * Check if a term fuzzily matches a word in some text (typos, or a typo'd prefix of a longer word)
+ */
+function fuzzyWordMatch(text, term) {
+    const allowed = getAllowedTypos(term);
+    if (allowed === 0 || term.includes(' ')) return null;
+    return getWords(text).find(({ word }) =>
+        editDistance(word, term, allowed) <= allowed ||
+        (word.length > term.length && editDistance(word.slice(0, term.length), term, allowed) <= allowed)
+    ) || null;
+}
+
+/**
+ * Check a single qualifier against a project
+ */
+function matchesQualifier(project, qualifier) {
+    const { field, op, value } = qualifier;
+
+    if (field === 'totalFunding') {
+        const cost = project.totalFunding || 0;
+        switch (op) {
+            case '>': return cost > value;
+            case '<': return cost < value;
+            case '>=': return cost >= value;
+            case '<=': return cost <= value;
+            default: return cost === value;
+        }
+    }
+
+    if (field === 'fundingYears') {
+        const year = value.startsWith('FY') || value === 'FUTURE' ? value : `FY${value.slice(-2)}`;
+        const key = Object.keys(project.fundingYears || {}).find(fy => fy.toUpperCase() === year);
+        return !!key && project.fundingYears[key] > 0;
+    }
+
+    const projectValue = project[field];
+    const values = Array.isArray(projectValue) ? projectValue : [projectValue];
+    return values.some(v => v !== null && v !== undefined && String(v).toLowerCase().includes(value));
+}
+
+/**
+ * Check a free-text term against a project's name, description and location
+ * Exact substrings match anywhere; typo-tolerant matching applies to the name only
+ */
+function matchesTerm(project, term) {
+    const inText = (text) => !!text && text.toLowerCase().includes(term);
+    return inText(project.name) ||
+        inText(project.description) ||
+        inText(project.locationName) ||
+        fuzzyWordMatch(project.name, term) !== null;
+}
+
+/**
+ * Pure function to check a project against a parsed query (every term and qualifier must match)
+ * @param {Object} project - The project to test
+ * @param {Object} parsedQuery - Result of parseSearchQuery
+ * @returns {boolean}
+ */
+export function matchesSearch(project, parsedQuery) {
+    return parsedQuery.qualifiers.every(q => matchesQualifier(project, q)) &&
+        parsedQuery.terms.every(term => matchesTerm(project, term));
+}
+
+/**
+ * Pure function to find the ranges of text matched by search terms (exact or fuzzy)
+ * @param {string} text - Text to search (e.g. a project name)
+ * @param {Array} terms - Lowercase terms from parseSearchQuery
+ * @returns {Array} Sorted, merged [start, end) ranges
+ */
+export function getHighlightRanges(text, terms) {
+    if (!text) return [];
+    const lower = text.toLowerCase();
+    const ranges = [];
+
+    terms.forEach(term => {
+        let index = lower.indexOf(term);
+        if (index !== -1) {
+            while (index !== -1) {
+                ranges.push([index, index + term.length]);
+                index = lower.indexOf(term, index + term.length);
+            }
+        } else {
+            const word = fuzzyWordMatch(text, term);
+            if (word) ranges.push([word.start, word.end]);
+        }
+    });
+
+    ranges.sort((a, b) => a[0] - b[0]);
+    return ranges.reduce((merged, range) => {
+        const last = merged[merged.length - 1];
+        if (last && range[0] <= last[1]) {
+            last[1] = Math.max(last[1], range[1]);
+        } else {
+            merged.push([...range]);
+        }
+        return merged;
+    }, []);
+}
+
+/**
+ * Set an element's text with <mark> around the parts matching the search terms
+ * @param {HTMLElement} element - Element to fill
+ * @param {string} text - Text to show
+ * @param {Array} terms - Lowercase terms from parseSearchQuery
+ */
+export function setHighlightedText(element, text, terms) {
+    const ranges = getHighlightRanges(text, terms);
+    element.textContent = '';
+    let position = 0;
+    ranges.forEach(([start, end]) => {
+        element.appendChild(document.createTextNode(text.slice(position, start)));
+        const mark = document.createElement('mark');
+        mark.className = 'search-highlight';
+        mark.textContent = text.slice(start, end);
+        element.appendChild(mark);
+        position = end;
+    });
+    element.appendChild(document.createTextNode(text.slice(position)));
+}
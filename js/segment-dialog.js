@@ -0,0 +1,208 @@
+/**
+ * Segment Dialog Module
+ * Sidebar panel and dialog for choosing a results segment (hex areas and profile answers)
+ */
+
+import { getSurveyQuestions } from './config.js';
+import { cloneTemplate } from './templates.js';
+import { getHexGridConfig, computeHexGrid } from './user.js';
+import {
+    getSegment,
+    isSegmentActive,
+    getSegmentRespondentCount,
+    applySegment,
+    clearSegment,
+    describeSegment
+} from './segments.js';
+
+// Dialog map state
+let segmentMap = null;
+let selectedHexIds = new Set();
+
+// Hex styles
+const HEX_STYLE = { color: 'rgba(150, 150, 150, 0.5)', fillColor: '#3498db', fillOpacity: 0.05, weight: 1 };
+const HEX_SELECTED_STYLE = { color: '#8e44ad', fillColor: '#8e44ad', fillOpacity: 0.4, weight: 2 };
+
+/**
+ * Show the segment panel and set up dialog event listeners
+ */
+export function initSegmentPanel() {
+    document.getElementById('segmentPanel').hidden = false;
+    document.getElementById('segmentEditBtn').addEventListener('click', showSegmentDialog);
+    document.getElementById('segmentClearBtn').addEventListener('click', clearSegment);
+
+    document.getElementById('segmentDialogApply').addEventListener('click', handleSegmentDialogApply);
+    document.getElementById('segmentDialogCancel').addEventListener('click', hideSegmentDialog);
+    document.getElementById('segmentDialogClose').addEventListener('click', hideSegmentDialog);
+    document.getElementById('segmentDialogOverlay').addEventListener('click', hideSegmentDialog);
+
+    updateSegmentPanel();
+}
+
+/**
+ * Update the segment summary in the sidebar
+ */
+export function updateSegmentPanel() {
+    const summary = document.getElementById('segmentSummary');
+    const clearBtn = document.getElementById('segmentClearBtn');
+
+    if (isSegmentActive()) {
+        const count = getSegmentRespondentCount();
+        summary.textContent = `${describeSegment(getSegment(), getSurveyQuestions())} (${count} respondent${count === 1 ? '' : 's'})`;
+        clearBtn.hidden = false;
+    } else {
+        summary.textContent = 'Everyone';
+        clearBtn.hidden = true;
+    }
+}
+
+/**
+ * Show the segment dialog, pre-filled with the active segment
+ */
+export function showSegmentDialog() {
+    const segment = getSegment() || { hexIds: [], answers: {} };
+    selectedHexIds = new Set(segment.hexIds);
+
+    document.getElementById('segmentDialog').hidden = false;
+    document.getElementById('segmentDialogOverlay').hidden = false;
+
+    // Initialize the map after the dialog is visible (so the container has dimensions)
+    initSegmentMap();
+    renderAnswerFilters(segment.answers);
+}
+
+/**
+ * Hide the segment dialog
+ */
+export function hideSegmentDialog() {
+    document.getElementById('segmentDialog').hidden = true;
+    document.getElementById('segmentDialogOverlay').hidden = true;
+
+    if (segmentMap) {
+        segmentMap.remove();
+        segmentMap = null;
+    }
+}
+
+/**
+ * Apply the segment chosen in the dialog
+ */
+async function handleSegmentDialogApply() {
+    const segment = {
+        hexIds: [...selectedHexIds],
+        answers: getSelectedAnswers()
+    };
+    hideSegmentDialog();
+    await applySegment(segment);
+}
+
+/**
+ * Create the hex map; clicking a cell toggles it in the segment
+ */
+function initSegmentMap() {
+    const pickerConfig = getHexGridConfig();
+
+    segmentMap = L.map(document.getElementById('segmentMap'), {
+        center: [pickerConfig.center.lat, pickerConfig.center.lng],
+        zoom: pickerConfig.zoom,
+        zoomControl: false,
+        dragging: false,
+        touchZoom: false,
+        scrollWheelZoom: false,
+        doubleClickZoom: false,
+        boxZoom: false,
+        keyboard: false
+    });
+
+    L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
+        attribution: '&copy; OpenStreetMap contributors',
+        maxZoom: 19
+    }).addTo(segmentMap);
+
+    const hexLayer = L.layerGroup().addTo(segmentMap);
+    computeHexGrid(pickerConfig).forEach(cell => {
+        const polygon = L.polygon(cell.points, {
+            ...(selectedHexIds.has(cell.id) ? HEX_SELECTED_STYLE : HEX_STYLE),
+            className: 'hex-cell'
+        });
+        polygon.on('click', () => {
+            if (selectedHexIds.has(cell.id)) {
+                selectedHexIds.delete(cell.id);
+                polygon.setStyle(HEX_STYLE);
+            } else {
+                selectedHexIds.add(cell.id);
+                polygon.setStyle(HEX_SELECTED_STYLE);
+            }
+            updateHexHint();
+        });
+        polygon.addTo(hexLayer);
+    });
+
+    updateHexHint();
+}
+
+/**
+ * Update the hint under the hex map
+ */
+function updateHexHint() {
+    const count = selectedHexIds.size;
+    document.getElementById('segmentHexHint').textContent = count > 0
+        ? `${count} area${count === 1 ? '' : 's'} selected`
+        : 'Click hexagons to limit results to those areas (none selected = all areas)';
+}
+
+/**
+ * Render a checkbox group for each survey question with fixed choices
+ * @param {Object} selected - Map of question ID -> selected values
+ */
+function renderAnswerFilters(selected) {
+    const container = document.getElementById('segmentAnswers');
+    const questions = getSurveyQuestions().filter(q => q.type !== 'text');
+    container.innerHTML = '';
+    container.hidden = questions.length === 0;
+
+    questions.forEach(question => {
+        const fragment = cloneTemplate('survey-question');
+        const fieldset = fragment.querySelector('.survey-question');
+        const inputContainer = fieldset.querySelector('.survey-question-input');
+        const values = question.type === 'likert'
+            ? Array.from({ length: question.scale }, (_, i) => String(i + 1))
+            : question.options;
+
+        fieldset.dataset.questionId = question.id;
+        fieldset.querySelector('.survey-question-label').textContent = question.label;
+        fieldset.querySelector('.survey-question-required').hidden = true;
+        if (question.type === 'likert') {
+            inputContainer.classList.add('survey-likert');
+        }
+
+        values.forEach(value => {
+            const label = document.createElement('label');
+            label.className = 'survey-option';
+            const input = document.createElement('input');
+            input.type = 'checkbox';
+            input.value = value;
+            input.checked = (selected[question.id] || []).includes(value);
+            label.appendChild(input);
+            label.appendChild(document.createTextNode(value));
+            inputContainer.appendChild(label);
+        });
+
+        container.appendChild(fragment);
+    });
+}
+
+/**
+ * Read the selected answer values from the dialog
+ * @returns {Object} Map of question ID -> selected values (questions with none selected omitted)
+ */
+function getSelectedAnswers() {
+    const answers = {};
+    document.querySelectorAll('#segmentAnswers .survey-question').forEach(fieldset => {
+        const values = [...fieldset.querySelectorAll('input:checked')].map(input => input.value);
+        if (values.length > 0) {
+            answers[fieldset.dataset.questionId] = values;
+        }
+    });
+    return answers;
+}
@@ -0,0 +1,163 @@
+/**
+ * Segments Module
+ * Results segmentation: recomputes per-project vote scores for a subset of respondents,
+ * chosen by hex area and/or profile answers, to compare against everyone
+ */
+
+import { fetchAllVoteRecords } from './votes.js';
+
+// State
+let activeSegment = null; // { hexIds: [...], answers: { questionId: [values] } }
+let segmentScores = {};
+let segmentRespondents = 0;
+let voteRecords = null; // Fetched on first use
+
+// Callback for segment changes
+let onSegmentChanged = null;
+
+/**
+ * Set callback for when the active segment changes
+ */
+export function setOnSegmentChanged(callback) {
+    onSegmentChanged = callback;
+}
+
+/**
+ * Get the active segment
+ * @returns {Object|null} { hexIds, answers } or null if showing everyone
+ */
+export function getSegment() {
+    return activeSegment;
+}
+
+/**
+ * Check if a segment is active
+ */
+export function isSegmentActive() {
+    return activeSegment !== null;
+}
+
+/**
+ * Get per-project scores for the active segment
+ * @returns {Object} Map of item_id -> { upvotes, downvotes, score } (same shape as fetchAllVoteScores)
+ */
+export function getSegmentScores() {
+    return segmentScores;
+}
+
+/**
+ * Get the number of distinct respondents in the active segment
+ */
+export function getSegmentRespondentCount() {
+    return segmentRespondents;
+}
+
+/**
+ * Apply a segment, fetching the individual vote records the first time (until a fetch succeeds)
+ * @param {Object} segment - { hexIds, answers }; an empty segment clears segmentation
+ */
+export async function applySegment(segment) {
+    if (isEmptySegment(segment)) {
+        clearSegment();
+        return;
+    }
+
+    // Only a successful fetch is kept, so a failed one is tried again on the next change
+    if (!voteRecords) {
+        voteRecords = await fetchAllVoteRecords();
+    }
+
+    const result = computeSegmentScores(voteRecords || [], segment);
+    activeSegment = segment;
+    segmentScores = result.scores;
+    segmentRespondents = result.respondents;
+    if (onSegmentChanged) onSegmentChanged();
+}
+
+/**
+ * Clear the active segment (back to everyone)
+ */
+export function clearSegment() {
+    activeSegment = null;
+    segmentScores = {};
+    segmentRespondents = 0;
+    if (onSegmentChanged) onSegmentChanged();
+}
+
+/**
+ * Check if a segment has no criteria
+ */
+export function isEmptySegment(segment) {
+    if (!segment) return true;
+    const hasHexes = (segment.hexIds || []).length > 0;
+    const hasAnswers = Object.values(segment.answers || {}).some(values => values.length > 0);
+    return !hasHexes && !hasAnswers;
+}
+
+/**
+ * Pure function to check whether a vote record belongs to a segment
+ * Hex cells are OR'd together; each answered question must match at least one selected value
+ * @param {Object} record - { hexId, answers }
+ * @param {Object} segment - { hexIds, answers }
+ */
+export function matchesSegment(record, segment) {
+    const hexIds = segment.hexIds || [];
+    if (hexIds.length > 0 && !hexIds.includes(record.hexId)) {
+        return false;
+    }
+
+    return Object.entries(segment.answers || {}).every(([questionId, values]) => {
+        if (values.length === 0) return true;
+        const answer = record.answers?.[questionId];
+        const recordValues = (Array.isArray(answer) ? answer : [answer])
+            .filter(value => value !== undefined && value !== null)
+            .map(String);
+        return recordValues.some(value => values.includes(value));
+    });
+}
+
+/**
+ * Pure function to tally vote records for a segment
+ * @param {Array} records - Array of { itemId, userId, vote, hexId, answers }
+ * @param {Object} segment - { hexIds, answers }
+ * @returns {Object} { scores: item_id -> { upvotes, downvotes, score }, respondents }
+ */
+export function computeSegmentScores(records, segment) {
+    const scores = {};
+    const respondents = new Set();
+
+    records.forEach(record => {
+        if (!matchesSegment(record, segment)) return;
+        respondents.add(record.userId);
+
+        const entry = scores[record.itemId] || (scores[record.itemId] = { upvotes: 0, downvotes: 0, score: 0 });
+        if (record.vote > 0) {
+            entry.upvotes++;
+        } else if (record.vote < 0) {
+            entry.downvotes++;
+        }
+        entry.score = entry.upvotes - entry.downvotes;
+    });
+
+    return { scores, respondents: respondents.size };
+}
+
+/**
+ * Describe a segment in a short human-readable summary
+ * @param {Object} segment - { hexIds, answers }
+ * @param {Array} questions - Survey questions (for labels)
+ * @returns {string} e.g. "3 areas · Age: 65+"
+ */
+export function describeSegment(segment, questions) {
+    const parts = [];
+    const hexCount = (segment.hexIds || []).length;
+    if (hexCount > 0) {
+        parts.push(`${hexCount} area${hexCount === 1 ? '' : 's'}`);
+    }
+    Object.entries(segment.answers || {}).forEach(([questionId, values]) => {
+        if (values.length === 0) return;
+        const question = questions.find(q => q.id === questionId);
+        parts.push(`${question ? question.label : questionId}: ${values.join(', ')}`);
+    });
+    return parts.join(' · ');
+}
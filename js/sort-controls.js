@@ -0,0 +1,155 @@
+/**
+ * Sort Controls Module
+ * The sort selector above the project list (kept in the URL as `sort=<key>`), including the
+ * "Near my area" sort and its radius filter (measured from the center of the user's hex,
+ * see nearby.js)
+ */
+
+import { getConfig, getNearMeConfig } from './config.js';
+import { getFilters, setNearRadiusFilter } from './filters.js';
+import { getUserAreaCenter, METERS_PER_MILE } from './nearby.js';
+import { parseSortParam, sortProjects } from './sort.js';
+import { showUserDialog } from './user.js';
+
+// State
+let currentSort = 'default'; // A key from SORT_KEYS in sort.js
+let availableSorts = [];
+
+// Callback for when the sort changes
+let onSortChanged = null;
+
+/**
+ * Set callback for when the sort changes
+ */
+export function setOnSortChanged(callback) {
+    onSortChanged = callback;
+}
+
+/**
+ * Get the current list sort
+ */
+export function getListSort() {
+    return currentSort;
+}
+
+/**
+ * Drop the sorts this mode has no data for, fill the radius options, restore the sort from
+ * the URL and wire the selectors
+ * @param {Object} available - { comments, score }: whether comment counts and vote scores are loaded
+ */
+export function initSortControls({ comments = false, score = false } = {}) {
+    const sortSelect = document.getElementById('sortSelect');
+    const radiusSelect = document.getElementById('nearRadiusSelect');
+
+    [...sortSelect.options].forEach(option => {
+        if ((option.value === 'comments' && !comments) || (option.value === 'score' && !score)) {
+            option.remove();
+        }
+    });
+    availableSorts = [...sortSelect.options].map(option => option.value);
+    currentSort = parseSortParam(new URLSearchParams(window.location.search), availableSorts);
+
+    getNearMeConfig().radiiMiles.forEach(miles => {
+        const option = document.createElement('option');
+        option.value = String(Math.round(miles * METERS_PER_MILE));
+        option.textContent = `Within ${miles} mi`;
+        radiusSelect.appendChild(option);
+    });
+    // A shared link may carry a radius that isn't one of the configured options
+    const radius = getFilters().nearRadius;
+    if (radius && ![...radiusSelect.options].some(o => o.value === String(radius))) {
+        const option = document.createElement('option');
+        option.value = String(radius);
+        option.textContent = `Within ${(radius / METERS_PER_MILE).toFixed(1)} mi`;
+        radiusSelect.appendChild(option);
+    }
+    radiusSelect.value = radius ? String(radius) : '';
+
+    sortSelect.addEventListener('change', () => {
+        if (sortSelect.value === 'near' && !getUserAreaCenter()) {
+            // Distances need the user's hex: ask for it, then switch once they've picked one
+            sortSelect.value = currentSort;
+            showUserDialog('Choose your area on the map to sort projects by distance from it.', () => {
+                if (getUserAreaCenter()) setListSort('near');
+            });
+            return;
+        }
+        setListSort(sortSelect.value);
+    });
+
+    radiusSelect.addEventListener('change', () => {
+        setNearRadiusFilter(parseInt(radiusSelect.value, 10) || null);
+        refreshSortControls();
+    });
+
+    refreshSortControls();
+}
+
+/**
+ * Make the sort match the URL (back/forward, see checkUrlParams), without re-rendering
+ * @returns {boolean} Whether the sort changed
+ */
+export function restoreSortFromUrl() {
+    if (availableSorts.length === 0) return false; // Not initialized yet
+
+    const sort = parseSortParam(new URLSearchParams(window.location.search), availableSorts);
+    if (sort === currentSort) {
+        return false;
+    }
+    currentSort = sort;
+    refreshSortControls();
+    return true;
+}
+
+/**
+ * Set the list sort, update the URL and re-render
+ * @param {string} sort - A key from SORT_KEYS in sort.js
+ */
+export function setListSort(sort) {
+    currentSort = availableSorts.includes(sort) ? sort : 'default';
+    refreshSortControls();
+    if (onSortChanged) onSortChanged();
+}
+
+/**
+ * Replace the sort param in the URL (no new history entry)
+ */
+function updateSortUrl() {
+    const url = new URL(window.location);
+    if (currentSort === 'default') {
+        url.searchParams.delete('sort');
+    } else {
+        url.searchParams.set('sort', currentSort);
+    }
+    if (url.href !== window.location.href) {
+        window.history.replaceState(window.history.state, '', url);
+    }
+}
+
+/**
+ * Show the current sort, and the radius selector while sorting by distance or filtering by
+ * radius (only when the user has picked a hex)
+ */
+export function refreshSortControls() {
+    if (availableSorts.length === 0) return; // Not initialized yet
+
+    const hasArea = !!getUserAreaCenter();
+    if (!hasArea && currentSort === 'near') {
+        currentSort = 'default';
+    }
+    document.getElementById('sortSelect').value = currentSort;
+    document.getElementById('nearRadiusSelect').hidden =
+        !hasArea || (currentSort !== 'near' && !getFilters().nearRadius);
+    updateSortUrl();
+}
+
+/**
+ * Apply the list sort to already filtered (and results-ranked) projects
+ * @param {Array} projects - Projects in their default order
+ * @param {Object} stats - { commentCounts, voteScores } for the comment and score sorts
+ * @returns {Array} Projects in display order
+ */
+export function applyListSort(projects, stats = {}) {
+    const center = currentSort === 'near' ? getUserAreaCenter() : null;
+    return sortProjects(projects, currentSort, getConfig(), { ...stats, center });
+}
@@ -0,0 +1,75 @@
+/**
+ * Sort Module
+ * Orders the project list by name, cost, priority, status, dates, comment count, vote score or
+ * distance from the user's area. The sort is kept in the URL as `sort=<key>`
+ */
+
+import { sortByDistance } from './nearby.js';
+
+// Sort keys in the order the selector lists them ('default' is CSV order, or the ranking in results mode)
+export const SORT_KEYS = ['default', 'name', 'cost', 'priority', 'status', 'start', 'end', 'comments', 'score', 'near'];
+
+/**
+ * Pure function to read the sort from URL params
+ * @param {URLSearchParams} params - URL search params
+ * @param {Array} available - Sort keys available in this mode
+ * @returns {string} Sort key ('default' if missing or unavailable)
+ */
+export function parseSortParam(params, available = SORT_KEYS) {
+    const sort = params.get('sort');
+    return sort && available.includes(sort) ? sort : 'default';
+}
+
+/**
+ * Position of a value in a configured list (unknown values sort last)
+ */
+function orderIndex(list, value) {
+    const index = (list || []).indexOf(value);
+    return index === -1 ? Number.MAX_SAFE_INTEGER : index;
+}
+
+/**
+ * Date as a timestamp (missing or unparseable dates sort last)
+ */
+function dateValue(dateStr) {
+    const time = dateStr ? new Date(dateStr).getTime() : NaN;
+    return isNaN(time) ? Number.MAX_SAFE_INTEGER : time;
+}
+
+/**
+ * Pure function to sort projects
+ * Ties (and the 'default' sort) keep the incoming order
+ * @param {Array} projects - Projects in their default order
+ * @param {string} sort - Sort key from SORT_KEYS
+ * @param {Object} config - App configuration (statusOptions and priorityLevels give their order)
+ * @param {Object} context - { commentCounts: { id: count }, voteScores: { id: { score } },
+ *                           center: { lat, lng } of the user's area for 'near' }
+ * @returns {Array} New sorted array (or the input for 'default')
+ */
+export function sortProjects(projects, sort, config, context = {}) {
+    const { commentCounts = {}, voteScores = {}, center = null } = context;
+    const by = (value) => [...projects].sort((a, b) => value(a) - value(b));
+
+    switch (sort) {
+        case 'name':
+            return [...projects].sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true, sensitivity: 'base' }));
+        case 'cost':
+            return by(p => -(p.totalFunding || 0));
+        case 'priority':
+            return by(p => orderIndex(config.priorityLevels, p.priority));
+        case 'status':
+            return by(p => orderIndex(config.statusOptions, p.status));
+        case 'start':
+            return by(p => dateValue(p.startDate));
+        case 'end':
+            return by(p => dateValue(p.endDate));
+        case 'comments':
+            return by(p => -(commentCounts[p.id] || 0));
+        case 'score':
+            return by(p => -(voteScores[p.id]?.score || 0));
+        case 'near':
+            return center ? sortByDistance(projects, center) : projects;
+        default:
+            return projects;
+    }
+}
@@ -13,12 +13,17 @@ export function cacheTemplates() {
         'empty-state',
         'error-state',
         'map-marker',
+        'map-cluster',
         'legend-item',
         'filter-chip',
         'project-detail',
         'funding-row',
         'funding-total',
-        'timeline-item'
+        'timeline-item',
+        'ranking-item',
+        'survey-question',
+        'validation-issue',
+        'saved-view'
     ];
 
     templateIds.forEach(id => {
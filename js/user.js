@@ -1,12 +1,13 @@
 /**
  * User Module
- * Handles user identity (first name, last name, email, location)
- * Stored in a cookie, no authentication required
+ * Handles user identity (first name, last name, email, location) and optional
+ * survey question answers. Stored in a cookie, no authentication required
  */
 
-import { getConfig, getAppId } from './config.js';
+import { getConfig, getAppId, getSurveyQuestions } from './config.js';
 import { getCookie, setCookie, deleteCookie } from './cookies.js';
 import { showApiError } from './debug.js';
+import { cloneTemplate } from './templates.js';
 
 function getUserCookieName() {
     return `${getAppId()}_user`;
@@ -29,6 +30,7 @@ let pendingAction = null;
  *   lastName: string,
  *   email: string,
  *   location: { lat: number, lng: number, hexId: string },
+ *   answers: { [questionId]: string | string[] | number } (only if config.surveyQuestions is set),
  *   userId: string (from API, if available)
  * }
  */
@@ -55,6 +57,7 @@ async function registerUserWithApi(user) {
                 last_name: user.lastName,
                 email: user.email,
                 hex_location: user.location?.hexId || null,
+                answers: user.answers || {},
                 appid: getAppId()
             })
         });
@@ -178,6 +181,7 @@ export async function recoverUserToServer() {
                 last_name: currentUser.lastName,
                 email: currentUser.email,
                 hex_location: currentUser.location?.hexId || null,
+                answers: currentUser.answers || {},
                 appid: getAppId()
             })
         });
@@ -208,8 +212,10 @@ export async function recoverUserToServer() {
 
 /**
  * Validate user data
+ * @param {Object} user - User data
+ * @param {Array} questions - Survey questions to check user.answers against
  */
-export function validateUser(user) {
+export function validateUser(user, questions = getSurveyQuestions()) {
     const errors = {};
     
     if (!user.firstName || !user.firstName.trim()) {
@@ -230,12 +236,65 @@ export function validateUser(user) {
         errors.location = 'Please select your area on the map';
     }
     
+    const answerErrors = validateSurveyAnswers(user.answers || {}, questions);
+    if (Object.keys(answerErrors).length > 0) {
+        errors.answers = answerErrors;
+    }
+    
     return {
         isValid: Object.keys(errors).length === 0,
         errors
     };
 }
 
+/**
+ * Validate survey question answers
+ * @param {Object} answers - Map of question ID -> answer
+ * @param {Array} questions - Normalized questions from getSurveyQuestions()
+ * @returns {Object} Map of question ID -> error message (empty if all valid)
+ */
+export function validateSurveyAnswers(answers, questions) {
+    const errors = {};
+    
+    questions.forEach(question => {
+        const answer = answers[question.id];
+        const isEmpty = answer === undefined || answer === null || answer === '' ||
+            (Array.isArray(answer) && answer.length === 0);
+        
+        if (isEmpty) {
+            if (question.required) {
+                errors[question.id] = 'This question is required';
+            }
+            return;
+        }
+        
+        switch (question.type) {
+            case 'single':
+                if (!question.options.includes(answer)) {
+                    errors[question.id] = 'Please choose one of the listed options';
+                }
+                break;
+            case 'multi':
+                if (!Array.isArray(answer) || !answer.every(a => question.options.includes(a))) {
+                    errors[question.id] = 'Please choose from the listed options';
+                }
+                break;
+            case 'text':
+                if (typeof answer !== 'string' || answer.length > question.maxLength) {
+                    errors[question.id] = `Please keep your answer under ${question.maxLength} characters`;
+                }
+                break;
+            case 'likert':
+                if (!Number.isInteger(answer) || answer < 1 || answer > question.scale) {
+                    errors[question.id] = `Please choose a value from 1 to ${question.scale}`;
+                }
+                break;
+        }
+    });
+    
+    return errors;
+}
+
 /**
  * Email validation helper
  */
@@ -303,6 +362,9 @@ export function showUserDialog(bannerMessage = null, onSuccess = null) {
         clearDialogLocation();
     }
     
+    // Render survey questions (pre-filled with previous answers)
+    renderSurveyQuestions(currentUser?.answers || {});
+    
     // Validate initially
     validateDialogForm();
     
@@ -340,15 +402,8 @@ let hexagons = [];
  * Initialize the dialog map with hex grid
  */
 function initDialogMap() {
-    const config = getConfig();
     const mapContainer = document.getElementById('userLocationMap');
-    const pickerConfig = config.userLocationPicker || {
-        center: config.mapCenter,
-        zoom: 11,
-        hexSize: 0.008,
-        gridCols: 11,
-        gridRows: 9
-    };
+    const pickerConfig = getHexGridConfig();
     
     // Create map - no zoom, no pan
     dialogMap = L.map(mapContainer, {
@@ -373,21 +428,35 @@ function initDialogMap() {
     dialogHexLayer = L.layerGroup().addTo(dialogMap);
     
     // Generate and render hex grid using config
-    generateHexGrid(
-        pickerConfig.center.lat, 
-        pickerConfig.center.lng, 
-        pickerConfig.hexSize,
-        pickerConfig.gridCols,
-        pickerConfig.gridRows
-    );
+    generateHexGrid(pickerConfig);
 }
 
 /**
- * Generate hexagonal grid centered on a point
+ * Get the hex grid settings (config.userLocationPicker, with defaults)
+ * See docs/hex-location-format.md
+ * @param {Object} config - App configuration (defaults to the loaded config)
+ */
+export function getHexGridConfig(config = getConfig()) {
+    return config.userLocationPicker || {
+        center: config.mapCenter,
+        zoom: 11,
+        hexSize: 0.008,
+        gridCols: 11,
+        gridRows: 9
+    };
+}
+
+/**
+ * Compute the hexagonal grid cells centered on a point
  * Uses pointy-top hexagons (point facing up and down)
+ * @param {Object} pickerConfig - Grid settings from getHexGridConfig()
+ * @returns {Array} Cells: { id, center: { lat, lng }, points: [[lat, lng], ...] }
  */
-function generateHexGrid(centerLat, centerLng, hexSize, cols, rows) {
-    hexagons = [];
+export function computeHexGrid(pickerConfig) {
+    const { hexSize, gridCols: cols, gridRows: rows } = pickerConfig;
+    const centerLat = pickerConfig.center.lat;
+    const centerLng = pickerConfig.center.lng;
+    const cells = [];
     
     // Latitude correction factor (approximate for this region ~35.7°N)
     const lngCorrection = 1.0 / Math.cos(centerLat * Math.PI / 180);
@@ -409,47 +478,96 @@ function generateHexGrid(centerLat, centerLng, hexSize, cols, rows) {
             const hexCenterLng = centerLng + (col * horizSpacing) + xOffset;
             const hexCenterLat = centerLat + (row * vertSpacing);
             
-            const hexId = `hex_${row}_${col}`;
-            const hexPoints = generateHexPoints(hexCenterLat, hexCenterLng, hexSize, lngCorrection);
-            
-            const polygon = L.polygon(hexPoints, {
-                color: 'rgba(150, 150, 150, 0.5)',
-                weight: 1,
-                fillColor: '#3498db',
-                fillOpacity: 0.05,
-                className: 'hex-cell'
-            });
-            
-            // Store hex data
-            const hexData = {
-                id: hexId,
+            cells.push({
+                id: `hex_${row}_${col}`,
                 center: { lat: hexCenterLat, lng: hexCenterLng },
-                polygon: polygon
-            };
-            hexagons.push(hexData);
-            
-            // Add click handler
-            polygon.on('click', () => selectHex(hexData));
-            polygon.on('mouseover', () => {
-                if (selectedHex !== hexData) {
-                    polygon.setStyle({ fillOpacity: 0.3 });
-                }
+                points: generateHexPoints(hexCenterLat, hexCenterLng, hexSize, lngCorrection)
             });
-            polygon.on('mouseout', () => {
-                if (selectedHex !== hexData) {
-                    polygon.setStyle({ fillOpacity: 0.05 });
-                }
-            });
-            
-            polygon.addTo(dialogHexLayer);
         }
     }
+    
+    return cells;
+}
+
+/**
+ * Pure function to find the center of a hex cell from its ID (see computeHexGrid)
+ * @param {string} hexId - "hex_{row}_{col}"
+ * @param {Object} pickerConfig - Grid settings from getHexGridConfig()
+ * @returns {Object|null} { lat, lng }, or null if the ID is malformed
+ */
+export function hexIdToCenter(hexId, pickerConfig) {
+    const match = String(hexId || '').match(/^hex_(-?\d+)_(-?\d+)$/);
+    if (!match) return null;
+    const row = parseInt(match[1], 10);
+    const col = parseInt(match[2], 10);
+
+    const { center, hexSize } = pickerConfig;
+    const lngCorrection = 1.0 / Math.cos(center.lat * Math.PI / 180);
+    const vertSpacing = hexSize * 1.5;
+    const horizSpacing = hexSize * Math.sqrt(3) * lngCorrection;
+    const xOffset = (Math.abs(row) % 2 === 1) ? horizSpacing / 2 : 0;
+
+    return {
+        lat: center.lat + (row * vertSpacing),
+        lng: center.lng + (col * horizSpacing) + xOffset
+    };
+}
+
+/**
+ * Pure function to get the corner points of a hex cell from its ID
+ * @returns {Array|null} [[lat, lng], ...], or null if the ID is malformed
+ */
+export function hexIdToPoints(hexId, pickerConfig) {
+    const center = hexIdToCenter(hexId, pickerConfig);
+    if (!center) return null;
+    const lngCorrection = 1.0 / Math.cos(pickerConfig.center.lat * Math.PI / 180);
+    return generateHexPoints(center.lat, center.lng, pickerConfig.hexSize, lngCorrection);
+}
+
+/**
+ * Render the picker's hex grid onto the dialog map
+ */
+function generateHexGrid(pickerConfig) {
+    hexagons = [];
+    
+    computeHexGrid(pickerConfig).forEach(cell => {
+        const polygon = L.polygon(cell.points, {
+            color: 'rgba(150, 150, 150, 0.5)',
+            weight: 1,
+            fillColor: '#3498db',
+            fillOpacity: 0.05,
+            className: 'hex-cell'
+        });
+        
+        // Store hex data
+        const hexData = {
+            id: cell.id,
+            center: cell.center,
+            polygon: polygon
+        };
+        hexagons.push(hexData);
+        
+        // Add click handler
+        polygon.on('click', () => selectHex(hexData));
+        polygon.on('mouseover', () => {
+            if (selectedHex !== hexData) {
+                polygon.setStyle({ fillOpacity: 0.3 });
+            }
+        });
+        polygon.on('mouseout', () => {
+            if (selectedHex !== hexData) {
+                polygon.setStyle({ fillOpacity: 0.05 });
+            }
+        });
+        
+        polygon.addTo(dialogHexLayer);
+    });
 }
 
 /**
  * Generate the 6 corner points of a pointy-top hexagon
  */
-function generateHexPoints(centerLat, centerLng, size, lngCorrection) {
+export function generateHexPoints(centerLat, centerLng, size, lngCorrection) {
     const points = [];
     
     for (let i = 0; i < 6; i++) {
@@ -552,24 +670,150 @@ export function getDialogLocation() {
 }
 
 /**
- * Validate the dialog form and update OK button state
+ * Render the survey questions into the wizard's questions step
+ * @param {Object} answers - Previous answers to pre-fill
  */
-export function validateDialogForm() {
-    const firstName = document.getElementById('userFirstName').value;
-    const lastName = document.getElementById('userLastName').value;
-    const email = document.getElementById('userEmail').value;
-    const okBtn = document.getElementById('userDialogOk');
+function renderSurveyQuestions(answers) {
+    const questions = getSurveyQuestions();
+    const container = document.getElementById('surveyQuestions');
+    
+    container.innerHTML = '';
+    document.getElementById('wizardStep3').hidden = questions.length === 0;
+    document.querySelector('.wizard-step[data-step="3"]').hidden = questions.length === 0;
+    
+    questions.forEach(question => {
+        const fragment = cloneTemplate('survey-question');
+        const fieldset = fragment.querySelector('.survey-question');
+        const inputContainer = fieldset.querySelector('.survey-question-input');
+        const answer = answers[question.id];
+        
+        fieldset.dataset.questionId = question.id;
+        fieldset.querySelector('.survey-question-label').textContent = question.label;
+        fieldset.querySelector('.survey-question-required').hidden = !question.required;
+        
+        if (question.type === 'text') {
+            const textarea = document.createElement('textarea');
+            textarea.rows = 2;
+            textarea.maxLength = question.maxLength;
+            textarea.value = typeof answer === 'string' ? answer : '';
+            inputContainer.appendChild(textarea);
+        } else if (question.type === 'likert') {
+            inputContainer.classList.add('survey-likert');
+            for (let value = 1; value <= question.scale; value++) {
+                inputContainer.appendChild(createSurveyOption('radio', question.id, value, value, answer === value));
+            }
+            const scaleLabels = document.createElement('div');
+            scaleLabels.className = 'survey-likert-labels';
+            question.scaleLabels.slice(0, 2).forEach(text => {
+                const span = document.createElement('span');
+                span.textContent = text;
+                scaleLabels.appendChild(span);
+            });
+            inputContainer.after(scaleLabels);
+        } else {
+            const inputType = question.type === 'single' ? 'radio' : 'checkbox';
+            question.options.forEach(option => {
+                const checked = Array.isArray(answer) ? answer.includes(option) : answer === option;
+                inputContainer.appendChild(createSurveyOption(inputType, question.id, option, option, checked));
+            });
+        }
+        
+        // Only show errors once the user has interacted with a question
+        fieldset.addEventListener('input', () => {
+            fieldset.dataset.touched = 'true';
+            validateDialogForm();
+        });
+        
+        container.appendChild(fragment);
+    });
+}
+
+/**
+ * Create a labelled radio button or checkbox for a survey question
+ */
+function createSurveyOption(type, questionId, value, text, checked) {
+    const label = document.createElement('label');
+    label.className = 'survey-option';
+    
+    const input = document.createElement('input');
+    input.type = type;
+    input.name = `survey_${questionId}`;
+    input.value = value;
+    input.checked = checked;
+    
+    label.appendChild(input);
+    label.appendChild(document.createTextNode(text));
+    return label;
+}
+
+/**
+ * Read the current survey answers from the dialog
+ * @returns {Object} Map of question ID -> answer (unanswered questions omitted)
+ */
+export function getDialogAnswers() {
+    const answers = {};
+    const fieldsets = {};
+    document.querySelectorAll('.survey-question').forEach(fieldset => {
+        fieldsets[fieldset.dataset.questionId] = fieldset;
+    });
+    
+    getSurveyQuestions().forEach(question => {
+        const fieldset = fieldsets[question.id];
+        if (!fieldset) return;
+        
+        let answer;
+        if (question.type === 'text') {
+            answer = fieldset.querySelector('textarea').value.trim();
+        } else if (question.type === 'multi') {
+            answer = [...fieldset.querySelectorAll('input:checked')].map(input => input.value);
+        } else {
+            const checked = fieldset.querySelector('input:checked');
+            if (checked) {
+                answer = question.type === 'likert' ? Number(checked.value) : checked.value;
+            }
+        }
+        
+        if (answer !== undefined && answer !== '' && !(Array.isArray(answer) && answer.length === 0)) {
+            answers[question.id] = answer;
+        }
+    });
     
+    return answers;
+}
+
+/**
+ * Read the user from the dialog form
+ */
+function getDialogUser() {
     const user = {
-        firstName,
-        lastName,
-        email,
+        firstName: document.getElementById('userFirstName').value.trim(),
+        lastName: document.getElementById('userLastName').value.trim(),
+        email: document.getElementById('userEmail').value.trim(),
         location: getDialogLocation()
     };
+    if (getSurveyQuestions().length > 0) {
+        user.answers = getDialogAnswers();
+    }
+    return user;
+}
+
+/**
+ * Validate the dialog form and update OK button state
+ */
+export function validateDialogForm() {
+    const okBtn = document.getElementById('userDialogOk');
     
-    const { isValid } = validateUser(user);
+    const { isValid, errors } = validateUser(getDialogUser());
     okBtn.disabled = !isValid;
     
+    // Show survey question errors for questions the user has touched
+    document.querySelectorAll('.survey-question').forEach(fieldset => {
+        const errorEl = fieldset.querySelector('.survey-question-error');
+        const message = errors.answers?.[fieldset.dataset.questionId];
+        errorEl.textContent = message || '';
+        errorEl.hidden = !message || fieldset.dataset.touched !== 'true';
+    });
+    
     return isValid;
 }
 
@@ -577,16 +821,7 @@ export function validateDialogForm() {
  * Handle OK button click
  */
 export async function handleUserDialogOk() {
-    const firstName = document.getElementById('userFirstName').value.trim();
-    const lastName = document.getElementById('userLastName').value.trim();
-    const email = document.getElementById('userEmail').value.trim();
-    
-    const user = {
-        firstName,
-        lastName,
-        email,
-        location: getDialogLocation()
-    };
+    const user = getDialogUser();
     
     const { isValid } = validateUser(user);
     
@@ -643,6 +878,13 @@ function isMobileWizard() {
     return window.innerWidth <= 768;
 }
 
+/**
+ * Get the number of wizard steps (the questions step only appears if configured)
+ */
+function getWizardStepCount() {
+    return getSurveyQuestions().length > 0 ? 3 : 2;
+}
+
 /**
  * Initialize wizard step display
  */
@@ -653,6 +895,7 @@ export function initWizardStep(step = 1) {
         // Desktop: show all panels, hide wizard nav
         document.getElementById('wizardStep1').classList.add('active');
         document.getElementById('wizardStep2').classList.add('active');
+        document.getElementById('wizardStep3').classList.add('active');
         document.getElementById('userDialogOk').hidden = false;
         document.getElementById('userDialogNext').hidden = true;
         document.getElementById('userDialogBack').hidden = true;
@@ -669,38 +912,33 @@ export function initWizardStep(step = 1) {
 function updateWizardStep(step) {
     currentWizardStep = step;
     
-    const step1Panel = document.getElementById('wizardStep1');
-    const step2Panel = document.getElementById('wizardStep2');
-    const step1Indicator = document.querySelector('.wizard-step[data-step="1"]');
-    const step2Indicator = document.querySelector('.wizard-step[data-step="2"]');
+    const lastStep = getWizardStepCount();
     const backBtn = document.getElementById('userDialogBack');
     const nextBtn = document.getElementById('userDialogNext');
     const okBtn = document.getElementById('userDialogOk');
     
-    // Update panels
-    step1Panel.classList.toggle('active', step === 1);
-    step2Panel.classList.toggle('active', step === 2);
-    
-    // Update indicators
-    step1Indicator.classList.toggle('active', step === 1);
-    step1Indicator.classList.toggle('completed', step > 1);
-    step2Indicator.classList.toggle('active', step === 2);
+    // Update panels and indicators
+    for (let i = 1; i <= 3; i++) {
+        const panel = document.getElementById(`wizardStep${i}`);
+        const indicator = document.querySelector(`.wizard-step[data-step="${i}"]`);
+        panel.classList.toggle('active', step === i);
+        indicator.classList.toggle('active', step === i);
+        indicator.classList.toggle('completed', step > i);
+    }
     
     // Update buttons
-    if (step === 1) {
-        backBtn.hidden = true;
-        nextBtn.hidden = false;
-        okBtn.hidden = true;
-    } else {
-        backBtn.hidden = false;
-        nextBtn.hidden = true;
-        okBtn.hidden = false;
+    backBtn.hidden = step === 1;
+    nextBtn.hidden = step === lastStep;
+    okBtn.hidden = step !== lastStep;
+    
+    if (step === lastStep) {
         // Re-validate to update OK button state
         validateDialogForm();
-        // Refresh map when entering step 2 (container may have changed size)
-        if (dialogMap) {
-            setTimeout(() => dialogMap.invalidateSize(), 100);
-        }
+    }
+    
+    // Refresh map when entering step 2 (container may have changed size)
+    if (step === 2 && dialogMap) {
+        setTimeout(() => dialogMap.invalidateSize(), 100);
     }
 }
 
@@ -720,6 +958,13 @@ export function handleWizardNext() {
         }
         
         updateWizardStep(2);
+    } else if (currentWizardStep === 2 && getWizardStepCount() === 3) {
+        // Location is required before moving on to the questions
+        if (!getDialogLocation()) {
+            return;
+        }
+        
+        updateWizardStep(3);
     }
 }
 
@@ -727,7 +972,7 @@ export function handleWizardNext() {
  * Handle Back button click
  */
 export function handleWizardBack() {
-    if (currentWizardStep === 2) {
-        updateWizardStep(1);
+    if (currentWizardStep > 1) {
+        updateWizardStep(currentWizardStep - 1);
     }
 }
@@ -73,3 +73,50 @@ export function updateUrlParam(key, value) {
 export function toClassName(prefix, value) {
     return prefix + value.toLowerCase().replace(/[^a-z]/g, '-');
 }
+
+/**
+ * Escape a value for CSV (handle commas, quotes, newlines)
+ * @param {any} value - Cell value
+ * @returns {string} CSV-safe cell
+ */
+export function escapeCsvValue(value) {
+    if (value === null || value === undefined) return '';
+    const str = String(value);
+    if (str.includes(',') || str.includes('"') || str.includes('\n') || str.includes('\r')) {
+        return '"' + str.replace(/"/g, '""') + '"';
+    }
+    return str;
+}
+
+/**
+ * Build CSV text from row objects
+ * @param {Array} headers - Column names (also the keys read from each row)
+ * @param {Array} rows - Row objects
+ * @returns {string} CSV with a header row
+ */
+export function toCsv(headers, rows) {
+    const lines = [headers.map(escapeCsvValue).join(',')];
+    rows.forEach(row => {
+        lines.push(headers.map(header => escapeCsvValue(row[header])).join(','));
+    });
+    return lines.join('\n');
+}
+
+/**
+ * Trigger a browser download of CSV text
+ * @param {string} csvContent - CSV text
+ * @param {string} filename - Download file name
+ */
+export function downloadCsv(csvContent, filename) {
+    const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
+    const url = URL.createObjectURL(blob);
+    
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.style.display = 'none';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+}
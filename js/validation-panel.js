@@ -0,0 +1,65 @@
+/**
+ * Validation Panel Module
+ * Sidebar report of data file problems (debug mode only), exportable as CSV
+ */
+
+import { getConfig } from './config.js';
+import { getSourceRows } from './data.js';
+import { cloneTemplate } from './templates.js';
+import { downloadCsv } from './utils.js';
+import { validateRows, validationReportToCsv } from './validation.js';
+
+// Issues from the last validation pass
+let issues = [];
+
+/**
+ * Validate the loaded data file and show the report panel
+ */
+export function initValidationPanel() {
+    issues = validateRows(getSourceRows(), getConfig());
+
+    document.getElementById('validationPanel').hidden = false;
+    document.getElementById('validationToggleBtn').addEventListener('click', toggleValidationList);
+    document.getElementById('validationExportBtn').addEventListener('click', () => {
+        downloadCsv(validationReportToCsv(issues), 'validation_report.csv');
+    });
+
+    renderValidationPanel();
+}
+
+/**
+ * Render the issue count and list
+ */
+function renderValidationPanel() {
+    const errorCount = issues.filter(issue => issue.severity === 'error').length;
+    const list = document.getElementById('validationList');
+
+    document.getElementById('validationCount').textContent = issues.length === 0
+        ? 'None found'
+        : `${issues.length} (${errorCount} error${errorCount === 1 ? '' : 's'})`;
+    document.getElementById('validationToggleBtn').hidden = issues.length === 0;
+    document.getElementById('validationExportBtn').hidden = issues.length === 0;
+
+    list.innerHTML = '';
+    issues.forEach(issue => {
+        const fragment = cloneTemplate('validation-issue');
+        const item = fragment.querySelector('.validation-issue');
+
+        item.classList.add(issue.severity);
+        item.querySelector('.validation-issue-location').textContent = `Row ${issue.row} · ${issue.field}`;
+        item.querySelector('.validation-issue-message').textContent = issue.message;
+        item.querySelector('.validation-issue-value').textContent = issue.value === '' ? '(empty)' : String(issue.value);
+        item.title = issue.name ? `${issue.name} (id ${issue.id})` : '';
+
+        list.appendChild(fragment);
+    });
+}
+
+/**
+ * Show or hide the issue list
+ */
+function toggleValidationList() {
+    const list = document.getElementById('validationList');
+    list.hidden = !list.hidden;
+    document.getElementById('validationToggleBtn').textContent = list.hidden ? 'Show' : 'Hide';
+}
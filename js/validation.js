@@ -0,0 +1,193 @@
+/**
+ * Validation Module
+ * Checks the loaded data file for values parseProject would silently drop or default
+ * (missing names, unknown types/statuses/priorities, bad amounts and dates, duplicate ids,
+ * coordinates outside the town)
+ */
+
+import { parseProject, parseCurrency } from './data.js';
+import { parseGeometry, getMinZoomBounds } from './geometry.js';
+import { toCsv } from './utils.js';
+
+const AMOUNT_COLUMNS = ['total_cost'];
+const DATE_COLUMNS = ['start_date', 'construction_start', 'end_date'];
+
+/**
+ * Get the currency columns for the configured funding years (plus total_cost)
+ */
+function getAmountColumns(config) {
+    return [
+        ...(config.fundingYears || []).map(year =>
+            year === 'Future' ? 'funding_future' : `funding_${year.toLowerCase().replace('/', '')}`),
+        ...AMOUNT_COLUMNS
+    ];
+}
+
+/**
+ * Check that an amount parses the way parseCurrency reads it
+ */
+function isValidAmount(value) {
+    const cleaned = String(value).replace(/[$,\s]/g, '');
+    return cleaned !== '' && Number.isFinite(Number(cleaned));
+}
+
+/**
+ * Check that a date cell is a parseable date (or * for ongoing)
+ */
+function isValidDate(value) {
+    return value === '*' || !isNaN(Date.parse(value));
+}
+
+/**
+ * Validate the rows of a loaded data file
+ * @param {Array} rows - Rows with project column names (see getSourceRows)
+ * @param {Object} config - App configuration
+ * @returns {Array} Issues: { row, id, name, field, value, severity ('error' | 'warning'), message }
+ *   row is the 1-based data row (spreadsheet line minus the header)
+ */
+export function validateRows(rows, config) {
+    const issues = [];
+    const types = Object.keys(config.projectTypes || {});
+    const statuses = config.statusOptions || [];
+    const priorities = config.priorityLevels || [];
+    const amountColumns = getAmountColumns(config);
+    const bounds = getMinZoomBounds(config);
+    const rowsById = new Map();
+
+    rows.forEach((row, index) => {
+        const project = parseProject(row, config);
+        const rowNumber = index + 1;
+        const add = (field, value, severity, message) => {
+            issues.push({
+                row: rowNumber,
+                id: project?.id ?? row.id ?? '',
+                name: row.name || '',
+                field,
+                value: value ?? '',
+                severity,
+                message
+            });
+        };
+        const isSet = (field) => row[field] !== undefined && row[field] !== null && String(row[field]).trim() !== '';
+
+        if (!project) {
+            add('name', row.name, 'error', 'Row has no name and is skipped');
+            return;
+        }
+
+        if (isSet('type') && types.length > 0 && !types.includes(row.type)) {
+            add('type', row.type, 'warning', 'Unknown type (not in projectTypes)');
+        }
+        if (isSet('status') && statuses.length > 0 && !statuses.includes(row.status)) {
+            add('status', row.status, 'warning', 'Unknown status (not in statusOptions)');
+        }
+        if (isSet('priority') && priorities.length > 0 && !priorities.includes(row.priority)) {
+            add('priority', row.priority, 'warning', 'Unknown priority (not in priorityLevels)');
+        }
+
+        amountColumns.filter(isSet).forEach(column => {
+            if (isValidAmount(row[column])) {
+                return;
+            }
+            // The map reads the leading number ("5M" as $5), which is worse than reading nothing
+            const amount = parseCurrency(row[column]);
+            if (amount === 0) {
+                add(column, row[column], 'warning', 'Amount could not be parsed and is treated as $0');
+            } else {
+                add(column, row[column], 'error', `Amount is only partly a number and is read as $${amount.toLocaleString('en-US')}`);
+            }
+        });
+
+        DATE_COLUMNS.filter(isSet).forEach(column => {
+            if (!isValidDate(String(row[column]).trim())) {
+                add(column, row[column], 'warning', 'Date could not be parsed');
+            }
+        });
+
+        if (isSet('geometry') && !parseGeometry(row.geometry, bounds)) {
+            add('geometry', row.geometry, 'warning', 'Geometry could not be parsed (expected WKT, or an encoded polyline within the map area)');
+        }
+
+        const lat = parseFloat(row.lat);
+        const lng = parseFloat(row.lng);
+        if ((isSet('lat') || isSet('lng')) && (!Number.isFinite(lat) || !Number.isFinite(lng))) {
+            add('lat/lng', `${row.lat ?? ''}, ${row.lng ?? ''}`, 'warning', 'Coordinates are incomplete or not numbers');
+        } else if (bounds && project.hasLocation &&
+            (project.lat < bounds.south || project.lat > bounds.north ||
+             project.lng < bounds.west || project.lng > bounds.east)) {
+            add('lat/lng', `${project.lat}, ${project.lng}`, 'warning', 'Location is outside the map area (minZoom bounds)');
+        }
+
+        const key = String(project.id);
+        if (rowsById.has(key)) {
+            add('id', project.id, 'error', `Duplicate id (also on row ${rowsById.get(key)})`);
+        } else {
+            rowsById.set(key, rowNumber);
+        }
+    });
+
+    return issues;
+}
+
+/**
+ * Convert a validation report to CSV text
+ * @param {Array} issues - Issues from validateRows
+ * @returns {string} CSV with a header row
+ */
+export function validationReportToCsv(issues) {
+    return toCsv(['row', 'id', 'name', 'field', 'value', 'severity', 'message'], issues);
+}
+
+/**
+ * Normalize a row's amounts to plain numbers and its dates to YYYY-MM-DD
+ * Amounts that are only partly numbers ("5M") become the number the map reads;
+ * other values that can't be parsed are left as-is (validateRows reports both)
+ * @param {Object} row - Row with project column names
+ * @param {Object} config - App configuration
+ * @returns {Object} Cleaned copy of the row
+ */
+export function normalizeRow(row, config) {
+    const cleaned = { ...row };
+    getAmountColumns(config).forEach(column => {
+        const value = cleaned[column];
+        if (value === undefined || value === null || String(value).trim() === '') {
+            return;
+        }
+        if (isValidAmount(value)) {
+            cleaned[column] = String(Number(String(value).replace(/[$,\s]/g, '')));
+        } else if (parseCurrency(value) !== 0) {
+            // Partly a number ("5M"): write what the map reads, so the file shows it
+            cleaned[column] = String(parseCurrency(value));
+        }
+    });
+    DATE_COLUMNS.forEach(column => {
+        if (cleaned[column]) {
+            cleaned[column] = normalizeDate(String(cleaned[column]).trim());
+        }
+    });
+    return cleaned;
+}
+
+/**
+ * Convert a date string to YYYY-MM-DD (* and unparseable values are returned unchanged)
+ * Accepts ISO dates, M/D/YYYY and M/D/YY (as Excel exports them), and other Date.parse formats
+ */
+export function normalizeDate(value) {
+    if (value === '*' || /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        return value;
+    }
+    const pad = (n) => String(n).padStart(2, '0');
+
+    const us = value.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})$/);
+    if (us) {
+        const year = us[3].length === 2 ? 2000 + parseInt(us[3], 10) : parseInt(us[3], 10);
+        return `${year}-${pad(us[1])}-${pad(us[2])}`;
+    }
+
+    const time = Date.parse(value);
+    if (isNaN(time)) {
+        return value;
+    }
+    const date = new Date(time);
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
@@ -6,6 +6,7 @@
 import { getVote, upvote, downvote, hasComments, fetchVoteScore } from './votes.js';
 import { hasUser, showUserDialog } from './user.js';
 import { isResultsMode } from './config.js';
+import { isPending } from './outbox.js';
 
 /**
  * Wire up vote buttons in a container element
@@ -18,7 +19,6 @@ export function wireVoteButtons(container, project, onShowCommentDialog, options
     const upvoteBtn = container.querySelector('.upvote-btn');
     const downvoteBtn = container.querySelector('.downvote-btn');
     const commentBtn = container.querySelector('.comment-btn');
-    const commentCountEl = container.querySelector('.comment-count');
     const scoreEl = container.querySelector('.vote-score');
 
     if (!upvoteBtn || !downvoteBtn || !commentBtn) {
@@ -27,11 +27,7 @@ export function wireVoteButtons(container, project, onShowCommentDialog, options
 
     const resultsMode = isResultsMode();
 
-    // Show comment count if provided (survey mode or results mode)
-    if (commentCountEl && typeof options.commentCount === 'number' && options.commentCount > 0) {
-        commentCountEl.textContent = options.commentCount;
-        commentCountEl.hidden = false;
-    }
+    updateVoteButtons(container, project, options);
 
     // In results mode, disable voting and show results data
     if (resultsMode) {
@@ -65,18 +61,11 @@ export function wireVoteButtons(container, project, onShowCommentDialog, options
         return;
     }
 
-    // Normal mode - set initial vote state
-    const currentVote = getVote(project.id);
-    if (currentVote === 'up') {
-        upvoteBtn.classList.add('active');
-    } else if (currentVote === 'down') {
-        downvoteBtn.classList.add('active');
-    }
-
-    // Set initial comment state
-    if (hasComments(project.id)) {
-        commentBtn.classList.add('has-comments');
-    }
+    // Lets refreshVoteButtons find them when the outbox sends (or queues) their vote or comment
+    [upvoteBtn, downvoteBtn, commentBtn].forEach(button => {
+        button.dataset.projectId = project.id;
+        updateSyncState(button);
+    });
 
     // Fetch and display score if score element exists (detail panel only)
     if (scoreEl) {
@@ -145,6 +134,63 @@ export function wireVoteButtons(container, project, onShowCommentDialog, options
     });
 }
 
+/**
+ * Show the current vote, whether the user has commented, and the comment count
+ * @param {Element} container - The container element with vote buttons
+ * @param {Object} project - The project object
+ * @param {Object} options - Optional settings
+ * @param {number} options.commentCount - Comment count to show on the comment button (hidden if 0)
+ */
+export function updateVoteButtons(container, project, options = {}) {
+    const commentCountEl = container.querySelector('.comment-count');
+    if (commentCountEl && typeof options.commentCount === 'number') {
+        commentCountEl.textContent = options.commentCount;
+        commentCountEl.hidden = options.commentCount <= 0;
+    }
+
+    if (isResultsMode()) {
+        return;
+    }
+
+    const currentVote = getVote(project.id);
+    container.querySelector('.upvote-btn')?.classList.toggle('active', currentVote === 'up');
+    container.querySelector('.downvote-btn')?.classList.toggle('active', currentVote === 'down');
+    container.querySelector('.comment-btn')?.classList.toggle('has-comments', hasComments(project.id));
+    container.querySelectorAll('.vote-btn[data-project-id]:not(.rank-btn)').forEach(updateSyncState);
+}
+
+/**
+ * Mark a vote or comment button whose vote or comment hasn't reached the server yet
+ * A pending vote shows on the button for that vote (on both when the vote was cleared)
+ * @param {Element} button - Upvote, downvote or comment button with data-project-id
+ */
+function updateSyncState(button) {
+    const projectId = button.dataset.projectId;
+    let pending;
+    if (button.classList.contains('comment-btn')) {
+        pending = isPending('comment', projectId);
+    } else {
+        const vote = getVote(projectId);
+        const ownVote = button.classList.contains('upvote-btn') ? 'up' : 'down';
+        pending = isPending('vote', projectId) && (vote === ownVote || vote === null);
+    }
+
+    if (button.dataset.syncedTitle === undefined) {
+        button.dataset.syncedTitle = button.title;
+    }
+    button.classList.toggle('pending-sync', pending);
+    button.title = pending
+        ? `${button.dataset.syncedTitle} (saved on this device, waiting to sync)`
+        : button.dataset.syncedTitle;
+}
+
+/**
+ * Refresh the pending-sync marks on every vote and comment button (after the outbox changes)
+ */
+export function refreshVoteButtons() {
+    document.querySelectorAll('.vote-btn[data-project-id]:not(.rank-btn)').forEach(updateSyncState);
+}
+
 /**
  * Fetch vote score from API and update display
  * @param {string} projectId - The project ID
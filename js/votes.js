@@ -1,13 +1,14 @@
 /**
  * Votes Module
  * Handles upvotes, downvotes, and comments on projects
- * Stored in cookies until API integration
+ * Stored in cookies, and sent to the API server through the outbox (see outbox.js)
  */
 
 import { getCookie, setCookie } from './cookies.js';
 import { getUser } from './user.js';
 import { getConfig, getAppId } from './config.js';
 import { showApiError } from './debug.js';
+import { queueRequest } from './outbox.js';
 
 function getVotesCookieName() {
     return `${getAppId()}_votes`;
@@ -22,13 +23,14 @@ let userVotes = {}; // projectId -> 'up' | 'down' | null
 let userComments = {}; // projectId -> [array of comment strings]
 
 /**
- * Post vote to API server
+ * Queue a vote for the API server (sent by the outbox, retried until it gets through;
+ * a newer vote on the same project replaces one still waiting)
  * @param {string} projectId - The project ID
  * @param {number} vote - 1 for upvote, -1 for downvote, 0 to clear
  */
-async function postVoteToApi(projectId, vote) {
+function queueVoteForApi(projectId, vote) {
     const config = getConfig();
-    if (!config.apiServer) {
+    if (!config?.apiServer) {
         return;
     }
     
@@ -38,27 +40,17 @@ async function postVoteToApi(projectId, vote) {
         return;
     }
     
-    try {
-        const response = await fetch(`${config.apiServer}/api/vote`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                userid: user.userId,
-                appid: getAppId(),
-                item_id: projectId,
-                vote: vote
-            })
-        });
-        
-        if (!response.ok) {
-            console.error('API vote failed:', response.status);
+    queueRequest({
+        kind: 'vote',
+        projectId,
+        url: `${config.apiServer}/api/vote`,
+        body: {
+            userid: user.userId,
+            appid: getAppId(),
+            item_id: projectId,
+            vote: vote
         }
-    } catch (error) {
-        console.error('API vote error:', error);
-        showApiError('/api/vote POST', error);
-    }
+    });
 }
 
 /**
@@ -150,6 +142,52 @@ export async function fetchAllVoteScores() {
     }
 }
 
+/**
+ * Fetch individual votes with each voter's profile attributes from API server
+ * Used by results segmentation to recompute scores for a subset of respondents
+ * @returns {Promise<Array|null>} - Array of { itemId, userId, vote, hexId, answers }, or null if the fetch failed
+ */
+export async function fetchAllVoteRecords() {
+    const config = getConfig();
+    if (!config.apiServer) {
+        return [];
+    }
+    
+    try {
+        const params = new URLSearchParams({
+            appid: getAppId()
+        });
+        
+        const response = await fetch(`${config.apiServer}/api/votes/records?${params}`, {
+            method: 'GET',
+            headers: {
+                'Content-Type': 'application/json'
+            }
+        });
+        
+        if (!response.ok) {
+            console.error('API fetch vote records failed:', response.status);
+            return null;
+        }
+        
+        const data = await response.json();
+        if (!Array.isArray(data)) {
+            return [];
+        }
+        return data.map(item => ({
+            itemId: String(item.item_id),
+            userId: item.userid,
+            vote: item.vote,
+            hexId: item.hex_location || null,
+            answers: item.answers || {}
+        }));
+    } catch (error) {
+        console.error('API fetch vote records error:', error);
+        showApiError('/api/votes/records GET', error);
+        return null;
+    }
+}
+
 /**
  * Load votes and comments from cookies
  */
@@ -191,9 +229,10 @@ function getVotesRecoveredCookieName() {
 /**
  * Resubmit all votes from cookies to the API server
  * This is a one-time recovery function for when server data is lost
- * Sets a cookie to prevent re-running
+ * The votes go through the outbox, so once queued they're delivered even across reloads;
+ * sets a cookie to prevent re-running
  */
-export async function recoverVotesToServer() {
+export function recoverVotesToServer() {
     const config = getConfig();
     if (!config.apiServer) {
         return;
@@ -204,64 +243,20 @@ export async function recoverVotesToServer() {
         return;
     }
     
-    const user = getUser();
-    if (!user?.userId) {
+    if (!getUser()?.userId) {
         // No user yet, can't recover
         return;
     }
     
-    // Get votes from cookie
-    const voteCount = Object.keys(userVotes).length;
-    if (voteCount === 0) {
-        // No votes to recover, mark as done
-        setCookie(getVotesRecoveredCookieName(), 'true', COOKIE_DAYS);
-        return;
-    }
-    
-    console.log(`Recovering ${voteCount} votes to server...`);
-    
-    let successCount = 0;
-    let failCount = 0;
-    
-    // Resubmit each vote
-    for (const [projectId, vote] of Object.entries(userVotes)) {
-        const apiVote = vote === 'up' ? 1 : vote === 'down' ? -1 : 0;
-        if (apiVote !== 0) {
-            try {
-                const response = await fetch(`${config.apiServer}/api/vote`, {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json'
-                    },
-                    body: JSON.stringify({
-                        userid: user.userId,
-                        appid: getAppId(),
-                        item_id: projectId,
-                        vote: apiVote
-                    })
-                });
-                if (response.ok) {
-                    successCount++;
-                } else {
-                    failCount++;
-                    console.error(`Failed to recover vote for ${projectId}: HTTP ${response.status}`);
-                }
-                // Small delay to avoid overwhelming the server
-                await new Promise(resolve => setTimeout(resolve, 50));
-            } catch (error) {
-                failCount++;
-                console.error(`Failed to recover vote for ${projectId}:`, error);
-            }
-        }
+    const votes = Object.entries(userVotes).filter(([, vote]) => vote === 'up' || vote === 'down');
+    if (votes.length > 0) {
+        console.log(`Recovering ${votes.length} votes to server...`);
     }
+    votes.forEach(([projectId, vote]) => {
+        queueVoteForApi(projectId, vote === 'up' ? 1 : -1);
+    });
     
-    console.log(`Vote recovery complete: ${successCount} succeeded, ${failCount} failed`);
-    
-    // Only mark as recovered if we had some success (or no votes to recover)
-    // If all failed, we'll try again next time
-    if (successCount > 0 || failCount === 0) {
-        setCookie(getVotesRecoveredCookieName(), 'true', COOKIE_DAYS);
-    }
+    setCookie(getVotesRecoveredCookieName(), 'true', COOKIE_DAYS);
 }
 
 /**
@@ -286,7 +281,7 @@ export function upvote(projectId) {
         apiVote = 1;
     }
     saveVotesToCookie();
-    postVoteToApi(projectId, apiVote);
+    queueVoteForApi(projectId, apiVote);
     return userVotes[projectId] || null;
 }
 
@@ -304,7 +299,7 @@ export function downvote(projectId) {
         apiVote = -1;
     }
     saveVotesToCookie();
-    postVoteToApi(projectId, apiVote);
+    queueVoteForApi(projectId, apiVote);
     return userVotes[projectId] || null;
 }
 
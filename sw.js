@@ -0,0 +1,159 @@
+/**
+ * CIP Map - Service Worker
+ * Keeps the app usable offline after the first visit: the app shell (HTML, CSS, JS modules,
+ * icons and the Leaflet/PapaParse/Font Awesome files from their CDNs), the config JSON, the
+ * project data and the map tiles that have been viewed.
+ *
+ * The page sends the URLs it loaded on the first visit (see js/offline.js), since those
+ * requests happen before the worker is installed. After that:
+ *   - App files and data: network first (so edits show up right away), falling back to the
+ *     cache when offline or when the network takes longer than NETWORK_TIMEOUT_MS
+ *   - CDN files (versioned URLs) and map tiles: cache first
+ *   - API requests (votes, comments, budgets...) are never cached
+ */
+
+// Bump to drop every cache from the previous version
+const CACHE_VERSION = 'v1';
+const APP_CACHE = `cip-app-${CACHE_VERSION}`;
+const TILE_CACHE = `cip-tiles-${CACHE_VERSION}`;
+
+// Cached before the worker activates; everything else is added as it is loaded
+const PRECACHE_URLS = ['./', 'index.html', 'styles.css', 'icons/hat.png'];
+
+// Hosts whose files are cached alongside the app
+const CDN_HOSTS = ['unpkg.com', 'cdnjs.cloudflare.com'];
+
+// Map tile hosts (basemap, and the OpenStreetMap tiles in the area picker dialogs)
+const TILE_HOST_PATTERN = /(^|\.)(basemaps\.cartocdn\.com|tile\.openstreetmap\.org)$/;
+
+// Oldest tiles are dropped past this many
+const MAX_TILES = 1500;
+
+const NETWORK_TIMEOUT_MS = 5000;
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(APP_CACHE)
+            .then(cache => cache.addAll(PRECACHE_URLS))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith('cip-') && key !== APP_CACHE && key !== TILE_CACHE)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+/**
+ * Which cache a request belongs in, or null if it shouldn't be cached
+ * @param {URL} url - Request URL
+ * @returns {string|null} 'app', 'cdn', 'tile' or null
+ */
+function getRequestKind(url) {
+    if (url.origin === self.location.origin) {
+        return url.pathname.includes('/api/') ? null : 'app';
+    }
+    if (CDN_HOSTS.includes(url.hostname)) return 'cdn';
+    if (TILE_HOST_PATTERN.test(url.hostname)) return 'tile';
+    return null;
+}
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const kind = getRequestKind(new URL(request.url));
+    if (kind === 'app') {
+        event.respondWith(networkFirst(request));
+    } else if (kind === 'cdn') {
+        event.respondWith(cacheFirst(request, APP_CACHE));
+    } else if (kind === 'tile') {
+        event.respondWith(cacheFirst(request, TILE_CACHE));
+    }
+});
+
+/**
+ * Try the network (updating the cache), falling back to the cache when it fails or is slow
+ * Page URLs are matched ignoring the query string (filters, ?project=...)
+ */
+async function networkFirst(request) {
+    const cache = await caches.open(APP_CACHE);
+    const network = fetch(request).then(response => {
+        if (response.ok) {
+            cache.put(request, response.clone());
+        }
+        return response;
+    });
+    network.catch(() => {}); // Handled below if it matters
+
+    const timeout = new Promise(resolve => setTimeout(resolve, NETWORK_TIMEOUT_MS));
+    try {
+        const response = await Promise.race([network, timeout]);
+        if (response) return response;
+    } catch (e) {
+        // Offline: use the cache below
+    }
+
+    const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' }) ||
+        (request.mode === 'navigate' ? await cache.match('index.html') : null);
+    return cached || network;
+}
+
+/**
+ * Use the cached copy if there is one, else fetch and cache it
+ * CDN scripts and stylesheets load without CORS, so their opaque responses are cached too
+ * (map tiles are requested with CORS, see map.js, as opaque responses take far more quota)
+ */
+async function cacheFirst(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok || (cacheName === APP_CACHE && response.type === 'opaque')) {
+        await cache.put(request, response.clone());
+        if (cacheName === TILE_CACHE) scheduleTileTrim();
+    }
+    return response;
+}
+
+let tileTrimTimer = null;
+
+/**
+ * Drop the oldest tiles past MAX_TILES (cache keys are in insertion order), once panning settles
+ */
+function scheduleTileTrim() {
+    clearTimeout(tileTrimTimer);
+    tileTrimTimer = setTimeout(async () => {
+        const cache = await caches.open(TILE_CACHE);
+        const keys = await cache.keys();
+        await Promise.all(keys.slice(0, Math.max(0, keys.length - MAX_TILES)).map(key => cache.delete(key)));
+    }, 10000);
+}
+
+// The page lists what it loaded before the worker took over: { type: 'cache-urls', urls }
+self.addEventListener('message', (event) => {
+    if (event.data?.type !== 'cache-urls' || !Array.isArray(event.data.urls)) return;
+
+    event.waitUntil(Promise.all(event.data.urls.map(async (href) => {
+        const url = new URL(href, self.location.href);
+        const kind = getRequestKind(url);
+        if (!kind) return;
+
+        const cache = await caches.open(kind === 'tile' ? TILE_CACHE : APP_CACHE);
+        if (await cache.match(url.href)) return;
+        try {
+            const response = await fetch(url.href, { mode: kind === 'app' ? 'same-origin' : 'cors' });
+            if (response.ok) {
+                await cache.put(url.href, response);
+            }
+        } catch (e) {
+            console.warn('Could not cache for offline use:', url.href);
+        }
+    })));
+});
@@ -0,0 +1,118 @@
+/**
+ * Tests for budget.js
+ */
+
+import { testHarness, assert } from './test-harness.js';
+import {
+    loadAllocations,
+    getAllocation,
+    setAllocation,
+    getRemainingBudget,
+    clampAllocation
+} from '../js/budget.js';
+import { setConfig, getAppId, getBudgetConfig, isBudgetMode } from '../js/config.js';
+import { sampleConfig, sampleProjects } from './fixtures.js';
+
+const { describe, it, beforeEach, afterEach } = testHarness;
+
+const budgetConfig = {
+    ...sampleConfig,
+    budgetAllocation: { total: 5000000, step: 500000 }
+};
+
+// Helper to clear the budget cookie
+function clearBudgetCookie() {
+    document.cookie = `${getAppId()}_budget=;expires=Thu, 01 Jan 1970 00:00:00 GMT;path=/`;
+}
+
+describe('getBudgetConfig', () => {
+    afterEach(() => {
+        setConfig(null);
+    });
+
+    it('returns null when budgetAllocation is not configured', () => {
+        setConfig(sampleConfig);
+        assert.isNull(getBudgetConfig());
+        assert.equal(isBudgetMode(), false);
+    });
+
+    it('returns null when explicitly disabled', () => {
+        setConfig({ ...sampleConfig, budgetAllocation: { enabled: false, total: 5000000 } });
+        assert.isNull(getBudgetConfig());
+    });
+
+    it('returns total and step when configured', () => {
+        setConfig(budgetConfig);
+        assert.deepEqual(getBudgetConfig(), { total: 5000000, step: 500000 });
+        assert.equal(isBudgetMode(), true);
+    });
+
+    it('defaults step to 1/50th of the total', () => {
+        setConfig({ ...sampleConfig, budgetAllocation: { total: 50000000 } });
+        assert.equal(getBudgetConfig().step, 1000000);
+    });
+});
+
+describe('clampAllocation', () => {
+    it('allows requests within the remaining budget', () => {
+        assert.equal(clampAllocation(1000, 'a', {}, 5000, 0), 1000);
+    });
+
+    it('prevents overspending the budget', () => {
+        const allocations = { a: 3000 };
+        assert.equal(clampAllocation(4000, 'b', allocations, 5000, 0), 2000);
+    });
+
+    it('ignores the current project allocation when computing remaining budget', () => {
+        const allocations = { a: 3000, b: 1000 };
+        assert.equal(clampAllocation(2000, 'b', allocations, 5000, 0), 2000);
+    });
+
+    it('caps allocation at project cost', () => {
+        assert.equal(clampAllocation(4000, 'a', {}, 5000, 1500), 1500);
+    });
+
+    it('never returns a negative amount', () => {
+        assert.equal(clampAllocation(-500, 'a', {}, 5000, 0), 0);
+    });
+});
+
+describe('setAllocation', () => {
+    beforeEach(() => {
+        setConfig(budgetConfig);
+        clearBudgetCookie();
+        loadAllocations();
+    });
+
+    afterEach(() => {
+        clearBudgetCookie();
+        setConfig(null);
+    });
+
+    it('records the allocation and reduces the remaining budget', () => {
+        const amount = setAllocation(sampleProjects[0], 1000000);
+        assert.equal(amount, 1000000);
+        assert.equal(getAllocation(sampleProjects[0].id), 1000000);
+        assert.equal(getRemainingBudget(), 4000000);
+    });
+
+    it('clamps to the remaining budget', () => {
+        setAllocation(sampleProjects[2], 4500000);
+        const amount = setAllocation(sampleProjects[0], 2000000);
+        assert.equal(amount, 500000);
+        assert.equal(getRemainingBudget(), 0);
+    });
+
+    it('removes the allocation when set to zero', () => {
+        setAllocation(sampleProjects[0], 1000000);
+        setAllocation(sampleProjects[0], 0);
+        assert.equal(getAllocation(sampleProjects[0].id), 0);
+        assert.equal(getRemainingBudget(), 5000000);
+    });
+
+    it('persists allocations across reloads', () => {
+        setAllocation(sampleProjects[0], 1000000);
+        loadAllocations();
+        assert.equal(getAllocation(sampleProjects[0].id), 1000000);
+    });
+});
@@ -3,7 +3,7 @@
  */
 
 import { testHarness, assert } from './test-harness.js';
-import { getConfig, setConfig, getAppId, isSurveyMode, getTypeConfig, getTypeDisplayName } from '../js/config.js';
+import { getConfig, setConfig, getAppId, isSurveyMode, getTypeConfig, getTypeDisplayName, getSurveyQuestions, getColumnMap, getNearMeConfig } from '../js/config.js';
 import { sampleConfig } from './fixtures.js';
 
 const { describe, it, beforeEach, afterEach } = testHarness;
@@ -127,3 +127,74 @@ describe('getTypeDisplayName', () => {
         assert.ok(name === 'Parks, Recreation & Cultural Resources' || name === 'Parks & Rec');
     });
 });
+
+describe('getSurveyQuestions', () => {
+    afterEach(() => {
+        setConfig(null);
+    });
+
+    it('returns an empty array when not configured', () => {
+        setConfig({ title: 'Test' });
+        assert.deepEqual(getSurveyQuestions(), []);
+    });
+
+    it('applies defaults to configured questions', () => {
+        setConfig({
+            surveyQuestions: [
+                { id: 'age', type: 'single', label: 'Age range', options: ['18-34', '35-64', '65+'], required: true },
+                { id: 'agree', type: 'likert', label: 'Taxes are fair' }
+            ]
+        });
+        const [age, agree] = getSurveyQuestions();
+        assert.equal(age.required, true);
+        assert.deepEqual(age.options, ['18-34', '35-64', '65+']);
+        assert.equal(agree.required, false);
+        assert.equal(agree.scale, 5);
+    });
+
+    it('skips malformed questions', () => {
+        setConfig({
+            surveyQuestions: [
+                { id: 'noLabel', type: 'text' },
+                { id: 'badType', type: 'slider', label: 'Slider' },
+                { id: 'noOptions', type: 'multi', label: 'Pick some' },
+                { id: 'ok', type: 'text', label: 'Anything else?' }
+            ]
+        });
+        const questions = getSurveyQuestions();
+        assert.lengthOf(questions, 1);
+        assert.equal(questions[0].id, 'ok');
+    });
+});
+
+describe('getColumnMap', () => {
+    afterEach(() => {
+        setConfig(null);
+    });
+
+    it('returns an empty map when not configured', () => {
+        setConfig(sampleConfig);
+        assert.deepEqual(getColumnMap(), {});
+    });
+
+    it('skips entries without a target column', () => {
+        setConfig({ ...sampleConfig, columnMap: { 'Project Title': 'name', 'Notes': null, 'FY 2026': ' funding_fy26 ' } });
+        assert.deepEqual(getColumnMap(), { 'Project Title': 'name', 'FY 2026': 'funding_fy26' });
+    });
+});
+
+describe('getNearMeConfig', () => {
+    afterEach(() => {
+        setConfig(null);
+    });
+
+    it('uses defaults when not configured', () => {
+        setConfig(sampleConfig);
+        assert.deepEqual(getNearMeConfig(), { radiiMiles: [0.5, 1, 2, 5], badgeMiles: 1 });
+    });
+
+    it('sorts the radii and drops invalid ones', () => {
+        setConfig({ ...sampleConfig, nearMe: { radiiMiles: [3, 'far', -1, 0.25], badgeMiles: 0.5 } });
+        assert.deepEqual(getNearMeConfig(), { radiiMiles: [0.25, 3], badgeMiles: 0.5 });
+    });
+});
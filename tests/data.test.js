@@ -3,7 +3,7 @@
  */
 
 import { testHarness, assert } from './test-harness.js';
-import { parseProject } from '../js/data.js';
+import { parseProject, featureToRow, rowToFeature, isGeoJsonFile, applyColumnMap, unmapColumns } from '../js/data.js';
 import { sampleConfig, sampleCsvRows } from './fixtures.js';
 
 const { describe, it } = testHarness;
@@ -284,3 +284,88 @@ describe('parseProject - ongoing projects', () => {
         assert.equal(project.isOngoing, false);
     });
 });
+
+describe('isGeoJsonFile', () => {
+    it('detects .geojson and .json data files', () => {
+        assert.equal(isGeoJsonFile('projects.geojson'), true);
+        assert.equal(isGeoJsonFile('https://gis.example.com/cip.json?v=2'), true);
+        assert.equal(isGeoJsonFile('projects_updated.csv'), false);
+    });
+});
+
+describe('featureToRow', () => {
+    it('maps properties through parseProject like a CSV row', () => {
+        const feature = {
+            type: 'Feature',
+            properties: { id: 7, name: 'Greenway', funding_fy25: 100000, funding_source: ['Bonds', 'Grants'], description: null },
+            geometry: { type: 'LineString', coordinates: [[-78.9, 35.7], [-78.8, 35.8]] }
+        };
+        const project = parseProject(featureToRow(feature), sampleConfig);
+        assert.equal(project.id, '7');
+        assert.equal(project.fundingYears.FY25, 100000);
+        assert.deepEqual(project.fundingSource, ['Bonds', 'Grants']);
+        assert.isNull(project.description);
+        assert.equal(project.geometry.type, 'LineString');
+        assert.approximately(project.lat, 35.75, 0.0001);
+    });
+
+    it('uses a Point geometry as lat/lng', () => {
+        const row = featureToRow({ type: 'Feature', id: 'p1', properties: { name: 'Park' }, geometry: { type: 'Point', coordinates: [-78.85, 35.73] } });
+        assert.equal(row.id, 'p1');
+        assert.equal(row.lat, '35.73');
+        assert.equal(row.lng, '-78.85');
+        assert.isNull(row.geometry);
+    });
+
+    it('leaves features without geometry unlocated', () => {
+        const project = parseProject(featureToRow({ type: 'Feature', properties: { name: 'Study' }, geometry: null }), sampleConfig);
+        assert.equal(project.hasLocation, false);
+    });
+});
+
+describe('applyColumnMap', () => {
+    const columnMap = { 'Project Title': 'name', 'Neighborhood': 'location_name', 'FY 2026': 'funding_fy26' };
+
+    it('renames mapped columns and keeps the rest', () => {
+        const row = applyColumnMap({ 'Project Title': 'Library', 'FY 2026': '$1,000', type: 'Parks' }, columnMap);
+        assert.deepEqual(row, { type: 'Parks', name: 'Library', funding_fy26: '$1,000' });
+    });
+
+    it('lets the mapped column win over a same-named column', () => {
+        const row = applyColumnMap({ name: 'Old', 'Project Title': 'New' }, columnMap);
+        assert.equal(row.name, 'New');
+    });
+
+    it('feeds parseProject', () => {
+        const project = parseProject(applyColumnMap({ 'Project Title': 'Library', 'Neighborhood': 'Downtown', 'FY 2026': '2500' }, columnMap), sampleConfig);
+        assert.equal(project.locationName, 'Downtown');
+        assert.equal(project.fundingYears.FY26, 2500);
+    });
+});
+
+describe('unmapColumns', () => {
+    it('restores source column names for export', () => {
+        const headers = unmapColumns(['id', 'name', 'funding_fy26'], { 'Project Title': 'name', 'FY 2026': 'funding_fy26' });
+        assert.deepEqual(headers, ['id', 'Project Title', 'FY 2026']);
+    });
+});
+
+describe('rowToFeature', () => {
+    it('turns lat/lng into a Point geometry', () => {
+        const feature = rowToFeature(sampleCsvRows[0], sampleConfig);
+        assert.deepEqual(feature.geometry, { type: 'Point', coordinates: [-78.852, 35.735] });
+        assert.equal(feature.properties.name, sampleCsvRows[0].name);
+        assert.isNull(feature.properties.lat);
+    });
+
+    it('round-trips through featureToRow', () => {
+        const row = { id: 'g1', name: 'Greenway', geometry: 'LINESTRING (-78.9 35.7, -78.8 35.8)' };
+        const back = featureToRow(rowToFeature(row, sampleConfig));
+        assert.equal(back.geometry, row.geometry);
+        assert.equal(back.name, 'Greenway');
+    });
+
+    it('returns null for rows without a name', () => {
+        assert.isNull(rowToFeature({ name: '' }, sampleConfig));
+    });
+});
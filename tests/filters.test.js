@@ -3,7 +3,17 @@
  */
 
 import { testHarness, assert } from './test-harness.js';
-import { matchesFilters } from '../js/filters.js';
+import {
+    matchesFilters,
+    computeFacetCounts,
+    normalizeFundingSources,
+    getFacetOptions,
+    sliderValueToCost,
+    costToSliderValue,
+    serializeFilters,
+    parseFilterParams
+} from '../js/filters.js';
+import { parseSearchQuery } from '../js/search.js';
 import { sampleConfig, sampleProjects } from './fixtures.js';
 
 const { describe, it } = testHarness;
@@ -15,8 +25,13 @@ function emptyFilters() {
         types: [],
         statuses: [],
         priorities: [],
+        departments: [],
+        fundingSources: [],
         fundingYearRange: null,
-        timelineRange: null
+        timelineRange: null,
+        costRange: null,
+        area: null,
+        nearRadius: null
     };
 }
 
@@ -58,6 +73,14 @@ describe('matchesFilters - search', () => {
     });
 });
 
+describe('matchesFilters - pre-parsed search', () => {
+    it('uses parsedSearch instead of parsing the search again', () => {
+        const filters = { ...emptyFilters(), search: 'park', parsedSearch: parseSearchQuery('street') };
+        assert.equal(matchesFilters(sampleProjects[0], filters, sampleConfig), true);
+        assert.equal(matchesFilters(sampleProjects[1], filters, sampleConfig), false);
+    });
+});
+
 describe('matchesFilters - type filter', () => {
     it('matches when type is in filter list', () => {
         const filters = { ...emptyFilters(), types: ['Transportation'] };
@@ -131,6 +154,78 @@ describe('matchesFilters - priority filter', () => {
     });
 });
 
+describe('matchesFilters - department filter', () => {
+    it('matches selected departments', () => {
+        const filters = { ...emptyFilters(), departments: ['Parks & Recreation'] };
+        const matching = sampleProjects.filter(p => matchesFilters(p, filters, sampleConfig)).map(p => p.id);
+        assert.deepEqual(matching, ['proj-002', 'proj-005']);
+    });
+
+    it('excludes projects without a department', () => {
+        const project = { ...sampleProjects[0], department: null };
+        const filters = { ...emptyFilters(), departments: ['Public Works'] };
+        assert.equal(matchesFilters(project, filters, sampleConfig), false);
+    });
+
+    it('ignores missing department and source lists', () => {
+        const { departments, fundingSources, ...filters } = emptyFilters();
+        assert.equal(matchesFilters(sampleProjects[0], filters, sampleConfig), true);
+    });
+});
+
+describe('matchesFilters - funding source filter', () => {
+    it('matches if any of the project sources is selected', () => {
+        const project = { ...sampleProjects[0], fundingSource: ['General Fund', 'Bonds/NCDOT'] };
+        assert.equal(matchesFilters(project, { ...emptyFilters(), fundingSources: ['NCDOT'] }, sampleConfig), true);
+        assert.equal(matchesFilters(project, { ...emptyFilters(), fundingSources: ['Grants'] }, sampleConfig), false);
+    });
+
+    it('matches singular and plural variants', () => {
+        const filters = { ...emptyFilters(), fundingSources: ['Parks Bonds'] };
+        assert.equal(matchesFilters(sampleProjects[1], filters, sampleConfig), true); // "Parks Bond"
+    });
+});
+
+describe('normalizeFundingSources', () => {
+    it('splits combined sources', () => {
+        assert.deepEqual(normalizeFundingSources(['Bonds/NCDOT']), ['Bonds', 'NCDOT']);
+        assert.deepEqual(normalizeFundingSources(['Parks Bond/Grants']), ['Parks Bonds', 'Grants']);
+    });
+
+    it('keeps spaced and compound names whole', () => {
+        assert.deepEqual(normalizeFundingSources(['General Fund / Capital Outlay']), ['General Fund / Capital Outlay']);
+        assert.deepEqual(normalizeFundingSources(['Water/Sewer Fund']), ['Water/Sewer Fund']);
+    });
+
+    it('writes singular and plural variants one way and removes duplicates', () => {
+        assert.deepEqual(normalizeFundingSources(['General Obligation Bond', 'General Obligation Bonds']), ['General Obligation Bonds']);
+        assert.deepEqual(normalizeFundingSources(['Bonds', 'Bonds/NCDOT']), ['Bonds', 'NCDOT']);
+    });
+
+    it('drops dollar amounts split off by commas', () => {
+        const sources = ['Anticipated Bond Funding: $9', '000', '000', 'Anticipated Town Funding: $4', '100', '000'];
+        assert.deepEqual(normalizeFundingSources(sources), ['Anticipated Bond Funding', 'Anticipated Town Funding']);
+    });
+
+    it('handles missing sources', () => {
+        assert.deepEqual(normalizeFundingSources(null), []);
+        assert.deepEqual(normalizeFundingSources([]), []);
+    });
+});
+
+describe('getFacetOptions', () => {
+    it('lists departments and sources from the data, most used first', () => {
+        const options = getFacetOptions(sampleProjects);
+        assert.deepEqual(options.departments, ['Parks & Recreation', 'Facilities', 'Public Works', 'Utilities']);
+        assert.deepEqual(options.fundingSources, ['Future Bonds', 'General Fund', 'Municipal Bonds', 'Parks Bonds', 'Utility Fees']);
+    });
+
+    it('skips projects without a department', () => {
+        const projects = [{ ...sampleProjects[0], department: null }, sampleProjects[1]];
+        assert.deepEqual(getFacetOptions(projects).departments, ['Parks & Recreation']);
+    });
+});
+
 describe('matchesFilters - funding year range', () => {
     it('matches project with funding in range', () => {
         const filters = { ...emptyFilters(), fundingYearRange: { min: 2025, max: 2025 } };
@@ -220,6 +315,101 @@ describe('matchesFilters - timeline range', () => {
     });
 });
 
+describe('matchesFilters - cost range', () => {
+    it('includes projects within the range', () => {
+        const filters = { ...emptyFilters(), costRange: { min: 1000000, max: 2000000 } };
+        const matching = sampleProjects.filter(p => matchesFilters(p, filters, sampleConfig)).map(p => p.id);
+        assert.deepEqual(matching, ['proj-001', 'proj-002']);
+    });
+
+    it('treats unfunded projects as $0', () => {
+        const filters = { ...emptyFilters(), costRange: { min: 0, max: 100000 } };
+        assert.equal(matchesFilters(sampleProjects[3], filters, sampleConfig), true);
+        assert.equal(matchesFilters({ ...sampleProjects[3], totalFunding: undefined }, filters, sampleConfig), true);
+    });
+});
+
+describe('matchesFilters - map area', () => {
+    const matching = (area) => sampleProjects
+        .filter(p => matchesFilters(p, { ...emptyFilters(), area }, sampleConfig))
+        .map(p => p.id);
+
+    it('matches projects inside a circle', () => {
+        const center = { lat: 35.7350, lng: -78.8520 };
+        assert.deepEqual(matching({ shape: 'circle', center, radius: 300 }), ['proj-001']);
+        assert.deepEqual(matching({ shape: 'circle', center, radius: 1000 }), ['proj-001', 'proj-002']);
+    });
+
+    it('matches projects inside a polygon', () => {
+        const points = [[35.73, -78.855], [35.745, -78.855], [35.745, -78.84], [35.73, -78.84]];
+        assert.deepEqual(matching({ shape: 'polygon', points }), ['proj-001', 'proj-002']);
+    });
+
+    it('matches lines that pass through the area', () => {
+        const points = [[35.73, -78.855], [35.745, -78.855], [35.745, -78.84], [35.73, -78.84]];
+        const line = {
+            ...sampleProjects[2],
+            geometry: { type: 'LineString', coordinates: [[-78.86, 35.728], [-78.85, 35.736]] }
+        };
+        const filters = { ...emptyFilters(), area: { shape: 'polygon', points } };
+        assert.equal(matchesFilters(line, filters, sampleConfig), true);
+    });
+
+    it('excludes projects without a location', () => {
+        const area = { shape: 'circle', center: { lat: 35.7350, lng: -78.8520 }, radius: 100000 };
+        assert.equal(matchesFilters(sampleProjects[3], { ...emptyFilters(), area }, sampleConfig), false);
+    });
+});
+
+describe('matchesFilters - near my area', () => {
+    const nearCenter = { lat: 35.7327, lng: -78.8503 };
+    const matching = (nearRadius, center = nearCenter) => sampleProjects
+        .filter(p => matchesFilters(p, { ...emptyFilters(), nearRadius, nearCenter: center }, sampleConfig))
+        .map(p => p.id);
+
+    it('matches projects within the radius of the user\'s area', () => {
+        assert.deepEqual(matching(500), ['proj-001']);
+        assert.deepEqual(matching(1100), ['proj-001', 'proj-002', 'proj-003']);
+    });
+
+    it('is ignored when the user has no area', () => {
+        assert.lengthOf(matching(500, null), sampleProjects.length);
+    });
+});
+
+describe('cost slider scale', () => {
+    const max = 54000000;
+
+    it('puts $0 and the most expensive project at the ends', () => {
+        assert.equal(sliderValueToCost(0, max), 0);
+        assert.equal(sliderValueToCost(100, max), max);
+        assert.equal(costToSliderValue(0, max), 0);
+        assert.equal(costToSliderValue(max, max), 100);
+    });
+
+    it('is logarithmic between the ends', () => {
+        assert.equal(sliderValueToCost(1, max), 10000);
+        // Each step is a constant ratio, so $100K sits well before the middle of the track
+        const position = costToSliderValue(100000, max);
+        assert.ok(position > 20 && position < 35, `position ${position}`);
+        assert.ok(sliderValueToCost(50, max) < 1000000);
+    });
+
+    it('rounds amounts to two significant figures', () => {
+        for (let value = 1; value < 100; value++) {
+            const cost = sliderValueToCost(value, max);
+            const digits = String(cost).replace(/0+$/, '');
+            assert.ok(digits.length <= 2, `${cost} at ${value}`);
+        }
+    });
+
+    it('round-trips positions', () => {
+        [0, 1, 25, 50, 75, 99, 100].forEach(value => {
+            assert.equal(costToSliderValue(sliderValueToCost(value, max), max), value);
+        });
+    });
+});
+
 describe('matchesFilters - ongoing projects', () => {
     it('always matches ongoing projects regardless of timeline filter', () => {
         const ongoingProject = {
@@ -302,3 +492,153 @@ describe('matchesFilters - combined filters', () => {
         assert.equal(matchesFilters(sampleProjects[4], filters, sampleConfig), true);
     });
 });
+
+describe('computeFacetCounts', () => {
+    it('counts projects and dollars per chip value', () => {
+        const counts = computeFacetCounts(sampleProjects, emptyFilters(), sampleConfig);
+
+        assert.deepEqual(counts.type['Parks'], { count: 2, total: 6600000 });
+        assert.deepEqual(counts.type['Transportation'], { count: 1, total: 2000000 });
+        assert.deepEqual(counts.priority['High'], { count: 2, total: 8000000 });
+        assert.deepEqual(counts.status['Completed'], { count: 1, total: 0 });
+        assert.deepEqual(counts.department['Parks & Recreation'], { count: 2, total: 6600000 });
+    });
+
+    it('counts a project under each of its funding sources', () => {
+        const projects = [{ ...sampleProjects[0], fundingSource: ['Bonds/NCDOT'] }, sampleProjects[1]];
+        const counts = computeFacetCounts(projects, emptyFilters(), sampleConfig);
+        assert.deepEqual(counts.source['Bonds'], { count: 1, total: 2000000 });
+        assert.deepEqual(counts.source['NCDOT'], { count: 1, total: 2000000 });
+    });
+
+    it('ignores the chips in its own group', () => {
+        const filters = { ...emptyFilters(), types: ['Parks'] };
+        const counts = computeFacetCounts(sampleProjects, filters, sampleConfig);
+
+        // Other types would be added to the selection, so they keep their counts
+        assert.deepEqual(counts.type['Water'], { count: 1, total: 6000000 });
+        // Other groups only count Parks projects
+        assert.deepEqual(counts.status['Planning'], { count: 2, total: 6600000 });
+        assert.isNull(counts.status['Design']);
+        assert.isNull(counts.priority['High']);
+    });
+
+    it('respects search and range filters', () => {
+        const filters = { ...emptyFilters(), search: 'park' };
+        const counts = computeFacetCounts(sampleProjects, filters, sampleConfig);
+
+        assert.deepEqual(Object.keys(counts.type), ['Parks']);
+        assert.deepEqual(counts.priority['Medium'], { count: 1, total: 1500000 });
+    });
+
+    it('counts a project left out by one group toward that group only', () => {
+        const project = (id, type, priority, totalFunding) => ({ ...sampleProjects[0], id, type, priority, totalFunding });
+        const projects = [
+            project('a', 'Parks', 'High', 1),
+            project('b', 'Water', 'High', 10),
+            project('c', 'Parks', 'Low', 100),
+            project('d', 'Water', 'Low', 1000)
+        ];
+        const filters = { ...emptyFilters(), types: ['Parks'], priorities: ['High'] };
+        const counts = computeFacetCounts(projects, filters, sampleConfig);
+
+        assert.deepEqual(counts.type, { Parks: { count: 1, total: 1 }, Water: { count: 1, total: 10 } });
+        assert.deepEqual(counts.priority, { High: { count: 1, total: 1 }, Low: { count: 1, total: 100 } });
+        assert.deepEqual(counts.status, { [projects[0].status]: { count: 1, total: 1 } });
+    });
+});
+
+describe('serializeFilters', () => {
+    it('writes nothing when no filters are active', () => {
+        assert.equal(serializeFilters(emptyFilters(), false, 2030).toString(), '');
+    });
+
+    it('repeats list parameters so values can contain commas', () => {
+        const filters = { ...emptyFilters(), types: ['Transportation', 'Parks, Recreation'] };
+        const params = serializeFilters(filters, false, 2030);
+        assert.deepEqual(params.getAll('type'), ['Transportation', 'Parks, Recreation']);
+    });
+
+    it('writes funding years as fiscal year labels', () => {
+        const single = serializeFilters({ ...emptyFilters(), fundingYearRange: { min: 2027, max: 2027 } }, false, 2030);
+        assert.equal(single.get('fy'), 'FY27');
+        const range = serializeFilters({ ...emptyFilters(), fundingYearRange: { min: 2026, max: 2030 } }, false, 2030);
+        assert.equal(range.get('fy'), 'FY26-Future');
+    });
+
+    it('writes search, timeline and the no-location toggle', () => {
+        const params = serializeFilters({ ...emptyFilters(), search: 'park', timelineRange: { min: 2025, max: 2027 } }, true, 2030);
+        assert.equal(params.get('q'), 'park');
+        assert.equal(params.get('years'), '2025-2027');
+        assert.equal(params.get('noloc'), '1');
+    });
+});
+
+describe('parseFilterParams', () => {
+    it('round-trips serializeFilters', () => {
+        const filters = {
+            search: 'main',
+            types: ['Transportation'],
+            statuses: ['Design', 'Planning'],
+            priorities: ['High'],
+            departments: ['Public Works'],
+            fundingSources: ['Bonds', 'NCDOT'],
+            fundingYearRange: { min: 2027, max: 2027 },
+            timelineRange: { min: 2025, max: 2028 },
+            costRange: { min: 0, max: 2500000 },
+            area: { shape: 'circle', center: { lat: 35.735, lng: -78.852 }, radius: 400 },
+            nearRadius: 1609
+        };
+        const restored = parseFilterParams(serializeFilters(filters, true, 2030), sampleConfig, 2030);
+        assert.deepEqual(restored.filters, filters);
+        assert.equal(restored.noLocation, true);
+    });
+
+    it('drops values that are not in the config', () => {
+        const restored = parseFilterParams(new URLSearchParams('type=Transportation&type=Spaceports&priority=Critical'), sampleConfig, 2030);
+        assert.deepEqual(restored.filters.types, ['Transportation']);
+        assert.deepEqual(restored.filters.priorities, []);
+    });
+
+    it('drops departments and sources not in the data', () => {
+        const params = new URLSearchParams('dept=Public+Works&dept=Space+Program&source=Grants&source=Bonds');
+        const options = { departments: ['Public Works'], fundingSources: ['Bonds'] };
+        const restored = parseFilterParams(params, sampleConfig, 2030, options);
+        assert.deepEqual(restored.filters.departments, ['Public Works']);
+        assert.deepEqual(restored.filters.fundingSources, ['Bonds']);
+    });
+
+    it('reads polygon and hex areas', () => {
+        const polygon = parseFilterParams(new URLSearchParams('area=polygon:35.73,-78.85;35.74,-78.85;35.74,-78.84'), sampleConfig, 2030);
+        assert.deepEqual(polygon.filters.area, { shape: 'polygon', points: [[35.73, -78.85], [35.74, -78.85], [35.74, -78.84]] });
+
+        const hex = parseFilterParams(new URLSearchParams('area=hex:hex_0_0'), sampleConfig, 2030);
+        assert.equal(hex.filters.area.hexId, 'hex_0_0');
+        assert.lengthOf(hex.filters.area.points, 6);
+        assert.ok(matchesFilters(sampleProjects[0], { ...emptyFilters(), area: hex.filters.area }, sampleConfig));
+    });
+
+    it('ignores malformed areas', () => {
+        ['area=circle:35.7,-78.8', 'area=circle:35.7,-78.8,0', 'area=polygon:35.7,-78.8;35.8,-78.8', 'area=hex:nowhere', 'area=square:1,2,3']
+            .forEach(query => {
+                assert.isNull(parseFilterParams(new URLSearchParams(query), sampleConfig, 2030).filters.area, query);
+            });
+    });
+
+    it('ignores malformed near radii', () => {
+        ['near=0', 'near=far', 'near=-5'].forEach(query => {
+            assert.isNull(parseFilterParams(new URLSearchParams(query), sampleConfig, 2030).filters.nearRadius, query);
+        });
+    });
+
+    it('ignores malformed ranges', () => {
+        const restored = parseFilterParams(new URLSearchParams('fy=next&years=soon'), sampleConfig, 2030);
+        assert.isNull(restored.filters.fundingYearRange);
+        assert.isNull(restored.filters.timelineRange);
+    });
+
+    it('reads Future as the future year', () => {
+        const restored = parseFilterParams(new URLSearchParams('fy=future'), sampleConfig, 2030);
+        assert.deepEqual(restored.filters.fundingYearRange, { min: 2030, max: 2030 });
+    });
+});
@@ -0,0 +1,194 @@
+/**
+ * Tests for geometry.js
+ */
+
+import { testHarness, assert } from './test-harness.js';
+import {
+    parseGeometry,
+    parseWkt,
+    toWkt,
+    decodePolyline,
+    encodePolyline,
+    getGeometryCenter,
+    toLatLngs,
+    distanceMeters,
+    isPointInRing,
+    isPointInArea,
+    getMinZoomBounds
+} from '../js/geometry.js';
+import { parseProject, applyGeometryFeatures } from '../js/data.js';
+import { buildDraftGeometry } from '../js/location-editor.js';
+import { sampleConfig } from './fixtures.js';
+
+const { describe, it } = testHarness;
+
+describe('parseWkt', () => {
+    it('parses a LINESTRING into [lng, lat] positions', () => {
+        const geometry = parseWkt('LINESTRING (-78.85 35.73, -78.84 35.74)');
+        assert.equal(geometry.type, 'LineString');
+        assert.deepEqual(geometry.coordinates, [[-78.85, 35.73], [-78.84, 35.74]]);
+    });
+
+    it('parses a POLYGON with a ring', () => {
+        const geometry = parseWkt('POLYGON ((0 0, 1 0, 1 1, 0 0))');
+        assert.equal(geometry.type, 'Polygon');
+        assert.lengthOf(geometry.coordinates[0], 4);
+    });
+
+    it('is case-insensitive and parses POINT', () => {
+        assert.deepEqual(parseWkt('point(-78.8 35.7)'), { type: 'Point', coordinates: [-78.8, 35.7] });
+    });
+
+    it('returns null for unsupported or malformed WKT', () => {
+        assert.isNull(parseWkt('CIRCLE (0 0, 5)'));
+        assert.isNull(parseWkt('LINESTRING (0 0)'));
+        assert.isNull(parseWkt('LINESTRING (0 0, 1'));
+    });
+
+    it('round-trips through toWkt', () => {
+        const wkt = 'MULTIPOLYGON (((0 0, 1 0, 1 1, 0 0)), ((2 2, 3 2, 3 3, 2 2)))';
+        assert.equal(toWkt(parseWkt(wkt)), wkt);
+    });
+});
+
+describe('encoded polylines', () => {
+    it('decodes the reference polyline', () => {
+        const geometry = decodePolyline('_p~iF~ps|U_ulLnnqC_mqNvxq`@');
+        assert.deepEqual(geometry.coordinates, [[-120.2, 38.5], [-120.95, 40.7], [-126.453, 43.252]]);
+    });
+
+    it('encodes back to the same string', () => {
+        const coordinates = [[-120.2, 38.5], [-120.95, 40.7], [-126.453, 43.252]];
+        assert.equal(encodePolyline(coordinates), '_p~iF~ps|U_ulLnnqC_mqNvxq`@');
+    });
+
+    it('is used by parseGeometry for non-WKT values', () => {
+        assert.equal(parseGeometry('_p~iF~ps|U_ulLnnqC_mqNvxq`@').type, 'LineString');
+        assert.isNull(parseGeometry(''));
+    });
+
+    it('rejects placeholder text that decodes as a polyline outside the map area', () => {
+        const bounds = getMinZoomBounds(sampleConfig);
+        ['TBD_LATER', 'ABCDEFGH'].forEach(text => {
+            assert.isNotNull(decodePolyline(text), `${text} decodes`);
+            assert.isNull(parseGeometry(text, bounds), text);
+        });
+    });
+
+    it('accepts a polyline inside the map area', () => {
+        const line = encodePolyline([[-78.86, 35.73], [-78.85, 35.74]]);
+        assert.equal(parseGeometry(line, getMinZoomBounds(sampleConfig)).type, 'LineString');
+    });
+
+    it('rejects a polyline with positions that are not real lat/lngs', () => {
+        assert.isNull(parseGeometry(encodePolyline([[-78.86, 35.73], [-78.85, 135.74]])));
+    });
+});
+
+describe('getGeometryCenter', () => {
+    it('returns the center of the bounding box', () => {
+        const center = getGeometryCenter({ type: 'LineString', coordinates: [[0, 0], [2, 4], [1, 1]] });
+        assert.deepEqual(center, { lat: 2, lng: 1 });
+    });
+
+    it('returns null for no geometry', () => {
+        assert.isNull(getGeometryCenter(null));
+    });
+});
+
+describe('toLatLngs', () => {
+    it('flips positions to Leaflet order', () => {
+        assert.deepEqual(toLatLngs({ type: 'LineString', coordinates: [[-78, 35], [-79, 36]] }), [[35, -78], [36, -79]]);
+    });
+});
+
+describe('distanceMeters', () => {
+    it('measures great-circle distance', () => {
+        const a = { lat: 35.7327, lng: -78.8503 };
+        assert.equal(distanceMeters(a, a), 0);
+        // One degree of latitude is about 111km
+        assert.approximately(distanceMeters(a, { lat: 36.7327, lng: -78.8503 }), 111195, 10);
+    });
+});
+
+describe('isPointInRing', () => {
+    const square = [[0, 0], [0, 1], [1, 1], [1, 0]];
+
+    it('finds points inside and outside', () => {
+        assert.equal(isPointInRing({ lat: 0.5, lng: 0.5 }, square), true);
+        assert.equal(isPointInRing({ lat: 1.5, lng: 0.5 }, square), false);
+    });
+
+    it('handles concave shapes', () => {
+        const u = [[0, 0], [1, 0], [1, 3], [0, 3], [0, 2], [0.5, 2], [0.5, 1], [0, 1]];
+        assert.equal(isPointInRing({ lat: 0.25, lng: 1.5 }, u), false);
+        assert.equal(isPointInRing({ lat: 0.75, lng: 1.5 }, u), true);
+    });
+});
+
+describe('isPointInArea', () => {
+    it('checks circles by radius in meters', () => {
+        const area = { shape: 'circle', center: { lat: 35.7327, lng: -78.8503 }, radius: 500 };
+        assert.equal(isPointInArea({ lat: 35.7350, lng: -78.8503 }, area), true); // ~256m north
+        assert.equal(isPointInArea({ lat: 35.7400, lng: -78.8503 }, area), false); // ~812m north
+    });
+
+    it('checks polygons and hex cells by their points', () => {
+        const points = [[0, 0], [0, 1], [1, 1], [1, 0]];
+        assert.equal(isPointInArea({ lat: 0.5, lng: 0.5 }, { shape: 'polygon', points }), true);
+        assert.equal(isPointInArea({ lat: 0.5, lng: 0.5 }, { shape: 'hex', hexId: 'hex_0_0', points }), true);
+        assert.equal(isPointInArea({ lat: 0.5, lng: 0.5 }, { shape: 'polygon', points: [] }), false);
+    });
+});
+
+describe('project geometries', () => {
+    it('parseProject reads the geometry column and derives lat/lng', () => {
+        const project = parseProject({ name: 'Greenway', geometry: 'LINESTRING (-78.9 35.7, -78.8 35.8)' }, sampleConfig);
+        assert.equal(project.geometry.type, 'LineString');
+        assert.equal(project.hasLocation, true);
+        assert.approximately(project.lat, 35.75, 0.0001);
+        assert.approximately(project.lng, -78.85, 0.0001);
+    });
+
+    it('parseProject leaves a row with junk geometry and no lat/lng without a location', () => {
+        const project = parseProject({ name: 'Later', geometry: 'TBD_LATER' }, sampleConfig);
+        assert.isNull(project.geometry);
+        assert.equal(project.hasLocation, false);
+    });
+
+    it('parseProject keeps explicit lat/lng', () => {
+        const project = parseProject({ name: 'Park', lat: '35', lng: '-78', geometry: 'POLYGON ((0 0, 1 0, 1 1, 0 0))' }, sampleConfig);
+        assert.equal(project.lat, 35);
+        assert.equal(project.geometry.type, 'Polygon');
+    });
+
+    it('applyGeometryFeatures matches features by id without overriding the CSV', () => {
+        const fromCsv = { type: 'LineString', coordinates: [[0, 0], [1, 1]] };
+        const projects = [
+            { id: 'a', hasLocation: false, geometry: null },
+            { id: 'b', hasLocation: true, lat: 1, lng: 1, geometry: fromCsv }
+        ];
+        applyGeometryFeatures(projects, {
+            type: 'FeatureCollection',
+            features: [
+                { type: 'Feature', properties: { id: 'a' }, geometry: { type: 'LineString', coordinates: [[0, 0], [2, 2]] } },
+                { type: 'Feature', id: 'b', properties: {}, geometry: { type: 'LineString', coordinates: [[5, 5], [6, 6]] } }
+            ]
+        });
+        assert.equal(projects[0].hasLocation, true);
+        assert.deepEqual([projects[0].lat, projects[0].lng], [1, 1]);
+        assert.equal(projects[1].geometry, fromCsv);
+    });
+});
+
+describe('buildDraftGeometry', () => {
+    it('builds a LineString from clicked [lat, lng] vertices', () => {
+        const geometry = buildDraftGeometry([[35, -78], [36, -79]], 'line');
+        assert.deepEqual(geometry, { type: 'LineString', coordinates: [[-78, 35], [-79, 36]] });
+    });
+
+    it('closes polygon rings', () => {
+        const geometry = buildDraftGeometry([[0, 0], [0, 1], [1, 1]], 'polygon');
+        assert.deepEqual(geometry.coordinates[0][0], geometry.coordinates[0][3]);
+    });
+});
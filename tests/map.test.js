@@ -0,0 +1,40 @@
+/**
+ * Tests for map.js
+ */
+
+import { testHarness, assert } from './test-harness.js';
+import { getParticipationOpacity, getDominantType } from '../js/map.js';
+
+const { describe, it } = testHarness;
+
+describe('getParticipationOpacity', () => {
+    it('returns 0 for hexes with no participation', () => {
+        assert.equal(getParticipationOpacity(0, 10), 0);
+        assert.equal(getParticipationOpacity(5, 0), 0);
+    });
+
+    it('gives the busiest hex the strongest shade', () => {
+        assert.approximately(getParticipationOpacity(10, 10), 0.75);
+    });
+
+    it('scales linearly between the lightest and strongest shade', () => {
+        assert.approximately(getParticipationOpacity(5, 10), 0.425);
+        assert.ok(getParticipationOpacity(1, 10) < getParticipationOpacity(2, 10));
+    });
+});
+
+describe('getDominantType', () => {
+    const typeOrder = ['Transportation', 'Parks', 'Water'];
+
+    it('returns the most common type', () => {
+        assert.equal(getDominantType(['Parks', 'Water', 'Parks'], typeOrder), 'Parks');
+    });
+
+    it('breaks ties using config order', () => {
+        assert.equal(getDominantType(['Water', 'Parks'], typeOrder), 'Parks');
+    });
+
+    it('returns undefined for an empty cluster', () => {
+        assert.isNull(getDominantType([], typeOrder));
+    });
+});
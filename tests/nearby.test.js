@@ -0,0 +1,51 @@
+/**
+ * Tests for nearby.js
+ */
+
+import { testHarness, assert } from './test-harness.js';
+import { getProjectDistance, sortByDistance, formatDistance, METERS_PER_MILE } from '../js/nearby.js';
+import { sampleProjects } from './fixtures.js';
+
+const { describe, it } = testHarness;
+
+// Map center from the sample config
+const center = { lat: 35.7327, lng: -78.8503 };
+
+describe('getProjectDistance', () => {
+    it('measures from the project marker', () => {
+        assert.approximately(getProjectDistance(sampleProjects[0], center), 298, 1);
+    });
+
+    it('uses the closest geometry vertex for lines and shapes', () => {
+        const project = {
+            ...sampleProjects[4],
+            geometry: { type: 'LineString', coordinates: [[-78.8400, 35.7500], [-78.8503, 35.7337]] }
+        };
+        assert.approximately(getProjectDistance(project, center), 111, 1);
+    });
+
+    it('returns null without a location or center', () => {
+        assert.isNull(getProjectDistance(sampleProjects[3], center));
+        assert.isNull(getProjectDistance(sampleProjects[0], null));
+    });
+});
+
+describe('sortByDistance', () => {
+    it('sorts nearest first with unlocated projects last', () => {
+        const sorted = sortByDistance([...sampleProjects].reverse(), center);
+        assert.deepEqual(sorted.map(p => p.id), ['proj-001', 'proj-002', 'proj-003', 'proj-005', 'proj-004']);
+    });
+
+    it('does not modify the input', () => {
+        const projects = [...sampleProjects].reverse();
+        sortByDistance(projects, center);
+        assert.equal(projects[0].id, 'proj-005');
+    });
+});
+
+describe('formatDistance', () => {
+    it('shows tenths of a mile when close and whole miles when far', () => {
+        assert.equal(formatDistance(0.42 * METERS_PER_MILE), '0.4 mi');
+        assert.equal(formatDistance(12.6 * METERS_PER_MILE), '13 mi');
+    });
+});
@@ -0,0 +1,163 @@
+/**
+ * Tests for outbox.js
+ */
+
+import { testHarness, assert } from './test-harness.js';
+import {
+    getOutboxKey,
+    getRetryDelay,
+    isRetryableStatus,
+    initOutbox,
+    queueRequest,
+    drainOutbox,
+    isPending,
+    RETRY_BASE_MS,
+    RETRY_MAX_MS
+} from '../js/outbox.js';
+
+const { describe, it, beforeEach, afterEach } = testHarness;
+
+// Helper to build a queued request
+function request(kind, projectId, body = {}) {
+    return {
+        kind,
+        projectId,
+        url: 'https://api.example.com/api/' + kind,
+        body: { userid: 'u1', appid: 'app', item_id: projectId, ...body }
+    };
+}
+
+describe('getOutboxKey', () => {
+    it('gives a newer vote on the same project the same key', () => {
+        assert.equal(
+            getOutboxKey(request('vote', 'proj-001', { vote: 1 })),
+            getOutboxKey(request('vote', 'proj-001', { vote: -1 }))
+        );
+    });
+
+    it('keeps votes on other projects, by other users or for other apps apart', () => {
+        const key = getOutboxKey(request('vote', 'proj-001', { vote: 1 }));
+        assert.ok(key !== getOutboxKey(request('vote', 'proj-002', { vote: 1 })));
+        assert.ok(key !== getOutboxKey(request('vote', 'proj-001', { vote: 1, userid: 'u2' })));
+        assert.ok(key !== getOutboxKey(request('vote', 'proj-001', { vote: 1, appid: 'other' })));
+    });
+
+    it('dedupes identical comments but keeps different ones', () => {
+        const key = getOutboxKey(request('comment', 'proj-001', { comment: 'More bike lanes' }));
+        assert.equal(key, getOutboxKey(request('comment', 'proj-001', { comment: 'More bike lanes' })));
+        assert.ok(key !== getOutboxKey(request('comment', 'proj-001', { comment: 'Fewer bike lanes' })));
+        assert.ok(key !== getOutboxKey(request('vote', 'proj-001', { vote: 1 })));
+    });
+});
+
+describe('getRetryDelay', () => {
+    it('doubles the wait after each failed attempt', () => {
+        assert.equal(getRetryDelay(1), RETRY_BASE_MS);
+        assert.equal(getRetryDelay(2), RETRY_BASE_MS * 2);
+        assert.equal(getRetryDelay(4), RETRY_BASE_MS * 8);
+    });
+
+    it('caps the wait', () => {
+        assert.equal(getRetryDelay(30), RETRY_MAX_MS);
+    });
+});
+
+describe('isRetryableStatus', () => {
+    it('retries network errors, timeouts, rate limits and server errors', () => {
+        [0, 408, 429, 500, 502, 503].forEach(status => assert.ok(isRetryableStatus(status), `${status}`));
+    });
+
+    it('gives up on other rejections', () => {
+        [400, 401, 403, 404, 422].forEach(status => assert.equal(isRetryableStatus(status), false, `${status}`));
+    });
+});
+
+// Helper to let queued sends (started without awaiting) finish
+function settle() {
+    return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+describe('queueRequest and drainOutbox', () => {
+    const originalFetch = window.fetch;
+    let sent; // Bodies POSTed, in order
+    let respond; // (body) => status or a Promise of one
+
+    beforeEach(() => {
+        sent = [];
+        respond = () => 200;
+        window.fetch = async (url, options) => {
+            const body = JSON.parse(options.body);
+            sent.push(body);
+            return { status: await respond(body) };
+        };
+    });
+
+    afterEach(async () => {
+        // Send anything a test left behind, so the next one starts with an empty queue
+        respond = () => 200;
+        await settle();
+        await drainOutbox({ ignoreBackoff: true });
+        window.fetch = originalFetch;
+    });
+
+    it('sends a queued request and drops it once accepted', async () => {
+        queueRequest(request('vote', 'proj-001', { vote: 1 }));
+        assert.ok(isPending('vote', 'proj-001'));
+        await settle();
+        assert.deepEqual(sent.map(body => body.vote), [1]);
+        assert.equal(isPending('vote', 'proj-001'), false);
+    });
+
+    it('sends a newer vote that replaced one in flight', async () => {
+        let release;
+        respond = () => new Promise(resolve => { release = resolve; });
+        queueRequest(request('vote', 'proj-001', { vote: 1 }));
+        await settle();
+        queueRequest(request('vote', 'proj-001', { vote: -1 }));
+
+        respond = () => 200;
+        release(200);
+        await settle();
+        await settle();
+        assert.deepEqual(sent.map(body => body.vote), [1, -1]);
+        assert.equal(isPending('vote', 'proj-001'), false);
+    });
+
+    it('backs off after a failure, retrying only once the wait is over', async () => {
+        respond = () => 503;
+        queueRequest(request('vote', 'proj-001', { vote: 1 }));
+        await settle();
+        assert.lengthOf(sent, 1);
+        assert.ok(isPending('vote', 'proj-001'));
+
+        await drainOutbox();
+        assert.lengthOf(sent, 1);
+
+        respond = () => 200;
+        await drainOutbox({ ignoreBackoff: true });
+        assert.lengthOf(sent, 2);
+        assert.equal(isPending('vote', 'proj-001'), false);
+    });
+
+    it('drops a request the server rejects', async () => {
+        respond = () => 400;
+        queueRequest(request('comment', 'proj-001', { comment: 'Hello' }));
+        await settle();
+        assert.lengthOf(sent, 1);
+        assert.equal(isPending('comment', 'proj-001'), false);
+    });
+
+    it('sends what is waiting to retry when the browser comes back online', async () => {
+        await initOutbox();
+        respond = () => 503;
+        queueRequest(request('vote', 'proj-002', { vote: -1 }));
+        await settle();
+        assert.ok(isPending('vote', 'proj-002'));
+
+        respond = () => 200;
+        window.dispatchEvent(new Event('online'));
+        await settle();
+        assert.lengthOf(sent, 2);
+        assert.equal(isPending('vote', 'proj-002'), false);
+    });
+});
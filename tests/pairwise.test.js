@@ -0,0 +1,145 @@
+/**
+ * Tests for pairwise.js
+ */
+
+import { testHarness, assert } from './test-harness.js';
+import {
+    getPairKey,
+    loadComparisons,
+    getComparisonCount,
+    pickPair,
+    recordComparison,
+    fitPairsInCookie,
+    computeEloRatings
+} from '../js/pairwise.js';
+import { fitsInCookie } from '../js/cookies.js';
+import { setConfig, getAppId, getPairwiseConfig, isPairwiseMode } from '../js/config.js';
+import { sampleConfig } from './fixtures.js';
+
+const { describe, it, beforeEach, afterEach } = testHarness;
+
+// Helper to clear the pairwise cookie
+function clearPairwiseCookie() {
+    document.cookie = `${getAppId()}_pairwise=;expires=Thu, 01 Jan 1970 00:00:00 GMT;path=/`;
+}
+
+const projects = [{ id: 'a' }, { id: 'b' }, { id: 'c' }];
+
+describe('getPairwiseConfig', () => {
+    afterEach(() => {
+        setConfig(null);
+    });
+
+    it('returns null when pairwise is not configured', () => {
+        setConfig(sampleConfig);
+        assert.isNull(getPairwiseConfig());
+        assert.equal(isPairwiseMode(), false);
+    });
+
+    it('defaults the K-factor to 32', () => {
+        setConfig({ ...sampleConfig, pairwise: {} });
+        assert.deepEqual(getPairwiseConfig(), { kFactor: 32 });
+        assert.equal(isPairwiseMode(), true);
+    });
+});
+
+describe('pickPair', () => {
+    it('returns two different projects', () => {
+        const pair = pickPair(projects, []);
+        assert.lengthOf(pair, 2);
+        assert.ok(pair[0].id !== pair[1].id);
+    });
+
+    it('skips pairs that were already compared', () => {
+        const seen = [getPairKey('a', 'b'), getPairKey('a', 'c')];
+        const pair = pickPair(projects, seen);
+        assert.deepEqual(pair.map(p => p.id).sort(), ['b', 'c']);
+    });
+
+    it('favors projects that have been seen least', () => {
+        const fourProjects = [...projects, { id: 'd' }];
+        const pair = pickPair(fourProjects, [getPairKey('a', 'b')], () => 0);
+        assert.deepEqual(pair.map(p => p.id).sort(), ['c', 'd']);
+    });
+
+    it('returns null when every pair has been compared', () => {
+        const seen = [getPairKey('a', 'b'), getPairKey('a', 'c'), getPairKey('b', 'c')];
+        assert.isNull(pickPair(projects, seen));
+    });
+});
+
+describe('recordComparison', () => {
+    beforeEach(() => {
+        setConfig({ ...sampleConfig, pairwise: {} });
+        clearPairwiseCookie();
+        loadComparisons();
+    });
+
+    afterEach(() => {
+        clearPairwiseCookie();
+        setConfig(null);
+    });
+
+    it('counts each pair once regardless of order', () => {
+        recordComparison('a', 'b');
+        recordComparison('b', 'a');
+        assert.equal(getComparisonCount(), 1);
+    });
+
+    it('persists compared pairs across reloads', () => {
+        recordComparison('a', 'b');
+        loadComparisons();
+        assert.equal(getComparisonCount(), 1);
+        assert.isNull(pickPair(projects.slice(0, 2)));
+    });
+});
+
+describe('fitPairsInCookie', () => {
+    // Slug-style ids, about 20 characters each
+    const slugPairs = Array.from({ length: 150 }, (_, i) =>
+        getPairKey(`greenway-extension-${i}`, `downtown-streetscape-${i}`));
+
+    it('drops the oldest pairs until the cookie fits', () => {
+        const kept = fitPairsInCookie(slugPairs, 'app_pairwise');
+        assert.ok(kept.length < slugPairs.length);
+        assert.ok(fitsInCookie('app_pairwise', JSON.stringify(kept)));
+        assert.ok(!fitsInCookie('app_pairwise', JSON.stringify(slugPairs.slice(-(kept.length + 1)))));
+        assert.equal(kept[kept.length - 1], slugPairs[slugPairs.length - 1]);
+    });
+
+    it('keeps every pair when they fit', () => {
+        assert.deepEqual(fitPairsInCookie(slugPairs.slice(0, 5), 'app_pairwise'), slugPairs.slice(0, 5));
+    });
+});
+
+describe('computeEloRatings', () => {
+    it('moves the winner up and the loser down by the same amount', () => {
+        const ratings = computeEloRatings([{ winner: 'a', loser: 'b' }], 32);
+        assert.equal(ratings.a.rating, 1516);
+        assert.equal(ratings.b.rating, 1484);
+    });
+
+    it('tracks wins and losses', () => {
+        const ratings = computeEloRatings([
+            { winner: 'a', loser: 'b' },
+            { winner: 'a', loser: 'c' },
+            { winner: 'c', loser: 'b' }
+        ]);
+        assert.equal(ratings.a.wins, 2);
+        assert.equal(ratings.b.losses, 2);
+        assert.equal(ratings.c.wins, 1);
+        assert.equal(ratings.c.losses, 1);
+    });
+
+    it('awards less for beating a lower-rated project', () => {
+        const ratings = computeEloRatings([
+            { winner: 'a', loser: 'b' },
+            { winner: 'a', loser: 'b' }
+        ], 32);
+        assert.ok(ratings.a.rating - 1516 < 16);
+    });
+
+    it('returns an empty map for no comparisons', () => {
+        assert.deepEqual(computeEloRatings([]), {});
+    });
+});
@@ -0,0 +1,201 @@
+/**
+ * Tests for project-list.js
+ */
+
+import { testHarness, assert } from './test-harness.js';
+import { initProjectList, renderProjectList, showProjectCard, PAGE_SIZE } from '../js/project-list.js';
+
+const { describe, it, beforeEach } = testHarness;
+
+// Builds and updates are counted; cards show their project's name
+let container;
+let builds;
+let updates;
+
+function makeProjects(count, prefix = 'p') {
+    return Array.from({ length: count }, (_, i) => ({ id: `${prefix}-${i}`, name: `Project ${i}` }));
+}
+
+function renderedIds() {
+    return [...container.children].filter(card => card.dataset.projectId).map(card => card.dataset.projectId);
+}
+
+describe('renderProjectList', () => {
+    beforeEach(() => {
+        container = document.createElement('div');
+        builds = 0;
+        updates = 0;
+        initProjectList({
+            container,
+            scrollContainer: document.createElement('div'),
+            buildCard: (project) => {
+                builds++;
+                const card = document.createElement('div');
+                card.dataset.projectId = project.id;
+                return card;
+            },
+            updateCard: (card, project) => {
+                updates++;
+                card.textContent = project.name;
+            }
+        });
+    });
+
+    it('renders cards in order', () => {
+        const projects = makeProjects(3);
+        renderProjectList(projects);
+        assert.deepEqual(renderedIds(), ['p-0', 'p-1', 'p-2']);
+        assert.equal(container.children[1].textContent, 'Project 1');
+    });
+
+    it('reuses card nodes when re-sorting and filtering', () => {
+        const projects = makeProjects(3);
+        renderProjectList(projects);
+        const firstCard = container.children[0];
+
+        renderProjectList([projects[2], projects[0]]);
+        assert.deepEqual(renderedIds(), ['p-2', 'p-0']);
+        assert.equal(container.children[1], firstCard);
+
+        renderProjectList(projects);
+        assert.equal(builds, 3);
+        assert.equal(updates, 8);
+    });
+
+    it('rebuilds a card when its project object is replaced', () => {
+        const projects = makeProjects(2);
+        renderProjectList(projects);
+        renderProjectList([{ ...projects[0], name: 'Renamed' }, projects[1]]);
+        assert.equal(builds, 3);
+        assert.equal(container.children[0].textContent, 'Renamed');
+    });
+
+    it('removes anything else in the list (e.g. the empty state)', () => {
+        container.appendChild(document.createElement('p'));
+        renderProjectList(makeProjects(2));
+        assert.deepEqual(renderedIds(), ['p-0', 'p-1']);
+    });
+
+    it('attaches a page of cards at a time', () => {
+        const projects = makeProjects(PAGE_SIZE * 3);
+        renderProjectList(projects);
+        assert.lengthOf(container.children, PAGE_SIZE);
+        assert.equal(builds, PAGE_SIZE);
+    });
+
+    it('attaches cards down to a project further down the list', () => {
+        const projects = makeProjects(PAGE_SIZE * 3);
+        renderProjectList(projects);
+        const card = showProjectCard(`p-${PAGE_SIZE + 5}`);
+        assert.equal(card.dataset.projectId, `p-${PAGE_SIZE + 5}`);
+        assert.equal(card.parentNode, container);
+        assert.isNull(showProjectCard('missing'));
+    });
+
+    it('goes back to one page of cards when the list changes', () => {
+        const projects = makeProjects(PAGE_SIZE * 3);
+        renderProjectList(projects);
+        showProjectCard(`p-${PAGE_SIZE + 5}`);
+        assert.lengthOf(container.children, PAGE_SIZE * 2 + 5);
+
+        updates = 0;
+        renderProjectList(projects.slice(1));
+        assert.lengthOf(container.children, PAGE_SIZE);
+        assert.equal(updates, PAGE_SIZE);
+    });
+
+    it('keeps the cards scrolled to when the same list re-renders', () => {
+        const projects = makeProjects(PAGE_SIZE * 3);
+        renderProjectList(projects);
+        showProjectCard(`p-${PAGE_SIZE + 5}`);
+        renderProjectList([...projects]);
+        assert.lengthOf(container.children, PAGE_SIZE * 2 + 5);
+    });
+});
+
+describe('renderProjectList scrolling', () => {
+    // Cards are 100px tall, the view is 500px; rects follow scrollY as a browser's would
+    const CARD_HEIGHT = 100;
+    const VIEW_HEIGHT = 500;
+    let scrollContainer;
+    let scrollY;
+
+    function scrollTo(y) {
+        scrollY = y;
+        scrollContainer.dispatchEvent(new Event('scroll'));
+    }
+
+    function spacerHeight() {
+        const first = container.firstChild;
+        return first && !first.dataset.projectId ? first.style.height : null;
+    }
+
+    beforeEach(() => {
+        container = document.createElement('div');
+        scrollContainer = document.createElement('div');
+        scrollY = 0;
+        Object.defineProperty(scrollContainer, 'clientHeight', { value: VIEW_HEIGHT });
+        scrollContainer.getBoundingClientRect = () => ({ top: 0, bottom: VIEW_HEIGHT });
+        // Far below the view, so scrolling doesn't attach more pages
+        container.getBoundingClientRect = () => ({ top: -scrollY, bottom: 1e6 });
+        initProjectList({
+            container,
+            scrollContainer,
+            buildCard: (project) => {
+                const card = document.createElement('div');
+                const index = Number(project.id.split('-')[1]);
+                card.dataset.projectId = project.id;
+                card.getBoundingClientRect = () => {
+                    const top = index * CARD_HEIGHT - scrollY;
+                    return { top, bottom: top + CARD_HEIGHT };
+                };
+                return card;
+            },
+            updateCard: () => {}
+        });
+        renderProjectList(makeProjects(200));
+        showProjectCard('p-150');
+    });
+
+    it('detaches cards far above the view and keeps their height in a spacer', () => {
+        scrollTo(100 * CARD_HEIGHT);
+        // Cards ending more than 3 screens (1500px) above the view go
+        assert.equal(renderedIds()[0], 'p-84');
+        assert.equal(spacerHeight(), `${84 * CARD_HEIGHT}px`);
+        assert.equal(renderedIds()[renderedIds().length - 1], 'p-179');
+    });
+
+    it('keeps a page of cards attached', () => {
+        scrollTo(1000 * CARD_HEIGHT);
+        assert.lengthOf(renderedIds(), PAGE_SIZE);
+        assert.equal(renderedIds()[0], 'p-150');
+    });
+
+    it('attaches detached cards again when scrolling back up', () => {
+        scrollTo(100 * CARD_HEIGHT);
+        scrollTo(70 * CARD_HEIGHT);
+        // The first card came within a screen: attached again up to 2 screens above
+        assert.equal(renderedIds()[0], 'p-60');
+        assert.equal(spacerHeight(), `${60 * CARD_HEIGHT}px`);
+
+        scrollTo(0);
+        assert.equal(renderedIds()[0], 'p-0');
+        assert.isNull(spacerHeight());
+    });
+
+    it('attaches a detached card when it is shown', () => {
+        scrollTo(100 * CARD_HEIGHT);
+        const card = showProjectCard('p-10');
+        assert.equal(card.parentNode, container);
+        assert.equal(renderedIds()[0], 'p-10');
+        assert.equal(spacerHeight(), `${10 * CARD_HEIGHT}px`);
+    });
+
+    it('drops the spacer when the list changes', () => {
+        scrollTo(100 * CARD_HEIGHT);
+        renderProjectList(makeProjects(200).reverse());
+        assert.isNull(spacerHeight());
+        assert.lengthOf(renderedIds(), PAGE_SIZE);
+        assert.equal(renderedIds()[0], 'p-199');
+    });
+});
@@ -0,0 +1,151 @@
+/**
+ * Tests for ranking.js
+ */
+
+import { testHarness, assert } from './test-harness.js';
+import {
+    loadRanking,
+    getRanking,
+    getRank,
+    isRankingFull,
+    toggleRanking,
+    moveRanking,
+    computeBordaScores,
+    computeInstantRunoff
+} from '../js/ranking.js';
+import { setConfig, getAppId } from '../js/config.js';
+import { sampleConfig } from './fixtures.js';
+
+const { describe, it, beforeEach, afterEach } = testHarness;
+
+// Helper to clear the ranking cookie
+function clearRankingCookie() {
+    document.cookie = `${getAppId()}_ranking=;expires=Thu, 01 Jan 1970 00:00:00 GMT;path=/`;
+}
+
+describe('toggleRanking', () => {
+    beforeEach(() => {
+        setConfig({ ...sampleConfig, ranking: { topN: 3 } });
+        clearRankingCookie();
+        loadRanking();
+    });
+
+    afterEach(() => {
+        clearRankingCookie();
+        setConfig(null);
+    });
+
+    it('adds projects to the bottom of the ranking', () => {
+        assert.equal(toggleRanking('a'), 1);
+        assert.equal(toggleRanking('b'), 2);
+        assert.deepEqual(getRanking(), ['a', 'b']);
+    });
+
+    it('removes a project that is already ranked', () => {
+        toggleRanking('a');
+        toggleRanking('b');
+        assert.isNull(toggleRanking('a'));
+        assert.equal(getRank('b'), 1);
+    });
+
+    it('does not add past topN', () => {
+        toggleRanking('a');
+        toggleRanking('b');
+        toggleRanking('c');
+        assert.equal(isRankingFull(), true);
+        assert.isNull(toggleRanking('d'));
+        assert.lengthOf(getRanking(), 3);
+    });
+
+    it('persists the ranking across reloads', () => {
+        toggleRanking('a');
+        toggleRanking('b');
+        loadRanking();
+        assert.deepEqual(getRanking(), ['a', 'b']);
+    });
+});
+
+describe('moveRanking', () => {
+    beforeEach(() => {
+        setConfig({ ...sampleConfig, ranking: { topN: 5 } });
+        clearRankingCookie();
+        loadRanking();
+        ['a', 'b', 'c'].forEach(id => toggleRanking(id));
+    });
+
+    afterEach(() => {
+        clearRankingCookie();
+        setConfig(null);
+    });
+
+    it('moves a project up', () => {
+        moveRanking(2, 0);
+        assert.deepEqual(getRanking(), ['c', 'a', 'b']);
+    });
+
+    it('moves a project down', () => {
+        moveRanking(0, 1);
+        assert.deepEqual(getRanking(), ['b', 'a', 'c']);
+    });
+
+    it('ignores out-of-range positions', () => {
+        moveRanking(0, 5);
+        assert.deepEqual(getRanking(), ['a', 'b', 'c']);
+    });
+});
+
+describe('computeBordaScores', () => {
+    it('awards topN points for first place down to 1 for last', () => {
+        const scores = computeBordaScores([['a', 'b', 'c']], 3);
+        assert.deepEqual(scores, { a: 3, b: 2, c: 1 });
+    });
+
+    it('sums points across ballots', () => {
+        const scores = computeBordaScores([['a', 'b'], ['b', 'a'], ['b']], 3);
+        assert.equal(scores.a, 5);
+        assert.equal(scores.b, 8);
+    });
+
+    it('ignores entries past topN', () => {
+        const scores = computeBordaScores([['a', 'b', 'c']], 2);
+        assert.isNull(scores.c);
+    });
+
+    it('returns an empty map for no ballots', () => {
+        assert.deepEqual(computeBordaScores([], 5), {});
+    });
+});
+
+describe('computeInstantRunoff', () => {
+    it('places the majority first choice first', () => {
+        const results = computeInstantRunoff([['a'], ['a'], ['b']]);
+        assert.equal(results.a.place, 1);
+        assert.equal(results.b.place, 2);
+    });
+
+    it('transfers votes from eliminated candidates', () => {
+        // c is eliminated first; its ballot transfers to b, which then beats a
+        const ballots = [
+            ['a'], ['a'],
+            ['b'], ['b'],
+            ['c', 'b']
+        ];
+        const results = computeInstantRunoff(ballots);
+        assert.equal(results.c.place, 3);
+        assert.equal(results.c.round, 1);
+        assert.equal(results.b.place, 1);
+        assert.equal(results.a.place, 2);
+    });
+
+    it('lets tied candidates share a place', () => {
+        const results = computeInstantRunoff([['a'], ['a'], ['b'], ['b'], ['c', 'a'], ['d', 'b']]);
+        assert.equal(results.c.place, 3);
+        assert.equal(results.d.place, 3);
+        assert.equal(results.a.place, 1);
+        assert.equal(results.b.place, 1);
+    });
+
+    it('returns an empty map for no ballots', () => {
+        assert.deepEqual(computeInstantRunoff([]), {});
+    });
+});
@@ -0,0 +1,145 @@
+/**
+ * Tests for saved-views.js
+ */
+
+import { testHarness, assert } from './test-harness.js';
+import {
+    loadSavedViews,
+    getSavedViews,
+    getAllViews,
+    saveView,
+    deleteView,
+    isSameQuery,
+    resolveViewSort,
+    MAX_SAVED_VIEWS
+} from '../js/saved-views.js';
+import { setConfig, getAppId, getConfigViews } from '../js/config.js';
+import { sampleConfig } from './fixtures.js';
+
+const { describe, it, beforeEach, afterEach } = testHarness;
+
+// Helper to clear the views cookie
+function clearViewsCookie() {
+    document.cookie = `${getAppId()}_views=;expires=Thu, 01 Jan 1970 00:00:00 GMT;path=/`;
+}
+
+describe('saveView', () => {
+    beforeEach(() => {
+        setConfig(sampleConfig);
+        clearViewsCookie();
+        loadSavedViews();
+    });
+
+    afterEach(() => {
+        clearViewsCookie();
+        setConfig(null);
+    });
+
+    it('persists views across reloads', () => {
+        saveView({ name: 'Roads', query: 'type=Transportation', center: { lat: 35.7, lng: -78.8 }, zoom: 14 });
+        loadSavedViews();
+        assert.lengthOf(getSavedViews(), 1);
+        assert.equal(getSavedViews()[0].query, 'type=Transportation');
+        assert.equal(getSavedViews()[0].zoom, 14);
+    });
+
+    it('replaces a view with the same name', () => {
+        saveView({ name: 'Roads', query: 'type=Transportation' });
+        saveView({ name: 'Roads', query: 'type=Transportation&priority=High' });
+        assert.lengthOf(getSavedViews(), 1);
+        assert.equal(getSavedViews()[0].query, 'type=Transportation&priority=High');
+    });
+
+    it('drops the oldest views past the limit', () => {
+        for (let i = 0; i <= MAX_SAVED_VIEWS; i++) {
+            saveView({ name: `View ${i}`, query: '' });
+        }
+        assert.lengthOf(getSavedViews(), MAX_SAVED_VIEWS);
+        assert.equal(getSavedViews()[0].name, 'View 1');
+    });
+
+    it('refuses a save that would not fit in the cookie, keeping the saved views', () => {
+        // A 12-vertex drawn area, as serializeFilters writes it
+        const area = Array.from({ length: 12 }, (_, i) => `35.${7000 + i * 37},-78.${8000 + i * 41}`).join(';');
+        const results = [];
+        for (let i = 0; i < MAX_SAVED_VIEWS; i++) {
+            const query = new URLSearchParams({ type: 'Parks', area: `polygon:${area}`, q: `view ${i}` }).toString();
+            results.push(saveView({ name: `Area ${i}`, query, center: { lat: 35.7, lng: -78.8 }, zoom: 14 }));
+        }
+        const savedCount = getSavedViews().length;
+        assert.ok(results.includes(false), 'some saves should be refused');
+        assert.equal(savedCount, results.filter(Boolean).length);
+
+        // What was saved survives a reload
+        loadSavedViews();
+        assert.lengthOf(getSavedViews(), savedCount);
+        assert.ok(getSavedViews()[savedCount - 1].query.includes('polygon'));
+    });
+
+    it('deletes a view by name', () => {
+        saveView({ name: 'A', query: '' });
+        saveView({ name: 'B', query: '' });
+        deleteView('A');
+        assert.deepEqual(getSavedViews().map(v => v.name), ['B']);
+    });
+});
+
+describe('getAllViews', () => {
+    beforeEach(() => {
+        clearViewsCookie();
+    });
+
+    afterEach(() => {
+        clearViewsCookie();
+        setConfig(null);
+    });
+
+    it('lists config presets before the user views', () => {
+        setConfig({ ...sampleConfig, views: [{ name: 'Critical roads', query: '?type=Transportation&priority=High' }] });
+        loadSavedViews();
+        saveView({ name: 'Mine', query: 'q=park' });
+        const views = getAllViews();
+        assert.deepEqual(views.map(v => [v.name, v.preset]), [['Critical roads', true], ['Mine', false]]);
+        assert.equal(views[0].query, 'type=Transportation&priority=High');
+    });
+});
+
+describe('getConfigViews', () => {
+    afterEach(() => {
+        setConfig(null);
+    });
+
+    it('skips views without a name and normalizes the rest', () => {
+        setConfig({ ...sampleConfig, views: [{ query: 'q=x' }, { name: 'FY27', query: 'fy=FY27', zoom: 'near' }] });
+        assert.deepEqual(getConfigViews(), [{ name: 'FY27', query: 'fy=FY27', center: null, zoom: null, sort: null }]);
+    });
+});
+
+describe('isSameQuery', () => {
+    it('ignores parameter order', () => {
+        assert.equal(isSameQuery('type=A&type=B&fy=FY27', 'fy=FY27&type=B&type=A'), true);
+    });
+
+    it('treats empty queries as equal', () => {
+        assert.equal(isSameQuery('', null), true);
+    });
+
+    it('detects different values', () => {
+        assert.equal(isSameQuery('type=A', 'type=A&priority=High'), false);
+    });
+});
+
+describe('resolveViewSort', () => {
+    it('restores a list sort', () => {
+        assert.deepEqual(resolveViewSort('cost'), { listSort: 'cost', resultsView: null });
+        assert.deepEqual(resolveViewSort('near'), { listSort: 'near', resultsView: null });
+    });
+
+    it('resets the list sort for a results view ranking', () => {
+        assert.deepEqual(resolveViewSort('borda'), { listSort: 'default', resultsView: 'borda' });
+    });
+
+    it('resets the list sort for a view saved without a sort', () => {
+        assert.deepEqual(resolveViewSort(null), { listSort: 'default', resultsView: null });
+    });
+});
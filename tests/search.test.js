@@ -0,0 +1,169 @@
+/**
+ * Tests for search.js
+ */
+
+import { testHarness, assert } from './test-harness.js';
+import {
+    parseSearchQuery,
+    parseAmount,
+    editDistance,
+    matchesSearch,
+    getHighlightRanges,
+    setHighlightedText
+} from '../js/search.js';
+import { sampleProjects } from './fixtures.js';
+
+const { describe, it } = testHarness;
+
+// Helper to run a query against the sample projects
+function search(query) {
+    const parsed = parseSearchQuery(query);
+    return sampleProjects.filter(p => matchesSearch(p, parsed)).map(p => p.id);
+}
+
+describe('parseSearchQuery', () => {
+    it('splits free text into terms', () => {
+        const parsed = parseSearchQuery('Main Street');
+        assert.deepEqual(parsed.terms, ['main', 'street']);
+        assert.lengthOf(parsed.qualifiers, 0);
+    });
+
+    it('keeps quoted phrases together', () => {
+        assert.deepEqual(parseSearchQuery('"city hall" renovation').terms, ['city hall', 'renovation']);
+    });
+
+    it('parses text qualifiers with aliases and quoted values', () => {
+        const parsed = parseSearchQuery('type:parks dept:"Public Works" greenway');
+        assert.deepEqual(parsed.terms, ['greenway']);
+        assert.deepEqual(parsed.qualifiers, [
+            { key: 'type', field: 'type', op: ':', value: 'parks' },
+            { key: 'dept', field: 'department', op: ':', value: 'public works' }
+        ]);
+    });
+
+    it('parses cost comparisons with suffixes', () => {
+        const parsed = parseSearchQuery('cost>5M cost<=250k');
+        assert.deepEqual(parsed.qualifiers, [
+            { key: 'cost', field: 'totalFunding', op: '>', value: 5000000 },
+            { key: 'cost', field: 'totalFunding', op: '<=', value: 250000 }
+        ]);
+    });
+
+    it('treats unknown or malformed qualifiers as text', () => {
+        const parsed = parseSearchQuery('color:red cost>lots');
+        assert.deepEqual(parsed.terms, ['color:red', 'cost>lots']);
+        assert.lengthOf(parsed.qualifiers, 0);
+    });
+
+    it('handles an empty query', () => {
+        assert.deepEqual(parseSearchQuery(''), { terms: [], qualifiers: [] });
+        assert.deepEqual(parseSearchQuery(null), { terms: [], qualifiers: [] });
+    });
+});
+
+describe('parseAmount', () => {
+    it('parses plain, suffixed and formatted amounts', () => {
+        assert.equal(parseAmount('1500'), 1500);
+        assert.equal(parseAmount('1.5M'), 1500000);
+        assert.equal(parseAmount('$250k'), 250000);
+        assert.equal(parseAmount('2b'), 2000000000);
+        assert.equal(parseAmount('1,200,000'), 1200000);
+    });
+
+    it('returns NaN for anything else', () => {
+        assert.ok(isNaN(parseAmount('lots')));
+        assert.ok(isNaN(parseAmount('5x')));
+    });
+});
+
+describe('editDistance', () => {
+    it('counts insertions, deletions and substitutions', () => {
+        assert.equal(editDistance('street', 'street'), 0);
+        assert.equal(editDistance('street', 'stret'), 1);
+        assert.equal(editDistance('kitten', 'sitting'), 3);
+    });
+
+    it('counts swapped letters as one edit', () => {
+        assert.equal(editDistance('road', 'raod'), 1);
+    });
+
+    it('stops early past the maximum', () => {
+        assert.equal(editDistance('water', 'parks', 1), 2);
+    });
+});
+
+describe('matchesSearch', () => {
+    it('matches terms in name, description and location', () => {
+        assert.deepEqual(search('widening'), ['proj-001']);
+        assert.deepEqual(search('downtown'), ['proj-001']);
+        assert.deepEqual(search('central park'), ['proj-002']);
+    });
+
+    it('requires every term to match', () => {
+        assert.deepEqual(search('main water'), []);
+    });
+
+    it('tolerates typos in project names', () => {
+        assert.deepEqual(search('stret'), ['proj-001']);
+        assert.deepEqual(search('renovaton'), ['proj-004']);
+        assert.deepEqual(search('waetr'), ['proj-003']);
+    });
+
+    it('does not fuzz short terms', () => {
+        assert.deepEqual(search('hal'), ['proj-004']);
+        assert.deepEqual(search('cty'), []);
+    });
+
+    it('filters by text qualifiers', () => {
+        assert.deepEqual(search('type:parks'), ['proj-002', 'proj-005']);
+        assert.deepEqual(search('status:construction'), ['proj-003']);
+        assert.deepEqual(search('dept:"public works"'), ['proj-001']);
+        assert.deepEqual(search('source:bond'), ['proj-001', 'proj-002', 'proj-005']);
+    });
+
+    it('filters by cost', () => {
+        assert.deepEqual(search('cost>5M'), ['proj-003', 'proj-005']);
+        assert.deepEqual(search('cost>=2M cost<5M'), ['proj-001']);
+    });
+
+    it('filters by funded fiscal year', () => {
+        assert.deepEqual(search('fy:28'), ['proj-002']);
+        assert.deepEqual(search('fy:future'), ['proj-005']);
+        assert.deepEqual(search('fy:FY25 type:water'), ['proj-003']);
+    });
+
+    it('combines qualifiers and terms', () => {
+        assert.deepEqual(search('type:transportation street'), ['proj-001']);
+        assert.deepEqual(search('type:parks street'), []);
+    });
+});
+
+describe('getHighlightRanges', () => {
+    it('finds every exact match', () => {
+        assert.deepEqual(getHighlightRanges('Main Street Main', ['main']), [[0, 4], [12, 16]]);
+    });
+
+    it('highlights the whole word for fuzzy matches', () => {
+        assert.deepEqual(getHighlightRanges('Main Street Improvement', ['stret']), [[5, 11]]);
+    });
+
+    it('merges overlapping ranges', () => {
+        assert.deepEqual(getHighlightRanges('Central Park', ['central', 'tral park']), [[0, 12]]);
+    });
+
+    it('returns nothing without terms or text', () => {
+        assert.deepEqual(getHighlightRanges('Central Park', []), []);
+        assert.deepEqual(getHighlightRanges('', ['park']), []);
+    });
+});
+
+describe('setHighlightedText', () => {
+    it('wraps matches in mark elements without parsing HTML', () => {
+        const element = document.createElement('h3');
+        setHighlightedText(element, 'Park <b>Trail</b>', ['park']);
+        assert.equal(element.textContent, 'Park <b>Trail</b>');
+        assert.lengthOf(element.querySelectorAll('mark'), 1);
+        assert.equal(element.querySelector('mark').textContent, 'Park');
+        assert.isNull(element.querySelector('b'));
+    });
+});
@@ -0,0 +1,127 @@
+/**
+ * Tests for segments.js
+ */
+
+import { testHarness, assert } from './test-harness.js';
+import {
+    matchesSegment,
+    computeSegmentScores,
+    describeSegment,
+    isEmptySegment
+} from '../js/segments.js';
+import { computeHexGrid, hexIdToCenter, hexIdToPoints } from '../js/user.js';
+
+const { describe, it } = testHarness;
+
+const records = [
+    { itemId: 'a', userId: 1, vote: 1, hexId: 'hex_0_0', answers: { age: '65+', modes: ['Bike'] } },
+    { itemId: 'a', userId: 2, vote: -1, hexId: 'hex_1_0', answers: { age: '18-34', modes: ['Car', 'Bus'] } },
+    { itemId: 'b', userId: 1, vote: 1, hexId: 'hex_0_0', answers: { age: '65+', modes: ['Bike'] } },
+    { itemId: 'b', userId: 3, vote: 1, hexId: 'hex_2_2', answers: { taxes: 4 } }
+];
+
+describe('matchesSegment', () => {
+    it('matches records in any selected hex', () => {
+        const segment = { hexIds: ['hex_0_0', 'hex_2_2'], answers: {} };
+        assert.equal(matchesSegment(records[0], segment), true);
+        assert.equal(matchesSegment(records[1], segment), false);
+        assert.equal(matchesSegment(records[3], segment), true);
+    });
+
+    it('matches any selected value of a question', () => {
+        const segment = { hexIds: [], answers: { modes: ['Bus', 'Bike'] } };
+        assert.equal(matchesSegment(records[0], segment), true);
+        assert.equal(matchesSegment(records[1], segment), true);
+        assert.equal(matchesSegment(records[3], segment), false);
+    });
+
+    it('compares numeric answers as strings', () => {
+        assert.equal(matchesSegment(records[3], { answers: { taxes: ['4', '5'] } }), true);
+    });
+
+    it('requires both area and answers to match', () => {
+        const segment = { hexIds: ['hex_1_0'], answers: { age: ['65+'] } };
+        assert.equal(matchesSegment(records[0], segment), false);
+        assert.equal(matchesSegment(records[1], segment), false);
+    });
+});
+
+describe('computeSegmentScores', () => {
+    it('tallies only matching votes', () => {
+        const { scores, respondents } = computeSegmentScores(records, { hexIds: ['hex_0_0'], answers: {} });
+        assert.deepEqual(scores, {
+            a: { upvotes: 1, downvotes: 0, score: 1 },
+            b: { upvotes: 1, downvotes: 0, score: 1 }
+        });
+        assert.equal(respondents, 1);
+    });
+
+    it('counts upvotes and downvotes', () => {
+        const { scores, respondents } = computeSegmentScores(records, { answers: { age: ['65+', '18-34'] } });
+        assert.deepEqual(scores.a, { upvotes: 1, downvotes: 1, score: 0 });
+        assert.equal(respondents, 2);
+    });
+});
+
+describe('describeSegment', () => {
+    it('summarizes areas and answers', () => {
+        const segment = { hexIds: ['hex_0_0', 'hex_1_0'], answers: { age: ['65+'] } };
+        const questions = [{ id: 'age', label: 'Age' }];
+        assert.equal(describeSegment(segment, questions), '2 areas · Age: 65+');
+    });
+});
+
+describe('isEmptySegment', () => {
+    it('treats missing or blank criteria as empty', () => {
+        assert.equal(isEmptySegment(null), true);
+        assert.equal(isEmptySegment({ hexIds: [], answers: { age: [] } }), true);
+        assert.equal(isEmptySegment({ hexIds: ['hex_0_0'], answers: {} }), false);
+    });
+});
+
+describe('computeHexGrid', () => {
+    const pickerConfig = {
+        center: { lat: 35.7327, lng: -78.8503 },
+        hexSize: 0.008,
+        gridCols: 3,
+        gridRows: 3
+    };
+
+    it('generates gridCols x gridRows cells', () => {
+        const cells = computeHexGrid(pickerConfig);
+        assert.lengthOf(cells, 9);
+        assert.lengthOf(cells[0].points, 6);
+    });
+
+    it('centers hex_0_0 on the grid center', () => {
+        const center = computeHexGrid(pickerConfig).find(cell => cell.id === 'hex_0_0').center;
+        assert.deepEqual(center, { lat: 35.7327, lng: -78.8503 });
+    });
+});
+
+describe('hexIdToCenter', () => {
+    const pickerConfig = {
+        center: { lat: 35.7327, lng: -78.8503 },
+        hexSize: 0.008,
+        gridCols: 3,
+        gridRows: 3
+    };
+
+    it('matches the grid cells', () => {
+        computeHexGrid(pickerConfig).forEach(cell => {
+            assert.deepEqual(hexIdToCenter(cell.id, pickerConfig), cell.center);
+            assert.deepEqual(hexIdToPoints(cell.id, pickerConfig), cell.points);
+        });
+    });
+
+    it('works outside the picker grid', () => {
+        const center = hexIdToCenter('hex_-4_7', pickerConfig);
+        assert.approximately(center.lat, 35.7327 - 4 * 0.012, 1e-9);
+    });
+
+    it('returns null for malformed IDs', () => {
+        assert.isNull(hexIdToCenter('hex_a_b', pickerConfig));
+        assert.isNull(hexIdToCenter(null, pickerConfig));
+        assert.isNull(hexIdToPoints('0_0', pickerConfig));
+    });
+});
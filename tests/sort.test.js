@@ -0,0 +1,72 @@
+/**
+ * Tests for sort.js
+ */
+
+import { testHarness, assert } from './test-harness.js';
+import { sortProjects, parseSortParam } from '../js/sort.js';
+import { sampleConfig, sampleProjects } from './fixtures.js';
+
+const { describe, it } = testHarness;
+
+// Helper to sort the sample projects and return their ids
+function sorted(sort, context) {
+    return sortProjects(sampleProjects, sort, sampleConfig, context).map(p => p.id);
+}
+
+describe('sortProjects', () => {
+    it('keeps the incoming order by default', () => {
+        assert.deepEqual(sorted('default'), ['proj-001', 'proj-002', 'proj-003', 'proj-004', 'proj-005']);
+    });
+
+    it('sorts by name and by cost (highest first)', () => {
+        assert.deepEqual(sorted('name'), ['proj-002', 'proj-004', 'proj-005', 'proj-001', 'proj-003']);
+        assert.deepEqual(sorted('cost'), ['proj-003', 'proj-005', 'proj-001', 'proj-002', 'proj-004']);
+    });
+
+    it('sorts priority and status in config order, keeping ties in order', () => {
+        assert.deepEqual(sorted('priority'), ['proj-001', 'proj-003', 'proj-002', 'proj-004', 'proj-005']);
+        assert.deepEqual(sorted('status'), ['proj-002', 'proj-005', 'proj-001', 'proj-003', 'proj-004']);
+    });
+
+    it('puts unknown statuses and missing dates last', () => {
+        const projects = [{ ...sampleProjects[0], status: 'Paused', startDate: null }, sampleProjects[1]];
+        assert.deepEqual(sortProjects(projects, 'status', sampleConfig).map(p => p.id), ['proj-002', 'proj-001']);
+        assert.deepEqual(sortProjects(projects, 'start', sampleConfig).map(p => p.id), ['proj-002', 'proj-001']);
+    });
+
+    it('sorts by start and end date (earliest first)', () => {
+        assert.deepEqual(sorted('start'), ['proj-004', 'proj-003', 'proj-001', 'proj-002', 'proj-005']);
+        assert.deepEqual(sorted('end'), ['proj-004', 'proj-001', 'proj-003', 'proj-002', 'proj-005']);
+    });
+
+    it('sorts by comment count and vote score (highest first)', () => {
+        const commentCounts = { 'proj-003': 4, 'proj-005': 9 };
+        const voteScores = { 'proj-002': { score: 3 }, 'proj-004': { score: -2 } };
+        assert.deepEqual(sorted('comments', { commentCounts }), ['proj-005', 'proj-003', 'proj-001', 'proj-002', 'proj-004']);
+        assert.deepEqual(sorted('score', { voteScores }), ['proj-002', 'proj-001', 'proj-003', 'proj-005', 'proj-004']);
+    });
+
+    it('sorts by distance from the user\'s area, or not at all without one', () => {
+        const center = { lat: 35.7327, lng: -78.8503 };
+        assert.deepEqual(sorted('near', { center }), ['proj-001', 'proj-002', 'proj-003', 'proj-005', 'proj-004']);
+        assert.deepEqual(sorted('near'), sorted('default'));
+    });
+
+    it('does not modify the input', () => {
+        const projects = [...sampleProjects];
+        sortProjects(projects, 'name', sampleConfig);
+        assert.equal(projects[0].id, 'proj-001');
+    });
+});
+
+describe('parseSortParam', () => {
+    it('reads an available sort', () => {
+        assert.equal(parseSortParam(new URLSearchParams('sort=cost')), 'cost');
+    });
+
+    it('falls back to the default order', () => {
+        assert.equal(parseSortParam(new URLSearchParams('')), 'default');
+        assert.equal(parseSortParam(new URLSearchParams('sort=random')), 'default');
+        assert.equal(parseSortParam(new URLSearchParams('sort=score'), ['default', 'name']), 'default');
+    });
+});
@@ -0,0 +1,74 @@
+/**
+ * Tests for user.js
+ */
+
+import { testHarness, assert } from './test-harness.js';
+import { validateUser, validateSurveyAnswers } from '../js/user.js';
+
+const { describe, it } = testHarness;
+
+const questions = [
+    { id: 'age', type: 'single', label: 'Age', required: true, options: ['18-34', '35-64', '65+'] },
+    { id: 'modes', type: 'multi', label: 'How do you get around?', required: false, options: ['Car', 'Bike', 'Bus'] },
+    { id: 'other', type: 'text', label: 'Anything else?', required: false, maxLength: 10 },
+    { id: 'taxes', type: 'likert', label: 'Taxes are fair', required: false, scale: 5 }
+];
+
+const validUser = {
+    firstName: 'Ada',
+    lastName: 'Lovelace',
+    email: 'ada@example.com',
+    location: { hexId: 'hex_0_0' }
+};
+
+describe('validateSurveyAnswers', () => {
+    it('accepts valid answers', () => {
+        const answers = { age: '35-64', modes: ['Bike', 'Bus'], other: 'More parks', taxes: 4 };
+        assert.deepEqual(validateSurveyAnswers(answers, questions), {});
+    });
+
+    it('requires answers to required questions', () => {
+        const errors = validateSurveyAnswers({}, questions);
+        assert.deepEqual(Object.keys(errors), ['age']);
+    });
+
+    it('treats an empty multi choice as unanswered', () => {
+        const errors = validateSurveyAnswers({ age: '65+', modes: [] }, questions);
+        assert.deepEqual(errors, {});
+    });
+
+    it('rejects options that are not listed', () => {
+        const errors = validateSurveyAnswers({ age: '12', modes: ['Car', 'Boat'] }, questions);
+        assert.ok(errors.age);
+        assert.ok(errors.modes);
+    });
+
+    it('rejects text longer than maxLength', () => {
+        const errors = validateSurveyAnswers({ age: '65+', other: 'a'.repeat(11) }, questions);
+        assert.ok(errors.other);
+    });
+
+    it('rejects likert values outside the scale', () => {
+        assert.ok(validateSurveyAnswers({ age: '65+', taxes: 6 }, questions).taxes);
+        assert.ok(validateSurveyAnswers({ age: '65+', taxes: 0 }, questions).taxes);
+    });
+});
+
+describe('validateUser', () => {
+    it('accepts a complete user with no questions configured', () => {
+        assert.equal(validateUser(validUser, []).isValid, true);
+    });
+
+    it('reports missing fields', () => {
+        const { isValid, errors } = validateUser({ ...validUser, email: 'not-an-email', location: null }, []);
+        assert.equal(isValid, false);
+        assert.ok(errors.email);
+        assert.ok(errors.location);
+    });
+
+    it('includes survey answer errors', () => {
+        const { isValid, errors } = validateUser(validUser, questions);
+        assert.equal(isValid, false);
+        assert.ok(errors.answers.age);
+    });
+});
@@ -3,7 +3,7 @@
  */
 
 import { testHarness, assert } from './test-harness.js';
-import { formatCurrency, formatDate, isPastDate } from '../js/utils.js';
+import { formatCurrency, formatDate, isPastDate, escapeCsvValue, toCsv } from '../js/utils.js';
 
 const { describe, it } = testHarness;
 
@@ -76,3 +76,18 @@ describe('isPastDate', () => {
         assert.equal(isPastDate(''), false);
     });
 });
+
+describe('escapeCsvValue', () => {
+    it('quotes values with commas, quotes or newlines', () => {
+        assert.equal(escapeCsvValue('a,b'), '"a,b"');
+        assert.equal(escapeCsvValue('say "hi"'), '"say ""hi"""');
+        assert.equal(escapeCsvValue('plain'), 'plain');
+        assert.equal(escapeCsvValue(null), '');
+    });
+});
+
+describe('toCsv', () => {
+    it('writes a header row and one line per row', () => {
+        assert.equal(toCsv(['id', 'name'], [{ id: 1, name: 'A, B' }, { id: 2 }]), 'id,name\n1,"A, B"\n2,');
+    });
+});
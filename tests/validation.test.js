@@ -0,0 +1,147 @@
+/**
+ * Tests for validation.js
+ */
+
+import { testHarness, assert } from './test-harness.js';
+import { validateRows, validationReportToCsv, normalizeRow, normalizeDate } from '../js/validation.js';
+import { getMinZoomBounds } from '../js/geometry.js';
+import { setConfig } from '../js/config.js';
+import { sampleConfig, sampleCsvRows } from './fixtures.js';
+
+const { describe, it, beforeEach, afterEach } = testHarness;
+
+const config = {
+    ...sampleConfig,
+    mapCenter: { lat: 35.7327, lng: -78.8503 },
+    minZoom: 10
+};
+
+describe('getMinZoomBounds', () => {
+    it('returns a box around mapCenter', () => {
+        const bounds = getMinZoomBounds(config);
+        assert.ok(bounds.south < 35.7327 && bounds.north > 35.7327);
+        assert.ok(bounds.west < -78.8503 && bounds.east > -78.8503);
+    });
+
+    it('shrinks as minZoom increases', () => {
+        const wide = getMinZoomBounds(config);
+        const narrow = getMinZoomBounds({ ...config, minZoom: 12 });
+        assert.ok(narrow.east - narrow.west < wide.east - wide.west);
+    });
+
+    it('returns null without minZoom', () => {
+        assert.isNull(getMinZoomBounds({ mapCenter: config.mapCenter }));
+    });
+});
+
+describe('validateRows', () => {
+    beforeEach(() => {
+        setConfig(config);
+    });
+
+    afterEach(() => {
+        setConfig(null);
+    });
+
+    const fieldsFor = (row) => validateRows([row], config).map(issue => issue.field);
+
+    it('reports nothing for a clean row', () => {
+        const row = { ...sampleCsvRows[0], lat: '35.73', lng: '-78.85' };
+        assert.deepEqual(validateRows([row], config), []);
+    });
+
+    it('flags rows without a name as errors', () => {
+        const issues = validateRows([{ name: '  ', type: 'Parks' }], config);
+        assert.equal(issues[0].field, 'name');
+        assert.equal(issues[0].severity, 'error');
+        assert.equal(issues[0].row, 1);
+    });
+
+    it('flags unknown type, status and priority', () => {
+        const fields = fieldsFor({ ...sampleCsvRows[0], type: 'Parkz', status: 'Maybe', priority: 'Urgent' });
+        assert.deepEqual(fields, ['type', 'status', 'priority']);
+    });
+
+    it('flags unparseable amounts and dates', () => {
+        const fields = fieldsFor({ ...sampleCsvRows[0], funding_fy26: 'TBD', start_date: 'next spring' });
+        assert.deepEqual(fields, ['funding_fy26', 'start_date']);
+    });
+
+    it('reports partly numeric amounts as errors with the amount the map reads', () => {
+        const issues = validateRows([{ ...sampleCsvRows[0], funding_fy26: '1.2 million' }], config);
+        assert.lengthOf(issues, 1);
+        assert.equal(issues[0].severity, 'error');
+        assert.ok(issues[0].message.endsWith('$1.2'));
+    });
+
+    it('accepts * as an ongoing date', () => {
+        assert.lengthOf(fieldsFor({ ...sampleCsvRows[0], end_date: '*' }), 0);
+    });
+
+    it('flags coordinates outside the minZoom bounds', () => {
+        const issues = validateRows([{ ...sampleCsvRows[0], lat: '40.71', lng: '-74.00' }], config);
+        assert.equal(issues[0].field, 'lat/lng');
+    });
+
+    it('flags placeholder geometry that decodes outside the map area', () => {
+        assert.ok(fieldsFor({ ...sampleCsvRows[0], geometry: 'TBD_LATER' }).includes('geometry'));
+    });
+
+    it('flags duplicate ids with the first row number', () => {
+        const issues = validateRows([sampleCsvRows[0], { ...sampleCsvRows[1], id: sampleCsvRows[0].id }], config);
+        const duplicate = issues.find(issue => issue.field === 'id');
+        assert.equal(duplicate.row, 2);
+        assert.contains(duplicate.message, 'row 1');
+    });
+});
+
+describe('validationReportToCsv', () => {
+    it('writes a header and escaped rows', () => {
+        const csv = validationReportToCsv([
+            { row: 3, id: 'a', name: 'Park, North', field: 'type', value: 'X', severity: 'warning', message: 'Unknown type' }
+        ]);
+        const lines = csv.split('\n');
+        assert.equal(lines[0], 'row,id,name,field,value,severity,message');
+        assert.equal(lines[1], '3,a,"Park, North",type,X,warning,Unknown type');
+    });
+});
+
+describe('normalizeDate', () => {
+    it('keeps ISO dates and *', () => {
+        assert.equal(normalizeDate('2025-03-01'), '2025-03-01');
+        assert.equal(normalizeDate('*'), '*');
+    });
+
+    it('converts Excel-style M/D/YYYY and M/D/YY', () => {
+        assert.equal(normalizeDate('3/1/2025'), '2025-03-01');
+        assert.equal(normalizeDate('12/31/26'), '2026-12-31');
+    });
+
+    it('converts other parseable dates', () => {
+        assert.equal(normalizeDate('March 1, 2025'), '2025-03-01');
+    });
+
+    it('leaves unparseable values alone', () => {
+        assert.equal(normalizeDate('next spring'), 'next spring');
+    });
+});
+
+describe('normalizeRow', () => {
+    it('strips currency formatting and normalizes dates', () => {
+        const row = normalizeRow({ name: 'Park', funding_fy25: '$1,500,000', total_cost: ' 2,000 ', start_date: '7/1/2024' }, config);
+        assert.equal(row.funding_fy25, '1500000');
+        assert.equal(row.total_cost, '2000');
+        assert.equal(row.start_date, '2024-07-01');
+    });
+
+    it('leaves blank and unparseable amounts alone', () => {
+        const row = normalizeRow({ name: 'Park', funding_fy25: '', funding_fy26: 'TBD' }, config);
+        assert.equal(row.funding_fy25, '');
+        assert.equal(row.funding_fy26, 'TBD');
+    });
+
+    it('writes the number the map reads for partly numeric amounts', () => {
+        const row = normalizeRow({ name: 'Park', funding_fy26: '$5M' }, config);
+        assert.equal(row.funding_fy26, '5');
+    });
+});
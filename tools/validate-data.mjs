@@ -0,0 +1,169 @@
+#!/usr/bin/env node
+/**
+ * Project Data Validator / Converter
+ * Checks a project CSV (or GeoJSON) against a config file before it is published, using the same
+ * parseProject logic as the map, and optionally writes a cleaned CSV or GeoJSON.
+ *
+ * Usage:
+ *   node tools/validate-data.mjs <config.json> [options]
+ *
+ * Options:
+ *   --data <file>      Data file to check (defaults to the config's dataFile, next to the config)
+ *   --out <file>       Write the cleaned data (amounts as plain numbers, "5M" as the 5 the map
+ *                      reads, dates as YYYY-MM-DD, nameless rows dropped); .geojson/.json
+ *                      writes a FeatureCollection, else CSV
+ *   --strict           Exit with an error on warnings too, not just errors
+ *
+ * Exit code is 1 if any errors (or, with --strict, warnings) were found.
+ * Requires Node 20.19+ (loads the app's ES modules from js/).
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { setConfig, getColumnMap } from '../js/config.js';
+import { parseProject, applyColumnMap, featureToRow, rowToFeature, isGeoJsonFile } from '../js/data.js';
+import { validateRows, normalizeRow } from '../js/validation.js';
+import { toCsv } from '../js/utils.js';
+
+/**
+ * Parse CSV text into header-keyed rows (RFC 4180 quoting, CRLF, BOM, blank lines skipped)
+ * @param {string} text - CSV text
+ * @returns {Object} { headers, rows }
+ */
+function parseCsv(text) {
+    const records = [];
+    let record = [];
+    let field = '';
+    let inQuotes = false;
+
+    text = text.replace(/^\uFEFF/, '');
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            record.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            record.push(field);
+            records.push(record);
+            record = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || record.length > 0) {
+        record.push(field);
+        records.push(record);
+    }
+
+    const nonEmpty = records.filter(r => r.some(value => value.trim() !== ''));
+    const headers = (nonEmpty.shift() || []).map(h => h.trim());
+    const rows = nonEmpty.map(values => {
+        const row = {};
+        headers.forEach((header, index) => {
+            row[header] = values[index] ?? '';
+        });
+        return row;
+    });
+    return { headers, rows };
+}
+
+/**
+ * Read command-line arguments
+ */
+function parseArgs(argv) {
+    const args = { configPath: null, dataPath: null, outPath: null, strict: false };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--data') args.dataPath = argv[++i];
+        else if (arg === '--out') args.outPath = argv[++i];
+        else if (arg === '--strict') args.strict = true;
+        else if (arg === '--help' || arg === '-h') args.help = true;
+        else if (!args.configPath) args.configPath = arg;
+        else throw new Error(`Unexpected argument: ${arg}`);
+    }
+    return args;
+}
+
+/**
+ * Load the data file as rows with source column names
+ * @returns {Object} { headers, rows }
+ */
+function readDataFile(dataPath) {
+    const text = fs.readFileSync(dataPath, 'utf8');
+    if (isGeoJsonFile(dataPath)) {
+        const rows = (JSON.parse(text).features || []).map(featureToRow);
+        const headers = [...new Set(rows.flatMap(row => Object.keys(row)))];
+        return { headers, rows };
+    }
+    return parseCsv(text);
+}
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (args.help || !args.configPath) {
+        console.log('Usage: node tools/validate-data.mjs <config.json> [--data <file>] [--out <file>] [--strict]');
+        process.exit(args.help ? 0 : 2);
+    }
+
+    const config = JSON.parse(fs.readFileSync(args.configPath, 'utf8'));
+    setConfig(config);
+
+    const dataPath = args.dataPath || path.join(path.dirname(args.configPath), config.dataFile);
+    const { headers, rows: sourceRows } = readDataFile(dataPath);
+    const columnMap = getColumnMap();
+    const rows = sourceRows.map(row => applyColumnMap(row, columnMap));
+
+    // Report
+    const issues = validateRows(rows, config);
+    issues.forEach(issue => {
+        const value = issue.value === '' ? '' : `: ${issue.value}`;
+        console.log(`Row ${issue.row} [${issue.severity}] ${issue.field} - ${issue.message}${value}`);
+    });
+    const errorCount = issues.filter(issue => issue.severity === 'error').length;
+    const warningCount = issues.length - errorCount;
+    console.log(`${dataPath}: ${rows.length} rows, ${errorCount} error(s), ${warningCount} warning(s)`);
+
+    // Cleaned output
+    if (args.outPath) {
+        const cleaned = rows
+            .filter(row => parseProject(row, config) !== null)
+            .map(row => normalizeRow(row, config));
+
+        if (isGeoJsonFile(args.outPath)) {
+            const collection = {
+                type: 'FeatureCollection',
+                features: cleaned.map(row => rowToFeature(row, config))
+            };
+            fs.writeFileSync(args.outPath, JSON.stringify(collection, null, 2) + '\n');
+        } else {
+            // Keep the source column order and names
+            const csvRows = cleaned.map(row =>
+                Object.fromEntries(headers.map(header => [header, row[columnMap[header] || header]])));
+            fs.writeFileSync(args.outPath, toCsv(headers, csvRows) + '\n');
+        }
+        console.log(`Wrote ${cleaned.length} projects to ${args.outPath}`);
+    }
+
+    const failed = errorCount > 0 || (args.strict && warningCount > 0);
+    process.exit(failed ? 1 : 0);
+}
+
+try {
+    main();
+} catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(2);
+}